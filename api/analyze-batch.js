@@ -5,7 +5,7 @@
 import fetch from "node-fetch";
 import { PlayerPropsEngine } from "../lib/engines/playerPropsEngine.js";
 import { GameLinesEngine } from "../lib/engines/gameLinesEngine.js";
-import { SportsDataIOClient } from "../lib/apiClient.js";
+import { createProvider } from "../lib/providers/index.js";
 
 function applyCors(req, res) {
   res.setHeader("Access-Control-Allow-Origin", "*");
@@ -69,9 +69,9 @@ export default async function handler(req, res) {
     }
 
     const sdioKey = resolveSportsDataKey();
-    const apiClient = new SportsDataIOClient({ apiKey: sdioKey });
-    const propsEngine = new PlayerPropsEngine(apiClient);
-    const gameLinesEngine = new GameLinesEngine(apiClient);
+    const provider = createProvider({ apiKey: sdioKey });
+    const propsEngine = new PlayerPropsEngine(provider);
+    const gameLinesEngine = new GameLinesEngine(provider);
 
     console.log(`[BatchAnalyzer] Starting analysis for ${games.length} games`);
 
@@ -2,7 +2,9 @@
 // Enhanced game line analyzer compatible with enhanced GameLinesEngine
 import fetch from "node-fetch";
 import { GameLinesEngine } from "../lib/engines/gameLinesEngine.js";
-import { SportsDataIOClient } from "../lib/apiClient.js";
+import { createProvider } from "../lib/providers/index.js";
+import { DEVIG_METHODS, decimalToAmerican } from "../lib/oddsMath.js";
+import { TeamResolutionError } from "../lib/teamRegistry.js";
 
 function applyCors(req, res) {
   res.setHeader("Access-Control-Allow-Origin", "*");
@@ -33,6 +35,14 @@ function resolveSportsDataKey() {
   return "";
 }
 
+// The analyzer form sends decimal odds (1.95); the engine works in American prices
+function toAmerican(v) {
+  const n = Number(v);
+  if (v === null || v === undefined || v === "" || !Number.isFinite(n)) return null;
+  if (n > 1 && n < 100) return Math.round(decimalToAmerican(n));
+  return Math.abs(n) >= 100 ? n : null;
+}
+
 export default async function handler(req, res) {
   console.log("[/api/analyze-game] START", { 
     method: req.method,
@@ -59,25 +69,61 @@ export default async function handler(req, res) {
 
     console.log("[/api/analyze-game] parsed body:", body);
 
+    const devigMethod = String(body.devigMethod || "").toLowerCase();
+    if (devigMethod && !DEVIG_METHODS.includes(devigMethod)) {
+      res.status(400).json({ error: `Unknown devigMethod "${body.devigMethod}"`, supported: DEVIG_METHODS });
+      return;
+    }
+
+    // Multi-way markets (three-way lines, futures): de-vig the given outcome prices directly
+    if (Array.isArray(body.outcomes)) {
+      const engine = new GameLinesEngine(null);
+      const market = engine.devigMarket({ sport: body.sport, outcomes: body.outcomes, devigMethod });
+      if (!market) {
+        res.status(400).json({ error: "outcomes needs at least two entries with valid American prices" });
+        return;
+      }
+      res.status(200).json({ market: body.market || null, ...market });
+      return;
+    }
+
     // Construct payload for GameLinesEngine
+    const odds = {
+      home: toAmerican(body?.odds?.home),
+      away: toAmerican(body?.odds?.away),
+      over: toAmerican(body?.odds?.over),
+      under: toAmerican(body?.odds?.under),
+    };
     const payload = {
       sport: (body.sport || "").toUpperCase(),
-      team: body.team || body.homeTeam || "",
-      opponent: body.opponent || body.awayTeam || "",
+      team: body.team || body.homeTeam || body.home || "",
+      opponent: body.opponent || body.awayTeam || body.away || "",
       startTime: body.startTime || null,
-      currentPrice: body.currentPrice || body.odds?.home || body.odds?.away || -110,
-      odds: {
-        home: Number(body?.odds?.home) || -110,
-        away: Number(body?.odds?.away) || -110,
-      }
+      // Price taken on the team; stored with the pick so CLV is measured against it
+      currentPrice: toAmerican(body.currentPrice),
+      track: body.track === true,
+      // Spread ("-3.5", "PK") or total ("O/U 220.5"); empty means moneyline
+      line: body.line ?? "",
+      market: body.market || "",
+      odds,
+      devigMethod,
     };
 
     const sdioKey = resolveSportsDataKey();
-    const sdio = new SportsDataIOClient({ apiKey: sdioKey });
-    const engine = new GameLinesEngine(sdio);
+    const provider = createProvider({ apiKey: sdioKey });
+    const engine = new GameLinesEngine(provider);
 
     console.log("[/api/analyze-game] evaluating payload:", payload);
-    const result = await engine.evaluateGame(payload);
+    let result;
+    try {
+      result = await engine.evaluateGame(payload);
+    } catch (err) {
+      if (err instanceof TeamResolutionError) {
+        res.status(400).json({ error: err.message, code: err.code, team: err.input, candidates: err.candidates });
+        return;
+      }
+      throw err;
+    }
     console.log("[/api/analyze-game] engine result captured", {
       decision: result?.decision,
       confidence: result?.finalConfidence,
@@ -86,9 +132,12 @@ export default async function handler(req, res) {
 
     // Normalize response structure
     const response = {
+      gameId: result.gameId || null,
+      pickId: result.pickId || null,
       game: `${payload.team} vs ${payload.opponent}`,
       team: payload.team,
       opponent: payload.opponent,
+      line: payload.line || null,
       decision: result.decision || result.recommendation || "PASS",
       finalConfidence: result.finalConfidence ?? result.confidence ?? 50,
       confidence: result.finalConfidence ?? result.confidence ?? 50, // Backward compat
@@ -101,6 +150,11 @@ export default async function handler(req, res) {
         modelProbability: 0.5,
         fusedProbability: 0.5,
       },
+      ratings: result.ratings || null,
+      lineEvaluation: result.lineEvaluation || null,
+      sharp: result.sharp || null,
+      pricing: result.pricing || null,
+      lineShopping: result.lineShopping || null,
       oddsData: result.oddsData || null,
       clv: result.clv || null,
       meta: result.meta || {
@@ -0,0 +1,146 @@
+// api/analyze-ladder.js
+// Alternate-line ladder: scores every {line, overOdds, underOdds} rung for one player
+// and market off a single feature fetch, and marks the rung with the best EV.
+import { PlayerPropsEngine } from "./../lib/engines/playerPropsEngine.js";
+import { createProvider } from "./../lib/providers/index.js";
+import { parseProp, PropParseError } from "./../lib/propParser.js";
+import { resolveTeam, TeamResolutionError } from "./../lib/teamRegistry.js";
+
+const MAX_RUNGS = 25;
+
+// CORS helper
+function applyCors(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "POST,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type,Authorization");
+  if (req.method === "OPTIONS") {
+    res.statusCode = 204;
+    res.end();
+    return true;
+  }
+  return false;
+}
+
+function resolveSportsDataKey() {
+  const names = [
+    "SPORTS_DATA_IO_KEY",
+    "SPORTS_DATA_IO_API_KEY",
+    "SPORTSDATAIO_KEY",
+    "SDIO_KEY",
+    "SPORTSDATA_API_KEY",
+    "SPORTS_DATA_API_KEY",
+    "SPORTS_DATA_KEY",
+  ];
+  for (const n of names) {
+    const v = process.env[n];
+    if (v && String(v).trim() !== "") return String(v).trim();
+  }
+  return "";
+}
+
+export default async function handler(req, res) {
+  console.log("[/api/analyze-ladder] START", {
+    method: req.method,
+    timestamp: new Date().toISOString(),
+  });
+
+  try {
+    if (applyCors(req, res)) return;
+
+    if (req.method !== "POST") {
+      res.status(405).json({ error: "Method Not Allowed" });
+      return;
+    }
+
+    let body;
+    try {
+      body = typeof req.body === "string" ? JSON.parse(req.body || "{}") : req.body || {};
+    } catch (err) {
+      console.error("[/api/analyze-ladder] body parse error", err?.message || err);
+      res.status(400).json({ error: "Invalid JSON body" });
+      return;
+    }
+
+    const payload = {
+      sport: (body.sport || "").toUpperCase(),
+      player: (body.player || "").toString(),
+      opponent: body.opponent || "",
+      market: (body.market || "").toString().trim(),
+      rungs: Array.isArray(body.rungs) ? body.rungs : [],
+      startTime: body.startTime || null,
+      simulation: body.simulation || null,
+    };
+
+    if (!payload.sport || !payload.player || !payload.market || payload.rungs.length === 0) {
+      res.status(400).json({
+        error: "Missing required fields",
+        required: ["sport", "player", "market", "rungs"],
+        example: {
+          sport: "NBA",
+          player: "LeBron James",
+          opponent: "BOS",
+          market: "Points",
+          rungs: [
+            { line: 19.5, overOdds: -200, underOdds: 160 },
+            { line: 21.5, overOdds: -140, underOdds: 115 },
+            { line: 23.5, overOdds: 105, underOdds: -130 },
+          ],
+        },
+      });
+      return;
+    }
+
+    if (payload.rungs.length > MAX_RUNGS) {
+      res.status(400).json({ error: `At most ${MAX_RUNGS} rungs per request` });
+      return;
+    }
+
+    const badRung = payload.rungs.findIndex((r) => !Number.isFinite(Number(r?.line)));
+    if (badRung !== -1) {
+      res.status(400).json({ error: "Every rung needs a numeric line", rung: badRung });
+      return;
+    }
+
+    // The market must parse as a prop once a line is attached
+    try {
+      parseProp(payload.sport, `${payload.market} ${Number(payload.rungs[0].line)}`);
+    } catch (err) {
+      if (err instanceof PropParseError) {
+        res.status(400).json({ error: err.message, code: err.code, market: payload.market });
+        return;
+      }
+      throw err;
+    }
+
+    if (payload.opponent) {
+      try {
+        resolveTeam(payload.sport, payload.opponent);
+      } catch (err) {
+        if (!(err instanceof TeamResolutionError)) throw err;
+        if (err.code === "AMBIGUOUS_TEAM") {
+          res.status(400).json({ error: err.message, code: err.code, opponent: err.input, candidates: err.candidates });
+          return;
+        }
+      }
+    }
+
+    const provider = createProvider({ apiKey: resolveSportsDataKey() });
+    const engine = new PlayerPropsEngine(provider);
+    const ladder = await engine.evaluateLadder(payload);
+
+    console.log("[/api/analyze-ladder] done", {
+      player: ladder.player,
+      market: ladder.market,
+      rungs: ladder.rungs.length,
+      best: ladder.best,
+    });
+
+    res.status(200).json(ladder);
+  } catch (err) {
+    console.error("[/api/analyze-ladder] ERROR:", err?.stack || err?.message);
+    res.status(500).json({
+      error: err?.message || String(err),
+      stack: process.env.NODE_ENV === "development" ? err?.stack : undefined
+    });
+  }
+}
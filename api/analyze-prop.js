@@ -3,8 +3,10 @@
 import fetch from "node-fetch";
 import Fuse from "fuse.js";
 import { PlayerPropsEngine } from "./../lib/engines/playerPropsEngine.js";
-import { SportsDataIOClient } from "./../lib/apiClient.js";
+import { createProvider } from "./../lib/providers/index.js";
 import { StatisticalModels } from "./../lib/statisticalModels.js";
+import { parseProp, PropParseError } from "./../lib/propParser.js";
+import { resolveTeam, TeamResolutionError } from "./../lib/teamRegistry.js";
 
 // CORS helper
 function applyCors(req, res) {
@@ -43,7 +45,7 @@ function fuzzyMatchPlayerSimple(inputName, rosterList = []) {
   
   const candidates = rosterList
     .map((r) => ({
-      name: (r?.Name || r?.FullName || r?.full_name || "").toString(),
+      name: (r?.name || "").toString(),
       raw: r,
     }))
     .filter((c) => c.name);
@@ -72,18 +74,19 @@ function fuzzyMatchPlayerSimple(inputName, rosterList = []) {
   return inputName;
 }
 
-// Extract American odds from payload
-function extractCurrentPrice(payload) {
+// Extract American odds for the requested side from payload (over unless the prop says under).
+// Both sides still travel in payload.odds so the engine can de-vig the market.
+function extractCurrentPrice(payload, side = "over") {
   try {
     // Check if odds object exists
     if (payload?.odds) {
-      // Default to -110 if no valid odds
       const overOdds = Number(payload.odds.over);
       const underOdds = Number(payload.odds.under);
-      
-      // Return the first valid odds value found
-      if (Number.isFinite(overOdds) && overOdds !== 0) return overOdds;
-      if (Number.isFinite(underOdds) && underOdds !== 0) return underOdds;
+      const [first, second] = side === "under" ? [underOdds, overOdds] : [overOdds, underOdds];
+
+      // Prefer the requested side, then whichever side is quoted
+      if (Number.isFinite(first) && first !== 0) return first;
+      if (Number.isFinite(second) && second !== 0) return second;
     }
     
     // Check for direct price field
@@ -135,25 +138,48 @@ export default async function handler(req, res) {
         under: Number(body?.odds?.under) || NaN,
       },
       startTime: body.startTime || null,
-      currentPrice: extractCurrentPrice(body), // NEW: for CLV computation
+      currentPrice: null, // for CLV computation, set once the prop's side is known
+      simulation: body.simulation || null, // optional Monte Carlo mode: true or { seed, sims, altLines, milestones }
     };
 
-    // Initialize API client and engine
+    // Reject props we cannot grade before spending any API calls on them
+    let parsedProp;
+    try {
+      parsedProp = parseProp(payload.sport, payload.prop);
+    } catch (err) {
+      if (err instanceof PropParseError) {
+        res.status(400).json({ error: err.message, code: err.code, prop: payload.prop });
+        return;
+      }
+      throw err;
+    }
+    payload.currentPrice = extractCurrentPrice(body, parsedProp.side || "over");
+
+    // An opponent that fits several teams ("LA") is rejected rather than guessed
+    if (payload.opponent) {
+      try {
+        resolveTeam(payload.sport, payload.opponent);
+      } catch (err) {
+        if (!(err instanceof TeamResolutionError)) throw err;
+        if (err.code === "AMBIGUOUS_TEAM") {
+          res.status(400).json({ error: err.message, code: err.code, opponent: err.input, candidates: err.candidates });
+          return;
+        }
+      }
+    }
+
+    // Initialize data provider and engine
     const sdioKey = resolveSportsDataKey();
-    const sdio = new SportsDataIOClient({ apiKey: sdioKey });
-    const engine = new PlayerPropsEngine(sdio);
+    const provider = createProvider({ apiKey: sdioKey });
+    const engine = new PlayerPropsEngine(provider);
 
     // OPTIONAL: Pre-normalize player name via roster lookup
     // This provides an exact roster match before engine's fuzzy matching
     try {
-      if (["NBA", "WNBA"].includes(payload.sport) && sdio) {
+      if (["NBA", "WNBA", "NFL"].includes(payload.sport)) {
         let roster = [];
         try {
-          if (payload.sport === "NBA" && typeof sdio.getNBARosters === "function") {
-            roster = (await sdio.getNBARosters()) || [];
-          } else if (payload.sport === "WNBA" && typeof sdio.getWNBARosters === "function") {
-            roster = (await sdio.getWNBARosters()) || [];
-          }
+          roster = (await provider.getPlayers(payload.sport)) || [];
         } catch (err) {
           console.warn("[/api/analyze-prop] roster fetch failed", err?.message || err);
         }
@@ -162,30 +188,13 @@ export default async function handler(req, res) {
           const matchedName = fuzzyMatchPlayerSimple(payload.player, roster);
           if (matchedName && matchedName !== payload.player) {
             console.log("[/api/analyze-prop] roster pre-match applied", { 
+              sport: payload.sport,
               from: payload.player, 
               to: matchedName 
             });
             payload.player = matchedName;
           }
         }
-      } else if (payload.sport === "NFL" && sdio) {
-        try {
-          if (typeof sdio.getNFLRosters === "function") {
-            const roster = (await sdio.getNFLRosters()) || [];
-            if (Array.isArray(roster) && roster.length) {
-              const matchedName = fuzzyMatchPlayerSimple(payload.player, roster);
-              if (matchedName && matchedName !== payload.player) {
-                console.log("[/api/analyze-prop] roster pre-match applied (NFL)", { 
-                  from: payload.player, 
-                  to: matchedName 
-                });
-                payload.player = matchedName;
-              }
-            }
-          }
-        } catch (err) {
-          console.warn("[/api/analyze-prop] NFL roster fetch failed", err?.message || err);
-        }
       }
     } catch (err) {
       console.warn("[/api/analyze-prop] roster fuzzy match failed", err?.message || err);
@@ -229,10 +238,8 @@ export default async function handler(req, res) {
 
           // Try league averages
           try {
-            if (sdio && typeof sdio.getLeagueAverages === "function") {
-              const la = await sdio.getLeagueAverages(payload.sport, payload.prop);
-              if (la && Number.isFinite(Number(la))) baselineAvg = Number(la);
-            }
+            const la = await provider.getLeagueAverage(payload.sport, payload.prop);
+            if (la && Number.isFinite(Number(la))) baselineAvg = Number(la);
           } catch (err) {
             console.warn("[/api/analyze-prop] league average fetch failed", err?.message || err);
           }
@@ -253,23 +260,12 @@ export default async function handler(req, res) {
 
           // Hardcoded fallback
           if (!Number.isFinite(baselineAvg)) {
-            const p = (payload.prop || "").toLowerCase();
-            if (p.includes("rebound")) baselineAvg = 5;
-            else if (p.includes("point") || p.includes("points")) baselineAvg = 10;
-            else if (p.includes("assist")) baselineAvg = 3;
-            else if (p.includes("strikeout") || p.includes("strikeouts")) baselineAvg = 1.5;
-            else baselineAvg = 1;
+            const hardDefaults = { rebounds: 5, points: 10, assists: 3, strikeouts: 1.5 };
+            baselineAvg = hardDefaults[parsedProp.market] ?? 1;
           }
 
           // Extract line
-          const line = raw.line || (() => {
-            try {
-              const m = String(payload.prop || "").match(/(-?\d+(\.\d+)?)/);
-              return m ? parseFloat(m[1]) : NaN;
-            } catch { 
-              return NaN; 
-            }
-          })();
+          const line = raw.line || parsedProp.line;
 
           let fallbackPick = "ESTIMATE (Low Confidence)";
           let fallbackConf = 50;
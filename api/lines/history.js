@@ -0,0 +1,87 @@
+// api/lines/history.js
+// Line movement for one game: moneyline, spread and total series per book from the
+// odds snapshot store, opening/latest/closing prices, steam moves and stored picks.
+import { detectSteam, findSnapshotGame, isSnapshotSport } from "./../../lib/oddsSnapshots.js";
+import { registrySports } from "./../../lib/teamRegistry.js";
+
+const MARKETS = ["moneyline", "spread", "total"];
+
+// CORS helper
+function applyCors(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type,Authorization");
+  if (req.method === "OPTIONS") {
+    res.statusCode = 204;
+    res.end();
+    return true;
+  }
+  return false;
+}
+
+export default async function handler(req, res) {
+  console.log("[/api/lines/history] START", {
+    method: req.method,
+    timestamp: new Date().toISOString(),
+  });
+
+  try {
+    if (applyCors(req, res)) return;
+
+    if (req.method !== "GET") {
+      res.status(405).json({ error: "Method Not Allowed" });
+      return;
+    }
+
+    const { gameId, sport } = req.query || {};
+    if (!gameId) {
+      res.status(400).json({ error: "Missing gameId", example: "/api/lines/history?gameId=18934&sport=NBA" });
+      return;
+    }
+    if (sport && !isSnapshotSport(sport)) {
+      res.status(400).json({ error: `Unsupported sport "${sport}"`, supported: registrySports() });
+      return;
+    }
+
+    const found = findSnapshotGame(String(gameId), sport);
+    if (!found) {
+      res.status(404).json({ error: `No odds history for game ${gameId}` });
+      return;
+    }
+
+    const { store, record } = found;
+    const id = record.gameId;
+    const closed = store.isClosed(id);
+    const summary = {};
+    for (const m of MARKETS) {
+      summary[m] = {
+        opening: store.opening(id, m),
+        latest: store.latest(id, m),
+        closing: store.closing(id, m),
+      };
+    }
+
+    // CLV as of now (final once measured against the close); reading never writes
+    const picks = (record.picks || []).map((p) => store.pick(id, p.id));
+
+    res.status(200).json({
+      gameId: id,
+      sport: record.sport,
+      home: record.home,
+      away: record.away,
+      startTime: record.startTime,
+      status: record.status,
+      closed,
+      books: store.byBook(id),
+      summary,
+      steam: detectSteam(store.history(id)),
+      picks,
+    });
+  } catch (err) {
+    console.error("[/api/lines/history] ERROR:", err?.stack || err?.message);
+    res.status(500).json({
+      error: err?.message || String(err),
+      stack: process.env.NODE_ENV === "development" ? err?.stack : undefined
+    });
+  }
+}
@@ -6,6 +6,9 @@ import { trackUsage } from '../../lib/middleware/usageTracker.js';
 import { storeUserQuery } from '../user/confidence-history.js';
 import { PlayerPropsEngine } from '../../lib/engines/playerPropsEngine.js';
 import { apiClient } from '../../lib/apiClient.js';
+import { createProvider } from '../../lib/providers/index.js';
+import { parseProp, PropParseError } from '../../lib/propParser.js';
+import { resolveTeam, TeamResolutionError } from '../../lib/teamRegistry.js';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -31,7 +34,7 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { sport, player, prop, startTime, currentPrice } = req.body;
+    const { sport, player, opponent, prop, startTime, currentPrice, odds, simulation } = req.body;
 
     if (!sport || !player || !prop) {
       return res.status(400).json({
@@ -40,21 +43,54 @@ export default async function handler(req, res) {
         example: {
           sport: 'NBA',
           player: 'LeBron James',
+          opponent: 'BOS',
           prop: 'Points 25.5',
           startTime: '2025-10-15T19:00:00Z',
-          currentPrice: -110
+          currentPrice: -110,
+          odds: { over: -110, under: -110 },
+          simulation: { seed: 42, sims: 10000, milestones: [20, 25, 30] }
         }
       });
     }
 
-    const engine = new PlayerPropsEngine(apiClient);
+    try {
+      parseProp(sport, prop);
+    } catch (err) {
+      if (!(err instanceof PropParseError)) throw err;
+      return res.status(400).json({
+        error: 'Unrecognized prop',
+        code: err.code,
+        message: err.message
+      });
+    }
+
+    if (opponent) {
+      try {
+        resolveTeam(sport, opponent);
+      } catch (err) {
+        if (!(err instanceof TeamResolutionError)) throw err;
+        if (err.code === 'AMBIGUOUS_TEAM') {
+          return res.status(400).json({
+            error: 'Ambiguous opponent',
+            code: err.code,
+            message: err.message,
+            candidates: err.candidates
+          });
+        }
+      }
+    }
+
+    const engine = new PlayerPropsEngine(createProvider({ client: apiClient }));
     
     const result = await engine.evaluateProp({
       sport,
       player,
+      opponent,
       prop,
       startTime,
-      currentPrice
+      currentPrice,
+      odds,
+      simulation
     });
 
     // Store query in user history (confidence scores only, no outcomes)
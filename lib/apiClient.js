@@ -1,9 +1,13 @@
 // lib/apiClient.js
 // SportsDataIO API Client — primary: SportsDataIO with local cache
-// Odds API removed - using internal house logic only
+// Odds API: fallback odds provider (lib/oddsApiClient.js), reached through getOddsFromOddsAPI
+// SPORTSDATA_MODE=record saves every response to fixtures; replay serves only from them
 
 import fetch from "node-fetch";
 import cacheClient from "./cacheClient.js";
+import { FixtureStore, parseAsOf } from "./fixtureStore.js";
+import { oddsApiClient } from "./oddsApiClient.js";
+import { parseProp, PropParseError } from "./propParser.js";
 
 function resolveEnvApiKey() {
   // ← PRIORITY: Check SPORTSDATA_API_KEY first (your main API key)
@@ -30,7 +34,7 @@ function resolveEnvApiKey() {
 async function _detectMLBSeason(client) {
   try {
     // Try current year first
-    const currentYear = new Date().getFullYear();
+    const currentYear = client._now().getFullYear();
     console.log(`[_detectMLBSeason] Trying season: ${currentYear}`);
     const test = await client._getWithCache(`/mlb/stats/json/PlayerSeasonStats/${currentYear}`, {}, 60);
     if (Array.isArray(test) && test.length > 0) {
@@ -51,7 +55,7 @@ async function _detectMLBSeason(client) {
     console.log(`[_detectMLBSeason] Both failed, fallback to: ${prevYear}`);
     return prevYear;
   } catch (err) {
-    const fallback = new Date().getFullYear() - 1;
+    const fallback = client._now().getFullYear() - 1;
     console.warn(`[_detectMLBSeason] Error: ${err?.message}, fallback to season: ${fallback}`);
     return fallback;
   }
@@ -63,19 +67,52 @@ export class SportsDataIOClient {
     this.baseURL = (opts.baseURL || process.env.SPORTSDATA_BASEURL || "https://api.sportsdata.io/v3").replace(/\/+$/, "");
     this.cacheTTL = Number(opts.cacheTTL || process.env.SPORTSDATA_CACHE_TTL || 3600); // default 1 hour
     this.lastHttp = null;
-    
-    if (!this.apiKey) {
+    this.oddsApi = opts.oddsApi || oddsApiClient;
+    // live | record | replay; replay needs no key and never touches the network
+    this.mode = String(opts.mode || process.env.SPORTSDATA_MODE || "live").toLowerCase();
+    if (!["live", "record", "replay"].includes(this.mode)) {
+      console.warn(`[SportsDataIOClient] Unknown SPORTSDATA_MODE "${this.mode}", using live`);
+      this.mode = "live";
+    }
+    this.asOf = opts.asOf ?? process.env.SPORTSDATA_AS_OF ?? null;
+    if (this.mode === "replay") parseAsOf(this.asOf); // fail fast on a malformed date
+    this.fixtures = this.mode === "live"
+      ? null
+      : new FixtureStore("sportsdataio", { dir: opts.fixtureDir || process.env.SPORTSDATA_FIXTURE_DIR || undefined });
+
+    if (this.mode !== "live") {
+      console.log(`[SportsDataIOClient] ${this.mode} mode, fixtures in ${this.fixtures.dir}${this.asOf ? ` as of ${this.asOf}` : ""}`);
+    }
+    if (!this.apiKey && this.mode !== "replay") {
       console.error("[SportsDataIOClient] ⚠️ WARNING: No API key configured! Set SPORTSDATA_API_KEY in environment variables.");
-    } else {
+    } else if (this.apiKey) {
       console.log(`[SportsDataIOClient] Initialized with API key: ${this.apiKey.substring(0, 8)}...`);
     }
   }
 
   setApiKey(k) { this.apiKey = (k||"").trim(); }
 
+  // "Today" for season detection: the as-of date when replaying, else the clock
+  _now() {
+    const asOf = this.mode === "replay" ? parseAsOf(this.asOf) : null;
+    return asOf != null ? new Date(asOf) : new Date();
+  }
+
+  // Replay: the recording current at the as-of time, or null (no network fallback)
+  _replay(path, params) {
+    const fixture = this.fixtures.lookup(path, params, { asOf: this.asOf });
+    this.lastHttp = { status: fixture ? 200 : 404, ok: !!fixture, url: this.baseURL + path, replayedAt: fixture?.recordedAt ?? null };
+    if (!fixture) {
+      console.warn(`[SportsDataIOClient] no fixture for ${path} ${JSON.stringify(params)}${this.asOf ? ` as of ${this.asOf}` : ""}`);
+      return null;
+    }
+    return fixture.response;
+  }
+
   async _getWithCache(path, params = {}, ttlSeconds = this.cacheTTL) {
+    if (this.mode === "replay") return this._replay(path, params);
     const cacheKey = `${path}|${JSON.stringify(params)}`;
-    return await cacheClient.getOrFetch(cacheKey, params, ttlSeconds, async () => {
+    const value = await cacheClient.getOrFetch(cacheKey, params, ttlSeconds, async () => {
       const url = new URL(this.baseURL + path);
       for (const [k, v] of Object.entries(params || {})) {
         if (v !== undefined && v !== null && v !== "") url.searchParams.set(k, String(v));
@@ -100,6 +137,9 @@ export class SportsDataIOClient {
         return null;
       }
     });
+    // What the caller saw, cache hits included, so a replay sees the same data
+    if (this.mode === "record") this.fixtures.record(path, params, value);
+    return value;
   }
 
   // ========== ROSTER METHODS ==========
@@ -138,8 +178,6 @@ export class SportsDataIOClient {
   
   async getLeagueAverages(sport, prop) {
     try {
-      const propLower = String(prop || "").toLowerCase();
-      
       const averages = {
         NBA: {
           points: 15.5,
@@ -160,7 +198,7 @@ export class SportsDataIOClient {
           strikeouts: 5.8,
           hits: 1.2,
           runs: 0.8,
-          rbis: 0.9,
+          rbi: 0.9,
         },
         NFL: {
           passing_yards: 235,
@@ -174,22 +212,18 @@ export class SportsDataIOClient {
       const sportAvgs = averages[sportUpper];
       if (!sportAvgs) return null;
 
-      if (propLower.includes("point") || propLower.includes("pts")) return sportAvgs.points;
-      if (propLower.includes("rebound") || propLower.includes("reb")) return sportAvgs.rebounds;
-      if (propLower.includes("assist") || propLower.includes("ast")) return sportAvgs.assists;
-      if (propLower.includes("steal")) return sportAvgs.steals;
-      if (propLower.includes("block")) return sportAvgs.blocks;
-      if (propLower.includes("three") || propLower.includes("3pt")) return sportAvgs.threes;
-      if (propLower.includes("strikeout") || propLower.includes("k")) return sportAvgs.strikeouts;
-      if (propLower.includes("hit")) return sportAvgs.hits;
-      if (propLower.includes("run")) return sportAvgs.runs;
-      if (propLower.includes("rbi")) return sportAvgs.rbis;
-      if (propLower.includes("passing")) return sportAvgs.passing_yards;
-      if (propLower.includes("rushing")) return sportAvgs.rushing_yards;
-      if (propLower.includes("receiving")) return sportAvgs.receiving_yards;
-      if (propLower.includes("touchdown") || propLower.includes("td")) return sportAvgs.touchdowns;
+      let parsed;
+      try {
+        parsed = parseProp(sportUpper, prop);
+      } catch (err) {
+        if (err instanceof PropParseError) return null;
+        throw err;
+      }
+
+      // Combo props have no single league average; StatisticalModels.getBaseline covers them
+      if (parsed.combo) return null;
 
-      return null;
+      return sportAvgs[parsed.market] ?? null;
     } catch (err) {
       console.warn("[SportsDataIOClient] getLeagueAverages failed", err?.message || err);
       return null;
@@ -209,7 +243,7 @@ export class SportsDataIOClient {
 
   // ========== PLAYER GAME LOGS (LAST N GAMES ACTUALLY PLAYED) ==========
   
-  async getMLBPlayerGameLogs(playerName, season = null, count = 15) {
+  async getMLBPlayerGameLogs(playerName, season = null, count = 15, { batting = false } = {}) {
     try {
       // Auto-detect season if not provided
      if (!season) {
@@ -253,16 +287,20 @@ export class SportsDataIOClient {
       
       console.log(`[getMLBPlayerGameLogs] Fetched ${gameLogs.length} total game records`);
       
-      // Filter to only games where player actually pitched (had stats)
+      // Filter to only games where player actually batted/pitched (had stats)
       const gamesPlayed = gameLogs.filter(g => {
         if (!g || !g.DateTime) return false;
+        if (batting) {
+          const pa = Number(g?.PlateAppearances) || Number(g?.AtBats) || 0;
+          return pa > 0;
+        }
         const ip = Number(g?.PitchingInningsPitchedDecimal) || Number(g?.InningsPitched) || 0;
         const outs = Number(g?.PitchingOuts) || 0;
         const bf = Number(g?.PitchingBattersFaced) || 0;
         return ip > 0 || outs > 0 || bf > 0;
       });
       
-      console.log(`[getMLBPlayerGameLogs] ✓ Found ${gamesPlayed.length} games where ${playerName} pitched`);
+      console.log(`[getMLBPlayerGameLogs] ✓ Found ${gamesPlayed.length} games where ${playerName} ${batting ? "batted" : "pitched"}`);
       
       return gamesPlayed
         .sort((a, b) => new Date(b.DateTime) - new Date(a.DateTime))
@@ -310,6 +348,42 @@ export class SportsDataIOClient {
     }
   }
 
+  async getWNBAPlayerGameLogs(playerName, season = "2025", count = 15) {
+    try {
+      const seasonStats = await this.getWNBAPlayerSeasonStats(season);
+      if (!Array.isArray(seasonStats)) return [];
+      
+      const player = seasonStats.find(p => {
+        const name = String(p?.Name || "").toLowerCase();
+        const target = String(playerName || "").toLowerCase();
+        return name.includes(target) || target.includes(name);
+      });
+      
+      if (!player || !player.PlayerID) return [];
+      
+      const gameLogs = await this._getWithCache(
+        `/wnba/stats/json/PlayerGameStatsBySeason/${season}/${player.PlayerID}`,
+        {},
+        this.cacheTTL
+      );
+      
+      if (!Array.isArray(gameLogs)) return [];
+      
+      const gamesPlayed = gameLogs.filter(g => {
+        if (!g || !g.DateTime) return false;
+        const minutes = Number(g?.Minutes) || 0;
+        return minutes > 0;
+      });
+      
+      return gamesPlayed
+        .sort((a, b) => new Date(b.DateTime) - new Date(a.DateTime))
+        .slice(0, count);
+    } catch (err) {
+      console.warn("[SportsDataIOClient] getWNBAPlayerGameLogs failed", err?.message || err);
+      return [];
+    }
+  }
+
   // ========== TEAM MATCHUP HISTORY (LAST 10 GAMES VS OPPONENT) ==========
   
   async getTeamMatchupHistory(sport, team, opponent, season = "2024", count = 10) {
@@ -330,12 +404,40 @@ export class SportsDataIOClient {
   getNFLWeekCurrent() { return this._getWithCache(`/nfl/scores/json/CurrentWeek`, {}, this.cacheTTL); }
   getNFLPlayerGameStatsByWeek(season, week) { return this._getWithCache(`/nfl/stats/json/PlayerGameStatsByWeek/${season}/${week}`, {}, this.cacheTTL); }
 
+  // ========== INJURIES ==========
+
+  async getInjuredPlayers(sport) {
+    try {
+      const s = String(sport || "").toLowerCase();
+      // Injury news moves fast; keep this cache short
+      const data = await this._getWithCache(`/${s}/projections/json/InjuredPlayers`, {}, 900);
+      return Array.isArray(data) ? data : [];
+    } catch (err) {
+      console.warn("[SportsDataIOClient] getInjuredPlayers failed", err?.message || err);
+      return [];
+    }
+  }
+
+  // ========== GAME SCORES (POWER RATINGS) ==========
+
+  // Full-season schedule with final scores; NFL serves the same rows as Scores
+  getGamesBySeason(sport, season) {
+    const s = String(sport || "").toLowerCase();
+    const endpoint = s === "nfl" ? `/nfl/scores/json/Scores/${season}` : `/${s}/scores/json/Games/${season}`;
+    return this._getWithCache(endpoint, {}, this.cacheTTL);
+  }
+
   // ========== GAME ODDS (INTERNAL REFERENCE ONLY) ==========
   
   getMLBGameOdds(date) { return this._getWithCache(`/mlb/odds/json/GameOddsByDate/${date}`, {}, this.cacheTTL); }
   getNBAGameOdds(date) { return this._getWithCache(`/nba/odds/json/GameOddsByDate/${date}`, {}, this.cacheTTL); }
   getWNBAGameOdds(date) { return this._getWithCache(`/wnba/odds/json/GameOddsByDate/${date}`, {}, this.cacheTTL); }
   getNFLGameOdds(week) { return this._getWithCache(`/nfl/odds/json/GameOddsByWeek/${week}`, {}, this.cacheTTL); }
+
+  // ========== ODDS API (FALLBACK PROVIDER) ==========
+
+  getOddsFromOddsAPI(opts) { return this.oddsApi.getOddsFromOddsAPI(opts); }
+  getPlayerPropsFromOddsAPI(opts) { return this.oddsApi.getPlayerPropsFromOddsAPI(opts); }
 }
 
 // singleton
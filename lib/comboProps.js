@@ -0,0 +1,132 @@
+// lib/comboProps.js
+// Combo prop grammar: props that sum several game-log fields per row
+// (e.g. "Pts+Reb+Ast 35.5", "Rush+Rec Yards 80.5", "H+R+RBI 1.5")
+
+function num(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+// Combo component -> box-score stat key it sums
+const STAT_KEYS = {
+  points: "points",
+  rebounds: "rebounds",
+  assists: "assists",
+  steals: "steals",
+  blocks: "blocks",
+  passingYards: "passing_yards",
+  rushingYards: "rushing_yards",
+  receivingYards: "receiving_yards",
+  hits: "hits",
+  runs: "runs",
+  rbi: "rbi",
+  totalBases: "total_bases",
+};
+
+// Words a user may type for each component, per sport
+const COMPONENT_ALIASES = {
+  NBA: {
+    p: "points", pts: "points", point: "points", points: "points",
+    r: "rebounds", reb: "rebounds", rebs: "rebounds", rebound: "rebounds", rebounds: "rebounds",
+    a: "assists", ast: "assists", asts: "assists", assist: "assists", assists: "assists",
+    s: "steals", stl: "steals", stls: "steals", steal: "steals", steals: "steals",
+    b: "blocks", blk: "blocks", blks: "blocks", block: "blocks", blocks: "blocks",
+  },
+  NFL: {
+    pass: "passingYards", passing: "passingYards",
+    rush: "rushingYards", rushing: "rushingYards",
+    rec: "receivingYards", receiving: "receivingYards",
+  },
+  MLB: {
+    h: "hits", hit: "hits", hits: "hits",
+    r: "runs", run: "runs", runs: "runs",
+    rbi: "rbi", rbis: "rbi",
+  },
+};
+COMPONENT_ALIASES.WNBA = COMPONENT_ALIASES.NBA;
+
+// Supported combos: canonical key, summed components and shorthand aliases
+const COMBO_DEFS = {
+  NBA: [
+    { key: "PRA", components: ["points", "rebounds", "assists"], aliases: ["pra"] },
+    { key: "PR", components: ["points", "rebounds"], aliases: ["pr"] },
+    { key: "PA", components: ["points", "assists"], aliases: ["pa"] },
+    { key: "RA", components: ["rebounds", "assists"], aliases: ["ra"] },
+    { key: "STOCKS", components: ["steals", "blocks"], aliases: ["stocks"] },
+  ],
+  NFL: [
+    { key: "RUSH_REC_YDS", components: ["rushingYards", "receivingYards"], aliases: ["scrimmage yards"] },
+    { key: "PASS_RUSH_YDS", components: ["passingYards", "rushingYards"], aliases: [] },
+  ],
+  MLB: [
+    { key: "HRR", components: ["hits", "runs", "rbi"], aliases: ["hrr"] },
+    { key: "TOTAL_BASES", components: ["totalBases"], aliases: ["total bases", "tb"] },
+  ],
+};
+COMBO_DEFS.WNBA = COMBO_DEFS.NBA;
+
+function sameSet(a, b) {
+  return a.length === b.length && a.every((x) => b.includes(x));
+}
+
+/**
+ * Recognise a combo prop in free text.
+ * Accepts "+"-joined components ("Pts+Reb+Ast", "Rush + Rec Yards", "Hits + Runs + RBIs")
+ * and shorthand ("PRA", "Stocks", "HRR", "Total Bases").
+ * @param {string} sport - Sport code (NBA, WNBA, MLB, NFL)
+ * @param {string} prop - Prop description (e.g. "PRA 35.5")
+ * @returns {{key: string, components: string[]}|null} Combo definition or null for single-stat props
+ */
+export function parseComboProp(sport, prop) {
+  const s = String(sport || "").toUpperCase();
+  const defs = COMBO_DEFS[s];
+  if (!defs) return null;
+
+  const text = String(prop || "")
+    .toLowerCase()
+    .replace(/\d+(\.\d+)?\s*\+/g, " ") // milestone "25+" is not a combo
+    .replace(/-?\d+(\.\d+)?/g, " ")
+    .replace(/\s*(&|\band\b)\s*/g, "+")
+    .replace(/\s*\+\s*/g, "+")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  if (text.includes("+")) {
+    const aliases = COMPONENT_ALIASES[s] || {};
+    const components = text
+      .split("+")
+      .map((tok) => tok.replace(/\b(yards|yds|yd|total|combined|o|u|over|under)\b/g, "").trim())
+      .map((tok) => tok.split(" ").pop())
+      .map((tok) => aliases[tok]);
+
+    if (components.length > 1 && components.every(Boolean)) {
+      const def = defs.find((d) => sameSet(d.components, [...new Set(components)]));
+      if (def) return { key: def.key, components: def.components };
+    }
+  }
+
+  for (const def of defs) {
+    for (const alias of def.aliases) {
+      const re = new RegExp(`(^|[^a-z])${alias}([^a-z]|$)`);
+      if (re.test(text)) return { key: def.key, components: def.components };
+    }
+  }
+  return null;
+}
+
+/**
+ * Sum a combo's component fields from a game-log (or season) row.
+ * @param {{components: string[]}} combo - Output of parseComboProp
+ * @param {object} row - Box-score line (stats keyed by market name)
+ * @returns {number} Summed value, or NaN if any component is missing
+ */
+export function comboValueFromRow(combo, row) {
+  if (!combo || !row || typeof row !== "object") return NaN;
+  let total = 0;
+  for (const c of combo.components) {
+    const v = STAT_KEYS[c] ? num(row?.stats?.[STAT_KEYS[c]]) : NaN;
+    if (!Number.isFinite(v)) return NaN;
+    total += v;
+  }
+  return total;
+}
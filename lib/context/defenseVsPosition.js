@@ -0,0 +1,154 @@
+// lib/context/defenseVsPosition.js
+// Defense-vs-position: how much each opponent allows to a position group for a stat,
+// relative to the league average per team-game. Built from the provider's box-score
+// lines for recent dates (or NFL weeks), which carry team, opponent and position.
+
+import { resolveTeam, TeamResolutionError } from "./../teamRegistry.js";
+
+// Position groups pooled together so each opponent has a usable sample
+const POSITION_GROUPS = {
+  NBA: { PG: "G", SG: "G", G: "G", SF: "F", PF: "F", F: "F", C: "C", FC: "C" },
+  NFL: { QB: "QB", RB: "RB", FB: "RB", WR: "WR", TE: "TE", K: "K" },
+};
+POSITION_GROUPS.WNBA = POSITION_GROUPS.NBA;
+
+const MLB_PITCHER_POSITIONS = new Set(["P", "SP", "RP"]);
+
+function num(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+/**
+ * Map a roster position onto its defense-vs-position group.
+ * MLB splits into pitchers ("P") and hitters ("H").
+ * @param {string} sport - Sport code (NBA, WNBA, MLB, NFL)
+ * @param {string} position - Roster position (e.g. "PG", "WR", "SP")
+ * @returns {string|null} Group code, or null when the position is unknown
+ */
+export function positionGroup(sport, position) {
+  const s = String(sport || "").toUpperCase();
+  const pos = String(position || "").toUpperCase().trim();
+  if (!pos) return null;
+  if (s === "MLB") return MLB_PITCHER_POSITIONS.has(pos) ? "P" : "H";
+  const groups = POSITION_GROUPS[s];
+  if (!groups) return null;
+  if (groups[pos]) return groups[pos];
+  // Hybrid listings ("G-F", "F-C") take their first position
+  const first = pos.split(/[-/]/)[0];
+  return groups[first] || null;
+}
+
+// Only count rows where the player actually took part in the game
+function appeared(sport, group, row) {
+  const stats = row?.stats || {};
+  if (sport === "NBA" || sport === "WNBA") return num(stats.minutes) > 0;
+  if (sport === "MLB") {
+    if (group === "P") return num(stats.outs) > 0 || num(stats.innings_pitched) > 0;
+    return num(stats.plate_appearances) > 0 || num(stats.at_bats) > 0;
+  }
+  return row?.played !== false;
+}
+
+/**
+ * Aggregate what each opponent allowed to one position group.
+ * @param {Array<object>} rows - Box-score lines across many dates
+ * @param {{sport: string, group: string, valueOf: function(object): number}} opts
+ * @returns {{byTeam: Object<string, {total: number, games: number, perGame: number}>, leaguePerGame: number}}
+ */
+export function buildDefenseTable(rows, { sport, group, valueOf }) {
+  const s = String(sport || "").toUpperCase();
+  const byTeam = {};
+  const seen = new Set();
+
+  for (const row of Array.isArray(rows) ? rows : []) {
+    if (!row || typeof row !== "object") continue;
+    const opp = String(row.opponent || "").toUpperCase();
+    if (!opp || positionGroup(s, row.position) !== group) continue;
+    if (!appeared(s, group, row)) continue;
+    const v = valueOf(row);
+    if (!Number.isFinite(v)) continue;
+
+    // Rows can repeat when date windows overlap; count each player-game once
+    const gameKey = row.gameId ?? row.date ?? row.week;
+    const rowKey = `${row.playerId ?? row.name}|${gameKey}`;
+    if (seen.has(rowKey)) continue;
+    seen.add(rowKey);
+
+    const t = (byTeam[opp] = byTeam[opp] || { total: 0, gameKeys: new Set() });
+    t.total += v;
+    t.gameKeys.add(String(gameKey));
+  }
+
+  let total = 0;
+  let games = 0;
+  for (const t of Object.values(byTeam)) {
+    t.games = t.gameKeys.size;
+    delete t.gameKeys;
+    t.perGame = t.games > 0 ? t.total / t.games : NaN;
+    total += t.total;
+    games += t.games;
+  }
+
+  return { byTeam, leaguePerGame: games > 0 ? total / games : NaN };
+}
+
+/**
+ * Opponent multiplier on the projected mean, shrunk toward 1 for small samples.
+ * Rank 1 is the stingiest defense (fewest allowed per game) of `teams` ranked.
+ * @param {{byTeam: object, leaguePerGame: number}} table - Output of buildDefenseTable
+ * @param {string} opponent - Opponent team code (e.g. "LAL")
+ * @param {{shrinkGames?: number, minGames?: number, min?: number, max?: number}} [opts]
+ * @returns {{factor: number, rawFactor: number, rank: number, teams: number, games: number,
+ *           allowedPerGame: number, leaguePerGame: number}|null} Null when the sample is too thin
+ */
+export function opponentDefenseFactor(table, opponent, opts = {}) {
+  const { shrinkGames = 5, minGames = 2, min = 0.85, max = 1.15 } = opts;
+  const opp = String(opponent || "").toUpperCase();
+  const t = table?.byTeam?.[opp];
+  const league = table?.leaguePerGame;
+  if (!t || !(t.games >= minGames) || !(league > 0) || !Number.isFinite(t.perGame)) return null;
+
+  const rawFactor = t.perGame / league;
+  const weight = t.games / (t.games + shrinkGames);
+  const factor = Math.max(min, Math.min(max, 1 + (rawFactor - 1) * weight));
+
+  const ranked = Object.entries(table.byTeam)
+    .filter(([, v]) => v.games >= minGames && Number.isFinite(v.perGame))
+    .sort((a, b) => a[1].perGame - b[1].perGame);
+  const rank = ranked.findIndex(([code]) => code === opp) + 1;
+
+  return {
+    factor,
+    rawFactor,
+    rank,
+    teams: ranked.length,
+    games: t.games,
+    allowedPerGame: t.perGame,
+    leaguePerGame: league,
+  };
+}
+
+/**
+ * Match free-text opponent input against the team codes present in the data.
+ * Exact codes match directly; anything else ("Lakers", "GSW", "Golden State") goes
+ * through the team registry when the sport is known.
+ * @param {string} opponent - User input (e.g. "lal", "LAL", "Lakers")
+ * @param {Iterable<string>} codes - Team codes seen in the stat rows
+ * @param {string} [sport] - Sport code, enables registry lookup
+ * @returns {string|null} Matching code, or null when nothing (or more than one team) matches
+ */
+export function resolveOpponentCode(opponent, codes, sport) {
+  const q = String(opponent || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+  if (!q) return null;
+  const present = [...codes].map((c) => String(c).toUpperCase());
+  if (present.includes(q)) return q;
+  if (!sport) return null;
+  try {
+    const team = resolveTeam(sport, opponent, { codes: present });
+    return present.includes(team.code) ? team.code : null;
+  } catch (err) {
+    if (!(err instanceof TeamResolutionError)) throw err;
+    return null;
+  }
+}
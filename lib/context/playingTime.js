@@ -0,0 +1,115 @@
+// lib/context/playingTime.js
+// Playing-time layer: split a stat into (rate per unit of playing time) x (projected
+// playing time). Units are minutes (NBA/WNBA), offensive snaps (NFL), batters faced
+// (MLB pitchers) and plate appearances (MLB hitters).
+
+import { StatisticalModels } from "../statisticalModels.js";
+
+const UNITS = {
+  NBA: { unit: "minutes", read: (r) => Number(r?.stats?.minutes) },
+  WNBA: { unit: "minutes", read: (r) => Number(r?.stats?.minutes) },
+  NFL: { unit: "snaps", read: (r) => Number(r?.stats?.offensive_snaps) },
+  MLB_PITCHING: { unit: "batters_faced", read: (r) => Number(r?.stats?.batters_faced) },
+  MLB_BATTING: { unit: "plate_appearances", read: (r) => Number(r?.stats?.plate_appearances) },
+};
+
+// Blowout model per sport: final-margin sd around the spread, margin that empties
+// the bench, and the share of a starter's minutes lost when it happens
+const BLOWOUT = {
+  NBA: { sd: 12, margin: 15, starterMinutes: 24, starterLoss: 0.2, benchGain: 0.15 },
+  WNBA: { sd: 11, margin: 15, starterMinutes: 20, starterLoss: 0.2, benchGain: 0.15 },
+};
+
+const RECENT_GAMES = 15;
+const TREND_GAMES = 5;
+const TREND_WEIGHT = 0.6;
+const MIN_GAMES = 3;
+
+function rowDate(row) {
+  const d = new Date(String(row?.date ?? "").slice(0, 10));
+  return isNaN(d.getTime()) ? null : d;
+}
+
+function unitFor(sport, pitching) {
+  const s = String(sport || "").toUpperCase();
+  if (s === "MLB") return pitching ? UNITS.MLB_PITCHING : UNITS.MLB_BATTING;
+  return UNITS[s] || null;
+}
+
+// Playing-time multiplier from days of rest (back-to-backs, short-rest starts)
+function restFactor(sport, pitching, restDays) {
+  if (!Number.isFinite(restDays)) return 1;
+  const s = String(sport || "").toUpperCase();
+  if ((s === "NBA" || s === "WNBA") && restDays === 0) return 0.97;
+  if (s === "MLB" && pitching && restDays < 4) return 0.9;
+  return 1;
+}
+
+/**
+ * Chance the game is decided by more than the sport's blowout margin, either way.
+ * @param {string} sport - Sport code
+ * @param {number} spread - Team's point spread (negative = favoured)
+ * @returns {number|null} Probability, or null when the sport has no blowout model
+ */
+export function blowoutProbability(sport, spread) {
+  const cfg = BLOWOUT[String(sport || "").toUpperCase()];
+  if (!cfg || !Number.isFinite(spread)) return null;
+  const mu = -spread;
+  return 1 - StatisticalModels.normalCDF(cfg.margin, mu, cfg.sd) + StatisticalModels.normalCDF(-cfg.margin, mu, cfg.sd);
+}
+
+/**
+ * Project tonight's playing time and the per-unit production rate.
+ * @param {string} sport - Sport code
+ * @param {Array<object>} rows - Player game-log rows
+ * @param {function(object): number} valueOf - Stat reader for a row
+ * @param {{pitching?: boolean, gameDate?: string, spread?: number}} [opts]
+ * @returns {{unit: string, perUnitRate: number, projected: number, recentAvg: number, trendAvg: number,
+ *           restDays: number|null, restFactor: number, blowoutProb: number|null, blowoutFactor: number,
+ *           games: number}|null} Null when the rows carry no playing-time field
+ */
+export function projectPlayingTime(sport, rows, valueOf, { pitching = false, gameDate, spread } = {}) {
+  const s = String(sport || "").toUpperCase();
+  const unit = unitFor(s, pitching);
+  if (!unit) return null;
+
+  const target = gameDate ? new Date(String(gameDate).slice(0, 10)) : null;
+  const games = (Array.isArray(rows) ? rows : [])
+    .map((row) => ({ date: rowDate(row), time: unit.read(row), value: valueOf(row) }))
+    .filter((g) => g.date && g.time > 0 && Number.isFinite(g.value) && (!target || g.date < target))
+    .sort((a, b) => b.date - a.date)
+    .slice(0, RECENT_GAMES);
+  if (games.length < MIN_GAMES) return null;
+
+  const totalTime = games.reduce((a, g) => a + g.time, 0);
+  const perUnitRate = games.reduce((a, g) => a + g.value, 0) / totalTime;
+  const recentAvg = totalTime / games.length;
+  const trendGames = games.slice(0, TREND_GAMES);
+  const trendAvg = trendGames.reduce((a, g) => a + g.time, 0) / trendGames.length;
+
+  const restDays = target ? Math.round((target - games[0].date) / 86400000) - 1 : null;
+  const rest = restFactor(s, pitching, restDays);
+
+  // Historical minutes already include an average blowout rate, so scale relative to a pick'em
+  let blowoutFactor = 1;
+  const blowoutProb = blowoutProbability(s, spread);
+  const cfg = BLOWOUT[s];
+  if (cfg && blowoutProb != null) {
+    const swing = recentAvg >= cfg.starterMinutes ? -cfg.starterLoss : cfg.benchGain;
+    blowoutFactor = (1 + swing * blowoutProb) / (1 + swing * blowoutProbability(s, 0));
+  }
+
+  const projected = (TREND_WEIGHT * trendAvg + (1 - TREND_WEIGHT) * recentAvg) * rest * blowoutFactor;
+  return {
+    unit: unit.unit,
+    perUnitRate,
+    projected,
+    recentAvg,
+    trendAvg,
+    restDays,
+    restFactor: rest,
+    blowoutProb,
+    blowoutFactor,
+    games: games.length,
+  };
+}
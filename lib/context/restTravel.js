@@ -0,0 +1,170 @@
+// lib/context/restTravel.js
+// Schedule context for player props: days of rest, back-to-backs, home/away and
+// road-trip length read off game-log dates. Multipliers per sport are learned from
+// historical splits and shrunk toward priors. Splits live in the object the caller
+// passes around (see learnScheduleSplits), so an evaluation only sees the games it
+// learned from and nothing carries over between evaluations.
+
+// Days of rest -> bucket, first matching upper bound wins
+const REST_BUCKETS = {
+  NBA: [[0, "b2b"], [1, "rest1"], [Infinity, "rest2plus"]],
+  NFL: [[5, "short_week"], [8, "normal_week"], [Infinity, "extended_rest"]],
+  MLB: [[0, "no_rest"], [3, "rest1_3"], [4, "rest4"], [Infinity, "rest5plus"]],
+};
+REST_BUCKETS.WNBA = REST_BUCKETS.NBA;
+
+// Multipliers used until enough games have been learned for the sport
+const PRIORS = {
+  NBA: { b2b: 0.96, rest1: 1.0, rest2plus: 1.01, home: 1.01, away: 0.99, trip3plus: 0.98 },
+  WNBA: { b2b: 0.96, rest1: 1.0, rest2plus: 1.01, home: 1.01, away: 0.99, trip3plus: 0.98 },
+  NFL: { short_week: 0.97, normal_week: 1.0, extended_rest: 1.02, home: 1.02, away: 0.98, trip3plus: 1.0 },
+  MLB: { no_rest: 1.0, rest1_3: 1.0, rest4: 0.99, rest5plus: 1.0, home: 1.0, away: 1.0, trip3plus: 0.99 },
+};
+
+const PRIOR_GAMES = 50; // learned games at which learned and prior splits weigh equally
+const MIN_PLAYER_GAMES = 5;
+const MIN_MULT = 0.9;
+const MAX_MULT = 1.1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function rowDate(row) {
+  const raw = row?.date;
+  if (!raw) return null;
+  const d = new Date(String(raw).slice(0, 10) + "T00:00:00Z");
+  return isNaN(d.getTime()) ? null : d;
+}
+
+function venueOf(row) {
+  const v = String(row?.homeOrAway || "").toUpperCase();
+  return v === "HOME" ? "home" : v === "AWAY" ? "away" : null;
+}
+
+function restBucket(sport, days) {
+  if (!Number.isFinite(days)) return null;
+  for (const [max, bucket] of REST_BUCKETS[sport] || []) {
+    if (days <= max) return bucket;
+  }
+  return null;
+}
+
+/**
+ * Oldest-first game rows with rest days, rest bucket, venue and road-trip game number.
+ * @param {string} sport - Sport code
+ * @param {Array<object>} rows - Game-log rows (any order)
+ * @returns {Array<{row: object, date: Date, restDays: number|null, rest: string|null,
+ *           venue: "home"|"away"|null, tripGame: number}>}
+ */
+export function annotateSchedule(sport, rows) {
+  const s = String(sport || "").toUpperCase();
+  const dated = (Array.isArray(rows) ? rows : [])
+    .map((row) => ({ row, date: rowDate(row) }))
+    .filter((r) => r.date)
+    .sort((a, b) => a.date - b.date);
+
+  let trip = 0;
+  return dated.map((g, i) => {
+    const prev = dated[i - 1];
+    const restDays = prev ? Math.round((g.date - prev.date) / DAY_MS) - 1 : null;
+    const venue = venueOf(g.row);
+    trip = venue === "away" ? trip + 1 : 0;
+    return { ...g, restDays, rest: restBucket(s, restDays), venue, tripGame: trip };
+  });
+}
+
+/**
+ * Add one player's games to a set of splits. Values are normalised by the player's
+ * own mean so stars and role players contribute on the same scale. Pass the returned
+ * splits back in to pool several players; omit them to start empty.
+ * @param {string} sport - Sport code
+ * @param {Array<object>} rows - Player game-log rows, already cut at the as-of date
+ * @param {function(object): number} valueOf - Stat reader for a row
+ * @param {string|number} playerKey - Stable player id used to skip repeat games
+ * @param {{seen: Set<string>, buckets: Object<string, {sum: number, n: number}>, games: number}} [splits]
+ * @returns {{seen: Set<string>, buckets: Object<string, {sum: number, n: number}>, games: number}} The splits
+ */
+export function learnScheduleSplits(sport, rows, valueOf, playerKey, splits = { seen: new Set(), buckets: {}, games: 0 }) {
+  const s = String(sport || "").toUpperCase();
+  if (!PRIORS[s]) return splits;
+  const games = annotateSchedule(s, rows)
+    .map((g) => ({ ...g, value: valueOf(g.row) }))
+    .filter((g) => Number.isFinite(g.value));
+  if (games.length < MIN_PLAYER_GAMES) return splits;
+
+  const mean = games.reduce((a, g) => a + g.value, 0) / games.length;
+  if (!(mean > 0)) return splits;
+
+  const add = (key, v) => {
+    const b = (splits.buckets[key] = splits.buckets[key] || { sum: 0, n: 0 });
+    b.sum += v;
+    b.n += 1;
+  };
+
+  for (const g of games) {
+    const id = `${playerKey}|${g.row.gameId ?? g.date.toISOString().slice(0, 10)}`;
+    if (splits.seen.has(id)) continue;
+    splits.seen.add(id);
+    const norm = g.value / mean;
+    if (g.rest) add(g.rest, norm);
+    if (g.venue) add(g.venue, norm);
+    if (g.tripGame >= 3) add("trip3plus", norm);
+    splits.games += 1;
+  }
+  return splits;
+}
+
+/**
+ * Per-sport multipliers: learned split means shrunk toward the priors.
+ * @param {string} sport - Sport code
+ * @param {object} [splits] - From learnScheduleSplits; the priors alone without them
+ * @returns {Object<string, {multiplier: number, games: number}>}
+ */
+export function scheduleMultipliers(sport, splits) {
+  const s = String(sport || "").toUpperCase();
+  const priors = PRIORS[s] || {};
+  const buckets = splits?.buckets || {};
+  const out = {};
+  for (const [key, prior] of Object.entries(priors)) {
+    const b = buckets[key] || { sum: 0, n: 0 };
+    const m = (b.sum + PRIOR_GAMES * prior) / (b.n + PRIOR_GAMES);
+    out[key] = { multiplier: Math.max(MIN_MULT, Math.min(MAX_MULT, m)), games: b.n };
+  }
+  return out;
+}
+
+/**
+ * Rest, venue and travel adjustments for an upcoming game, reported separately.
+ * @param {string} sport - Sport code
+ * @param {Array<object>} rows - Player's prior game-log rows
+ * @param {string} gameDateStr - Upcoming game date (YYYY-MM-DD)
+ * @param {string} [homeOrAway] - "HOME"/"AWAY" for the upcoming game when known
+ * @param {object} [splits] - Learned splits (learnScheduleSplits); priors without them
+ * @returns {{rest: object|null, venue: object|null, travel: object|null, multiplier: number}}
+ */
+export function scheduleAdjustments(sport, rows, gameDateStr, homeOrAway, splits) {
+  const s = String(sport || "").toUpperCase();
+  const mults = scheduleMultipliers(s, splits);
+  const target = rowDate({ date: gameDateStr });
+  const past = annotateSchedule(s, rows).filter((g) => target && g.date < target);
+  const last = past[past.length - 1];
+
+  let rest = null;
+  if (last) {
+    const restDays = Math.round((target - last.date) / DAY_MS) - 1;
+    const bucket = restBucket(s, restDays);
+    if (bucket && mults[bucket]) rest = { daysRest: restDays, bucket, ...mults[bucket] };
+  }
+
+  const venueKey = venueOf({ homeOrAway });
+  const venue = venueKey && mults[venueKey] ? { homeOrAway: venueKey, ...mults[venueKey] } : null;
+
+  let travel = null;
+  if (venueKey === "away") {
+    // Consecutive road games already played, plus this one
+    const roadTripGame = (last?.venue === "away" ? last.tripGame : 0) + 1;
+    const m = roadTripGame >= 3 && mults.trip3plus ? mults.trip3plus : { multiplier: 1, games: 0 };
+    travel = { roadTripGame, ...m };
+  }
+
+  const multiplier = [rest, venue, travel].reduce((acc, a) => acc * (a ? a.multiplier : 1), 1);
+  return { rest, venue, travel, multiplier };
+}
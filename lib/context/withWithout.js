@@ -0,0 +1,48 @@
+// lib/context/withWithout.js
+// With/without teammate splits: a player's per-minute production in games where a
+// named teammate played versus games they missed, from season game logs.
+
+function gameKey(row) {
+  return String(row?.gameId ?? String(row?.date ?? "").slice(0, 10));
+}
+
+function summarize(games) {
+  const minutes = games.reduce((a, g) => a + g.minutes, 0);
+  const total = games.reduce((a, g) => a + g.value, 0);
+  return {
+    games: games.length,
+    perMinute: minutes > 0 ? total / minutes : NaN,
+    minutes: games.length ? minutes / games.length : NaN,
+    perGame: games.length ? total / games.length : NaN,
+  };
+}
+
+/**
+ * Split a player's games by whether a teammate played.
+ * @param {Array<object>} playerRows - Player's box-score lines
+ * @param {Array<object>} teammateRows - Teammate's box-score lines (games they appeared in)
+ * @param {function(object): number} valueOf - Stat reader for a row
+ * @param {{team?: string}} [opts] - Only count player games for this team (skips pre-trade games)
+ * @returns {{with: {games: number, perMinute: number, minutes: number, perGame: number},
+ *           without: {games: number, perMinute: number, minutes: number, perGame: number}}}
+ */
+export function computeWithWithoutSplit(playerRows, teammateRows, valueOf, { team = "" } = {}) {
+  const teammatePlayed = new Set(
+    (Array.isArray(teammateRows) ? teammateRows : [])
+      .filter((r) => Number(r?.stats?.minutes) > 0)
+      .map(gameKey)
+  );
+  const teamCode = String(team || "").toUpperCase();
+
+  const withGames = [];
+  const withoutGames = [];
+  for (const row of Array.isArray(playerRows) ? playerRows : []) {
+    const minutes = Number(row?.stats?.minutes);
+    const value = valueOf(row);
+    if (!(minutes > 0) || !Number.isFinite(value)) continue;
+    if (teamCode && row?.team && String(row.team).toUpperCase() !== teamCode) continue;
+    (teammatePlayed.has(gameKey(row)) ? withGames : withoutGames).push({ minutes, value });
+  }
+
+  return { with: summarize(withGames), without: summarize(withoutGames) };
+}
@@ -4,10 +4,11 @@
 
 import { PlayerPropsEngine } from "./playerPropsEngine.js";
 import { GameLinesEngine } from "./gameLinesEngine.js";
+import { toProvider } from "./../providers/index.js";
 
 export class BatchAnalyzerEngine {
-  constructor(apiClient) {
-    this.apiClient = apiClient || null;
+  constructor(source) {
+    this.provider = toProvider(source);
   }
 
   /**
@@ -48,7 +49,7 @@ export class BatchAnalyzerEngine {
 
         if (entryType === "prop") {
           // Player prop analysis
-          const engine = new PlayerPropsEngine(this.apiClient);
+          const engine = new PlayerPropsEngine(this.provider);
           
           // Normalize input
           const propInput = {
@@ -80,7 +81,7 @@ export class BatchAnalyzerEngine {
           });
         } else if (entryType === "game") {
           // Game line analysis
-          const engine = new GameLinesEngine(this.apiClient);
+          const engine = new GameLinesEngine(this.provider);
           
           // Normalize input
           const gameInput = {
@@ -88,7 +89,8 @@ export class BatchAnalyzerEngine {
             team: entry.team || entry.homeTeam || "",
             opponent: entry.opponent || entry.awayTeam || "",
             startTime: entry.startTime || null,
-            currentPrice: entry.currentPrice || entry.odds?.home || -110,
+            currentPrice: entry.currentPrice ?? null,
+            track: entry.track === true,
             odds: entry.odds || { home: -110, away: -110 }
           };
 
@@ -1,7 +1,14 @@
 // lib/engines/gameLinesEngine.js
-// Market-heavy moneyline engine powered by SportsDataIO pregame odds
+// Market-heavy moneyline, spread and total engine powered by the data provider's pregame odds
 // Enhanced with opening odds tracking and CLV computation
 
+import { devig, DEVIG_METHODS, expectedValue, fairOdds } from "./../oddsMath.js";
+import { getRatings, ratingsAsOf, gamesBefore, ELO_CONFIG, completedGame } from "./../powerRatings.js";
+import { StatisticalModels } from "./../statisticalModels.js";
+import { resolveTeam, TeamResolutionError } from "./../teamRegistry.js";
+import { gameIdOf, getOddsSnapshots, isSnapshotSport, OddsSnapshotStore } from "./../oddsSnapshots.js";
+import { toProvider } from "./../providers/index.js";
+
 function fmtLocalDate(d) {
   const y = d.getFullYear();
   const m = String(d.getMonth() + 1).padStart(2, "0");
@@ -16,93 +23,224 @@ const teamMatches = (toks, s) => {
 };
 const clamp01 = (x) => Math.max(0, Math.min(1, Number.isFinite(+x) ? +x : 0));
 
-function impliedProbFromMoneyline(ml) {
-  const n = Number(ml);
-  if (!Number.isFinite(n) || n === 0) return null;
-  if (n > 0) return 100 / (n + 100);
-  return Math.abs(n) / (Math.abs(n) + 100);
+// Registry match for a requested team. Names outside the registry (other sports,
+// unusual feed labels) return null and fall back to word matching; names that fit
+// several teams throw.
+function resolveRequestTeam(sport, text) {
+  try {
+    return resolveTeam(sport, text);
+  } catch (err) {
+    if (err instanceof TeamResolutionError && err.code === "AMBIGUOUS_TEAM") throw err;
+    return null;
+  }
 }
 
-// Team alias dictionary (expand as needed)
-const TEAM_ALIASES = {
-  MIN: "Vikings", SF: "49ers", GB: "Packers", KC: "Chiefs", DAL: "Cowboys",
-  NE: "Patriots", NYJ: "Jets", NYG: "Giants", LV: "Raiders", LVR: "Raiders",
-  LAC: "Chargers", SD: "Chargers", NO: "Saints", TB: "Buccaneers",
-  MIA: "Dolphins", BUF: "Bills", PHI: "Eagles", WAS: "Commanders",
-  WSH: "Commanders", HOU: "Texans", JAX: "Jaguars", JAC: "Jaguars",
-  PIT: "Steelers", CLE: "Browns", CIN: "Bengals", CHI: "Bears",
-  DET: "Lions", ATL: "Falcons", CAR: "Panthers", SEA: "Seahawks",
-  ARI: "Cardinals", DEN: "Broncos", TEN: "Titans", IND: "Colts",
-  BAL: "Ravens", LA: "Rams", LAR: "Rams",
-};
-
-function normalizeTeamName(nameOrAbbr) {
-  const key = String(nameOrAbbr || "").toUpperCase();
-  return TEAM_ALIASES[key] || nameOrAbbr;
+// Whether a feed team label ("KC", "Kansas City Chiefs") is the requested team
+function isTeam(sport, resolved, raw, label) {
+  if (resolved) {
+    try {
+      return resolveTeam(sport, label).code === resolved.code;
+    } catch {
+      // Label outside the registry: compare words instead
+    }
+  }
+  return teamMatches(tokens(raw), label);
 }
 
-// Normalize OddsAPI odds into SportsDataIO-like structure
-function normalizeOdds(odds, source) {
-  if (source === "SportsDataIO") return odds;
-  if (source === "OddsAPI" && Array.isArray(odds)) {
-    return odds.map((g) => {
-      const home = g?.home_team || "";
-      const away = g?.away_team || "";
-      const book = g?.bookmakers?.[0];
-      let mlHome = null, mlAway = null;
-      if (book?.markets) {
-        const h2h = book.markets.find((m) => m.key === "h2h");
-        if (h2h?.outcomes) {
-          for (const o of h2h.outcomes) {
-            if (o.name === home) mlHome = o.price;
-            if (o.name === away) mlAway = o.price;
-          }
-        }
-      }
-      return {
-        HomeTeam: home,
-        AwayTeam: away,
-        HomeMoneyLine: mlHome,
-        AwayMoneyLine: mlAway,
-        Sportsbook: book?.title || "oddsapi",
-      };
-    });
+// Provider team code for a feed label, so OddsAPI full names share the ratings keys
+function feedCode(sport, label) {
+  try {
+    const team = resolveTeam(sport, label);
+    return team.codes.includes(String(label).toUpperCase()) ? label : team.code;
+  } catch {
+    return label;
   }
-  return [];
 }
 
-// CLV computation helper
-function _computeCLV(openingLine, currentLine, openingPrice, currentPrice) {
-  try {
-    if (!Number.isFinite(openingPrice) || !Number.isFinite(currentPrice)) {
-      return null;
+const teamSummary = (t) => (t ? { code: t.code, name: t.name, matchedBy: t.matchedBy, confidence: t.confidence } : null);
+
+/**
+ * Combine the odds games for one matchup (one per book from some feeds) into one game
+ * quoting every book. A book seen in an earlier game keeps that game's quotes.
+ * @param {Array<object>} games - Odds games for the same matchup
+ * @returns {object} First game with the merged quotes
+ */
+function mergeBookQuotes(games) {
+  if (games.length < 2) return games[0];
+  const quotes = [];
+  const seen = new Set();
+  for (const game of games) {
+    const books = new Set();
+    for (const q of game?.quotes || []) {
+      const key = bookKey(q.book);
+      if (seen.has(key)) continue;
+      books.add(key);
+      quotes.push(q);
     }
+    for (const key of books) seen.add(key);
+  }
+  return { ...games[0], quotes };
+}
+
+// "NFL:shin,NBA:power" -> { NFL: "shin", NBA: "power" }
+function parseDevigBySport(text) {
+  const out = {};
+  for (const pair of String(text || "").split(",")) {
+    const [sport, method] = pair.split(":").map((x) => x.trim());
+    if (sport && method) out[sport.toUpperCase()] = method.toLowerCase();
+  }
+  return out;
+}
 
-    const openingProb = impliedProbFromMoneyline(openingPrice) || 0.5;
-    const currentProb = impliedProbFromMoneyline(currentPrice) || 0.5;
-    const probDiff = (currentProb - openingProb) * 100;
+// "Pinnacle,Circa" -> ["Pinnacle", "Circa"]
+function parseBookList(text) {
+  return String(text || "")
+    .split(",")
+    .map((b) => b.trim())
+    .filter(Boolean);
+}
 
-    const clvPercent = Math.round(probDiff * 100) / 100;
-    let favorability = "neutral";
-    if (clvPercent > 2) favorability = "favorable";
-    else if (clvPercent < -2) favorability = "unfavorable";
+const bookKey = (name) => String(name || "").toLowerCase().replace(/[^a-z0-9]/g, "");
 
-    return {
-      percent: clvPercent,
-      direction: clvPercent > 0 ? "positive" : clvPercent < 0 ? "negative" : "none",
-      favorability,
-      openingImpliedProb: Math.round(openingProb * 1000) / 1000,
-      currentImpliedProb: Math.round(currentProb * 1000) / 1000,
-    };
-  } catch (err) {
-    console.warn("[GameLinesEngine] CLV computation failed:", err?.message || err);
-    return null;
+const DEFAULT_SHARP_BOOKS = ["Pinnacle", "Circa", "BetCRIS", "Bookmaker"];
+
+// Game-to-game spread of the final margin and combined score around their projections
+const MARGIN_SD = { NBA: 12, WNBA: 11, NFL: 13.5, MLB: 4.2 };
+const TOTAL_SD = { NBA: 18, WNBA: 15, NFL: 13, MLB: 4.5 };
+
+// NFL final margins pile up on scoring combinations: relative weight of each key margin
+const KEY_NUMBERS = { NFL: { 3: 3, 7: 2, 10: 1.4 } };
+
+// Sports whose games can end level; elsewhere overtime or extra innings settle every game
+const TIES_POSSIBLE = new Set(["NFL"]);
+
+/**
+ * Parse the free-text game line.
+ * "-3.5" / "+7.5" / "PK" -> spread for the user's team; "O/U 220.5", "o220.5", "Under 44" -> total;
+ * empty or "ML" -> moneyline. An explicit market overrides the guess.
+ * @param {string|number} raw - Line text from the request
+ * @param {string} [market] - "moneyline" | "spread" | "total"
+ * @returns {{market: string, line: number|null, side?: "over"|"under"|null}}
+ */
+function parseGameLine(raw, market) {
+  const text = String(raw ?? "").trim().toLowerCase();
+  const wanted = String(market || "").toLowerCase();
+  const n = text.match(/[-+]?\d+(?:\.\d+)?/);
+  const value = n ? parseFloat(n[0]) : null;
+
+  if (wanted === "moneyline" || /^(ml|moneyline)$/.test(text)) return { market: "moneyline", line: null };
+  if (wanted === "total" || /o\/u|over|under|total|^[ou]\s*\d/.test(text)) {
+    const side = /under|^u\s*\d/.test(text) ? "under" : /over|^o\s*\d/.test(text) ? "over" : null;
+    return { market: "total", line: value != null ? Math.abs(value) : null, side };
+  }
+  if (/^(pk|pick|pick'?em)$/.test(text)) return { market: "spread", line: 0 };
+  if (wanted === "spread" || value != null) return { market: "spread", line: value };
+  return { market: "moneyline", line: null };
+}
+
+/**
+ * Whole-number outcome distribution (scores are integers) from a normal projection,
+ * with optional extra weight on key margins. Without ties a margin of 0 is dropped and
+ * the rest renormalised.
+ * @param {number} mu - Projected margin or total
+ * @param {number} sd - Standard deviation
+ * @param {Object<number, number>} [keyWeights] - |value| -> relative weight
+ * @param {{ties?: boolean}} [opts] - Whether a value of 0 can happen (false for margins in sports without ties)
+ * @returns {Map<number, number>} value -> probability
+ */
+function discreteOutcomes(mu, sd, keyWeights = null, { ties = true } = {}) {
+  const lo = Math.floor(mu - 6 * sd);
+  const hi = Math.ceil(mu + 6 * sd);
+  const probs = new Map();
+  let total = 0;
+  for (let v = lo; v <= hi; v++) {
+    let p = StatisticalModels.normalCDF(v + 0.5, mu, sd) - StatisticalModels.normalCDF(v - 0.5, mu, sd);
+    if (keyWeights?.[Math.abs(v)]) p *= keyWeights[Math.abs(v)];
+    if (v === 0 && !ties) continue;
+    probs.set(v, p);
+    total += p;
   }
+  for (const [v, p] of probs) probs.set(v, p / total);
+  return probs;
+}
+
+// P(outcome + offset > 0), P(= 0), P(< 0)
+function sideProbabilities(outcomes, offset) {
+  let win = 0;
+  let push = 0;
+  for (const [v, p] of outcomes) {
+    const x = v + offset;
+    if (Math.abs(x) < 1e-9) push += p;
+    else if (x > 0) win += p;
+  }
+  return { win, push, lose: Math.max(0, 1 - win - push) };
+}
+
+// Feed book: the first one the provider lists for the game
+function primaryBook(game) {
+  return game?.quotes?.[0]?.book ?? "book";
+}
+
+// American price from request input, or null
+function toPrice(v) {
+  const n = Number(v);
+  return v !== null && v !== undefined && v !== "" && Number.isFinite(n) && Math.abs(n) >= 100 ? n : null;
+}
+
+// Feed quote for a market: the first book that quotes it
+function feedQuote(game, market) {
+  return (game?.quotes || []).find((q) => q.market === market) || null;
+}
+
+const quoteNum = (v) => (v !== null && v !== undefined && Number.isFinite(Number(v)) ? Number(v) : null);
+
+const MARKET_SIDES = { moneyline: ["home", "away", "draw"], spread: ["home", "away"], total: ["over", "under"] };
+
+/**
+ * Every book's prices per market and the best price for each side. Spreads and totals
+ * are shopped on one number: the requested one when a book quotes it, else the number
+ * most books hang. Spread lines are the home team's.
+ * @param {object} game - Matched odds game
+ * @param {{spread?: number|null, total?: number|null}} [lines] - Numbers to shop
+ * @returns {Object<string, {line: number|null, books: Array<{book: string, line: number|null, prices: object}>,
+ *           best: Object<string, {price: number, book: string}>}>} Markets with at least one quote
+ */
+function lineShopping(game, lines = {}) {
+  const out = {};
+  const quotes = game?.quotes || [];
+  for (const market of Object.keys(MARKET_SIDES)) {
+    const books = quotes.filter((q) => q.market === market).map(({ book, line, prices }) => ({ book, line, prices }));
+    if (!books.length) continue;
+
+    let line = null;
+    if (market !== "moneyline") {
+      const counts = new Map();
+      for (const b of books) counts.set(b.line, (counts.get(b.line) || 0) + 1);
+      const wanted = lines[market];
+      line = counts.has(wanted) ? wanted : [...counts].sort((a, b) => b[1] - a[1])[0][0];
+    }
+
+    // Higher American odds always pay more
+    const best = {};
+    for (const b of books) {
+      if (b.line !== line) continue;
+      for (const side of MARKET_SIDES[market]) {
+        const price = toPrice(b.prices[side]);
+        if (price != null && (!best[side] || price > best[side].price)) best[side] = { price, book: b.book };
+      }
+    }
+    out[market] = { line, books, best };
+  }
+  return out;
 }
 
 export class GameLinesEngine {
-  constructor(apiClient) {
-    this.apiClient = apiClient || null;
+  /**
+   * @param {object} source - Data provider, or a SportsDataIO-style client to wrap
+   * @param {object} [opts] - Threshold overrides and an odds snapshot store
+   */
+  constructor(source, opts = {}) {
+    this.provider = toProvider(source);
     this.usedEndpoints = [];
     this.dataSource = "fallback";
     this.matchInfo = null;
@@ -112,9 +250,565 @@ export class GameLinesEngine {
       LOCK_CONFIDENCE: 0.7,
       STRONG_LEAN: 0.675,
       LEAN: 0.65,
+      // De-vig method: per request (input.devigMethod), else per sport, else the default
+      DEVIG_METHOD: opts?.DEVIG_METHOD ?? (process.env.DEVIG_METHOD || "multiplicative"),
+      DEVIG_BY_SPORT: opts?.DEVIG_BY_SPORT ?? parseDevigBySport(process.env.DEVIG_BY_SPORT),
+      // Games each team needs in the ratings before the model probability is trusted
+      MIN_RATED_GAMES: opts?.MIN_RATED_GAMES ?? 5,
+      // Games at which a team's scoring average gets half weight against the league average
+      TOTAL_SHRINK_GAMES: opts?.TOTAL_SHRINK_GAMES ?? 10,
+      // Spread/total price assumed when neither the request nor the feed quotes one
+      DEFAULT_PRICE: opts?.DEFAULT_PRICE ?? -110,
+      // Books whose no-vig price is compared against the soft-book consensus
+      SHARP_BOOKS:
+        opts?.SHARP_BOOKS ??
+        (parseBookList(process.env.SHARP_BOOKS).length ? parseBookList(process.env.SHARP_BOOKS) : DEFAULT_SHARP_BOOKS),
+      // Sharp-minus-soft probability gap -> sharpSignal (clamped to +/-0.5)
+      SHARP_SIGNAL_SCALE: opts?.SHARP_SIGNAL_SCALE ?? 5,
+      // Gap in percentage points that raises a sharp_support / sharp_against flag
+      SHARP_FLAG_PP: opts?.SHARP_FLAG_PP ?? 1.5,
+    };
+    this._seasonRows = new Map();
+    this.snapshotStore = opts?.snapshots || null;
+    this._replaySnapshots = new Map();
+  }
+
+  // Odds snapshot store: injected, else the shared one for the sport. A replay (or a sport
+  // outside the registry) keeps its own in memory, so it neither reads nor adds to the
+  // live odds history.
+  _snapshots(sport) {
+    if (this.snapshotStore) return this.snapshotStore;
+    if (!this.provider.isReplay() && isSnapshotSport(sport)) return getOddsSnapshots(sport);
+    const s = String(sport || "").toUpperCase();
+    if (!this._replaySnapshots.has(s)) this._replaySnapshots.set(s, new OddsSnapshotStore(s, { dir: null }));
+    return this._replaySnapshots.get(s);
+  }
+
+  // Evaluations are not bets: only a taken price or an explicit track request stores a pick
+  _shouldTrack(input) {
+    return input.currentPrice != null || input.track === true;
+  }
+
+  /**
+   * Store the pick at the price taken and return its CLV: against the latest snapshot
+   * while the market is open, against the close once the game has started.
+   * @param {string} sport
+   * @param {string} gameId
+   * @param {{market: string, side: string, line?: number|null, price: number|null, book?: string}} pick
+   * @returns {{pickId: string, clv: object|null}|null} Null when no price was taken
+   */
+  _trackPick(sport, gameId, pick) {
+    if (!Number.isFinite(pick?.price)) return null;
+    try {
+      const stored = this._snapshots(sport).recordPick(gameId, { at: this.provider.now().toISOString(), ...pick });
+      if (!stored) return null;
+      const clv = stored.clv
+        ? {
+            ...stored.clv,
+            direction: stored.clv.percent > 0 ? "positive" : stored.clv.percent < 0 ? "negative" : "none",
+          }
+        : null;
+      return { pickId: stored.id, clv };
+    } catch (err) {
+      console.warn("[GameLinesEngine] pick tracking failed:", err?.message || err);
+      return null;
+    }
+  }
+
+  // Season label the provider uses for a game date (NBA seasons are named by their end year)
+  _ratingSeason(sport, dateStr) {
+    return this.provider.seasonForDate(sport, dateStr);
+  }
+
+  /**
+   * Elo ratings for a matchup as they stood before the game. For a game today or later
+   * the persisted ratings take in the completed games they have not seen yet and are
+   * saved; a past date, a replay, or a store already past the game date replays last
+   * and this season's games before dateStr in memory instead.
+   * @param {string} sport - Sport code
+   * @param {string} homeTeam - Home team code
+   * @param {string} awayTeam - Away team code
+   * @param {string} dateStr - Game date (YYYY-MM-DD)
+   * @returns {Promise<{home: object, away: object, ratingDiff: number, updatedAt: string|null}|null>}
+   */
+  async _teamRatings(sport, homeTeam, awayTeam, dateStr) {
+    if (!ELO_CONFIG[sport]) return null;
+    try {
+      const season = this._ratingSeason(sport, dateStr);
+      const store = getRatings(sport);
+      const current =
+        !this.provider.isReplay() &&
+        dateStr >= fmtLocalDate(this.provider.now()) &&
+        !(store.updatedAt >= dateStr);
+
+      // A store already into this season only needs this season's games
+      const rows = [];
+      const seasons = current && store.season === season ? [season] : [season - 1, season];
+      for (const s of seasons) rows.push(...(await this._seasonGames(sport, s)));
+
+      if (!current) {
+        const ratings = ratingsAsOf(sport, rows, dateStr);
+        return { ...ratings.predict(homeTeam, awayTeam), updatedAt: ratings.updatedAt };
+      }
+      if (store.updateFromGames(gamesBefore(rows, dateStr)) > 0) store.save();
+      return { ...store.predict(homeTeam, awayTeam), updatedAt: store.updatedAt };
+    } catch (err) {
+      console.warn("[GameLinesEngine] team ratings failed:", err?.message || err);
+      return null;
+    }
+  }
+
+  // Games for a season, fetched once per engine instance
+  async _seasonGames(sport, season) {
+    const key = `${sport}:${season}`;
+    if (this._seasonRows.has(key)) return this._seasonRows.get(key);
+    let rows = [];
+    const r = await this.provider.getGames(sport, season);
+    if (Array.isArray(r) && r.length) {
+      this.usedEndpoints.push(`${sport}:games:${season}`);
+      rows = r;
+    }
+    this._seasonRows.set(key, rows);
+    return rows;
+  }
+
+  /**
+   * Projected combined score from this season's points for and against, each team's
+   * averages shrunk toward the league average by games played.
+   * @param {string} sport - Sport code
+   * @param {string} homeTeam - Home team code
+   * @param {string} awayTeam - Away team code
+   * @param {string} dateStr - Game date (YYYY-MM-DD)
+   * @returns {Promise<{total: number, home: number, away: number, games: {home: number, away: number}}|null>}
+   */
+  async _projectTotal(sport, homeTeam, awayTeam, dateStr) {
+    try {
+      const games = (await this._seasonGames(sport, this._ratingSeason(sport, dateStr)))
+        .map(completedGame)
+        .filter((g) => g && g.date < dateStr);
+      if (!games.length) return null;
+
+      const teams = {};
+      let points = 0;
+      for (const g of games) {
+        for (const [team, scored, allowed] of [
+          [g.home, g.homeScore, g.awayScore],
+          [g.away, g.awayScore, g.homeScore],
+        ]) {
+          const t = (teams[team] = teams[team] || { games: 0, for: 0, against: 0 });
+          t.games += 1;
+          t.for += scored;
+          t.against += allowed;
+        }
+        points += g.homeScore + g.awayScore;
+      }
+      const league = points / (2 * games.length);
+      const shrink = this.thresholds.TOTAL_SHRINK_GAMES;
+      const rate = (team, key) => {
+        const t = teams[String(team || "").toUpperCase()];
+        if (!t) return league;
+        const w = t.games / (t.games + shrink);
+        return league + w * (t[key] / t.games - league);
+      };
+
+      // Points scored: own offence and the opponent's defence, each relative to the league
+      const home = rate(homeTeam, "for") + rate(awayTeam, "against") - league;
+      const away = rate(awayTeam, "for") + rate(homeTeam, "against") - league;
+      return {
+        total: home + away,
+        home,
+        away,
+        games: {
+          home: teams[String(homeTeam || "").toUpperCase()]?.games || 0,
+          away: teams[String(awayTeam || "").toUpperCase()]?.games || 0,
+        },
+      };
+    } catch (err) {
+      console.warn("[GameLinesEngine] total projection failed:", err?.message || err);
+      return null;
+    }
+  }
+
+  // Which de-vig method applies and where the choice came from
+  _devigMethod(sport, requested) {
+    const req = String(requested || "").toLowerCase();
+    if (req && DEVIG_METHODS.includes(req)) return { method: req, source: "request" };
+    const bySport = String(this.thresholds.DEVIG_BY_SPORT?.[String(sport || "").toUpperCase()] || "").toLowerCase();
+    if (DEVIG_METHODS.includes(bySport)) return { method: bySport, source: "sport" };
+    return { method: this.thresholds.DEVIG_METHOD, source: "default" };
+  }
+
+  /**
+   * Fair probabilities for any market from its outcome prices: two-way moneylines,
+   * three-way soccer lines, futures with many outcomes.
+   * @param {{sport?: string, outcomes: Array<{name: string, price: number}>, devigMethod?: string}} input
+   * @returns {{method: string, methodSource: string, outcomes: Array<{name: string, price: number,
+   *          implied: number, probability: number, fairAmerican: number|null, fairDecimal: number|null}>,
+   *          overround: number, holdPct: number, param: object|null}|null} Null when a price is invalid
+   */
+  devigMarket(input) {
+    const outcomes = (Array.isArray(input?.outcomes) ? input.outcomes : []).map((o) => ({
+      name: String(o?.name ?? ""),
+      price: Number(o?.price),
+    }));
+    const { method, source } = this._devigMethod(input?.sport, input?.devigMethod);
+    const result = devig(outcomes.map((o) => o.price), method);
+    if (!result) return null;
+    return {
+      method,
+      methodSource: source,
+      outcomes: outcomes.map((o, i) => {
+        const fair = fairOdds(result.probabilities[i]);
+        return {
+          ...o,
+          implied: Number(result.implied[i].toFixed(4)),
+          probability: Number(result.probabilities[i].toFixed(4)),
+          fairAmerican: fair ? fair.american : null,
+          fairDecimal: fair ? fair.decimal : null,
+        };
+      }),
+      overround: Number(result.overround.toFixed(4)),
+      holdPct: Math.round(result.hold * 10000) / 100,
+      param: result.param ? { name: result.param.name, value: Number(result.param.value.toFixed(4)) } : null,
     };
   }
 
+  _decisionLabel(finalConfidence) {
+    if (finalConfidence >= this.thresholds.LOCK_CONFIDENCE * 100) return "LOCK";
+    if (finalConfidence >= this.thresholds.STRONG_LEAN * 100) return "STRONG_LEAN";
+    if (finalConfidence >= this.thresholds.LEAN * 100) return "LEAN";
+    return "LEAN (Low Confidence)";
+  }
+
+  /**
+   * Spread or total for a matched game. The model side is a whole-number distribution
+   * around the projected margin (Elo) or combined score (season scoring), with NFL
+   * margins weighted toward 3, 7 and 10; the market side is the de-vigged price pair.
+   * Spreads are read for the requested team, totals for the requested (or model) side.
+   * @param {object} input - Normalised evaluateGame input with a parsed `line`
+   * @param {object} matched - Matched odds row
+   * @param {string} dateStr - Game date (YYYY-MM-DD)
+   * @returns {Promise<object>} evaluateGame result with `lineEvaluation`
+   */
+  async _evaluateLineMarket(input, matched, dateStr) {
+    const { sport } = input;
+    const isSpread = input.line.market === "spread";
+    const suggestion = isSpread ? "SPREAD" : "TOTAL";
+    const homeTeam = matched?.home ?? "";
+    const awayTeam = matched?.away ?? "";
+    const userWantsHome = isTeam(input.sport, input.teamInfo, input.teamText, homeTeam);
+    const book = primaryBook(matched);
+
+    // Feed line and payouts; the feed quotes the spread for the home team
+    const spreadQuote = feedQuote(matched, "spread");
+    const totalQuote = feedQuote(matched, "total");
+    const feedHomeSpread = quoteNum(spreadQuote?.line);
+    const feedSpreadHome = quoteNum(spreadQuote?.prices?.home);
+    const feedSpreadAway = quoteNum(spreadQuote?.prices?.away);
+    const feedTotal = quoteNum(totalQuote?.line);
+    const feedLine = isSpread
+      ? feedHomeSpread != null ? (userWantsHome ? feedHomeSpread : -feedHomeSpread) : null
+      : feedTotal;
+    const feedPrices = isSpread
+      ? userWantsHome ? [feedSpreadHome, feedSpreadAway] : [feedSpreadAway, feedSpreadHome]
+      : [quoteNum(totalQuote?.prices?.over), quoteNum(totalQuote?.prices?.under)];
+
+    const line = input.line.line ?? feedLine;
+    if (!Number.isFinite(line)) {
+      return {
+        side: input.team,
+        suggestion,
+        decision: "PASS",
+        finalConfidence: 49.9,
+        pick: input.team,
+        flags: [isSpread ? "no_spread_line" : "no_total_line"],
+        rawNumbers: {
+          marketProbability: 0.5,
+          modelProbability: 0.5,
+          fusedProbability: 0.5,
+        },
+        oddsData: null,
+        clv: null,
+        meta: {
+          dataSource: "sportsdata",
+          usedEndpoints: this.usedEndpoints,
+          note: isSpread ? "No point spread" : "No total",
+        },
+      };
+    }
+
+    // Request prices win; feed payouts only price the feed's own line, else another book on the number
+    const atFeedLine = feedLine != null && line === feedLine;
+    const sideKeys = isSpread ? (userWantsHome ? ["home", "away"] : ["away", "home"]) : ["over", "under"];
+    const homeLine = isSpread && !userWantsHome ? -line : line;
+    const shopping = lineShopping(matched, { [input.line.market]: homeLine });
+    const shop = shopping[input.line.market];
+    const lineQuote = shop?.books.find((b) => b.line === homeLine) || null;
+    // odds.home / odds.away are the home and away teams' prices, whichever team was requested
+    const userPrices = isSpread
+      ? sideKeys.map((k) => toPrice(input.odds?.[k]))
+      : [toPrice(input.odds?.over ?? input.odds?.home), toPrice(input.odds?.under ?? input.odds?.away)];
+    const quoted = userPrices.map(
+      (p, i) => p ?? (atFeedLine ? feedPrices[i] : null) ?? toPrice(lineQuote?.prices?.[sideKeys[i]])
+    );
+    const assumedPrice = quoted.some((p) => p == null);
+    const prices = quoted.map((p) => p ?? this.thresholds.DEFAULT_PRICE);
+    const bestAtLine = shop?.line === homeLine ? shop.best : {};
+
+    // Model: distribution of the requested team's margin, or of the combined score
+    const flags = [];
+    const ratings = await this._teamRatings(sport, feedCode(sport, homeTeam), feedCode(sport, awayTeam), dateStr);
+    const minGames = this.thresholds.MIN_RATED_GAMES;
+    const rated = !!ratings && ratings.home.games >= minGames && ratings.away.games >= minGames;
+    let projection;
+    let outcomes;
+    if (isSpread) {
+      const sd = MARGIN_SD[sport] ?? MARGIN_SD.NBA;
+      let homeMargin;
+      let source;
+      if (rated) {
+        homeMargin = ratings.home.expectedMargin;
+        source = "elo";
+      } else {
+        homeMargin = feedHomeSpread != null ? -feedHomeSpread : 0;
+        source = "market";
+        flags.push("no_team_ratings");
+      }
+      const mu = userWantsHome ? homeMargin : -homeMargin;
+      projection = { value: Math.round(mu * 10) / 10, sd, source };
+      outcomes = discreteOutcomes(mu, sd, KEY_NUMBERS[sport], { ties: TIES_POSSIBLE.has(sport) });
+    } else {
+      const sd = TOTAL_SD[sport] ?? TOTAL_SD.NBA;
+      const proj = await this._projectTotal(sport, feedCode(sport, homeTeam), feedCode(sport, awayTeam), dateStr);
+      const minTeamGames = proj ? Math.min(proj.games.home, proj.games.away) : 0;
+      let mu;
+      let source;
+      if (proj && minTeamGames >= minGames) {
+        mu = proj.total;
+        source = "scoring";
+      } else {
+        mu = feedTotal ?? line;
+        source = "market";
+        flags.push("no_scoring_history");
+      }
+      projection = { value: Math.round(mu * 10) / 10, sd, source };
+      outcomes = discreteOutcomes(mu, sd);
+    }
+
+    // Spread: team margin + line > 0 covers. Total: score - line > 0 goes over
+    const sides = sideProbabilities(outcomes, isSpread ? line : -line);
+    const side = isSpread ? "cover" : input.line.side || (sides.win >= sides.lose ? "over" : "under");
+    const idx = side === "under" ? 1 : 0;
+    // An explicit currentPrice is the price taken on the requested side (the team, or the total side asked for)
+    if (input.currentPrice != null && (isSpread || input.line.side)) userPrices[idx] = input.currentPrice;
+    const pWin = idx === 0 ? sides.win : sides.lose;
+    const pLose = idx === 0 ? sides.lose : sides.win;
+    const pPush = sides.push;
+    const modelProb = pWin + pLose > 0 ? pWin / (pWin + pLose) : 0.5;
+
+    const { method: devigMethod, source: devigSource } = this._devigMethod(sport, input.devigMethod);
+    const market = devig(prices, devigMethod);
+    const marketProb = market ? market.probabilities[idx] : 0.5;
+    // EV and CLV at the price taken: the user's own, else the best any book hangs on this number
+    const best = bestAtLine[sideKeys[idx]] || null;
+    const takenPrice = userPrices[idx] ?? best?.price ?? null;
+    const price = takenPrice ?? prices[idx];
+    const priceBook = userPrices[idx] == null && best ? best.book : book;
+    const ev = expectedValue(pWin, price, pPush);
+    const fair = fairOdds(modelProb);
+
+    // Sharp books on the same number, for the same side
+    const pickSide = sideKeys[idx];
+    const sharp = this._sharpSignal(matched, input.line.market, pickSide, { line: homeLine, devigMethod });
+
+    const fused = this._fuse(modelProb, marketProb, sharp?.signal ?? 0, 0);
+    const finalConfidence = Math.round(fused * 1000) / 10;
+    const decision = this._decisionLabel(finalConfidence);
+
+    if (finalConfidence < this.thresholds.LEAN * 100) flags.push("low_confidence");
+    if (this._sharpFlag(sharp)) flags.push(this._sharpFlag(sharp));
+    if (assumedPrice) flags.push("assumed_price");
+    if (ev != null && ev <= 0) flags.push("no_edge_at_price");
+    if (userPrices[idx] != null && best && best.price > userPrices[idx]) flags.push("better_price_available");
+
+    // NFL: landing on a key number is a push; half a point either side swings cover odds
+    let keyNumbers = null;
+    if (isSpread && KEY_NUMBERS[sport]) {
+      keyNumbers = {};
+      for (const k of Object.keys(KEY_NUMBERS[sport])) {
+        const p = (outcomes.get(-Number(k)) || 0) + (outcomes.get(Number(k)) || 0);
+        keyNumbers[k] = Number(p.toFixed(4));
+        if (Math.abs(Math.abs(line) - Number(k)) <= 0.5) flags.push("key_number_line");
+      }
+    }
+
+    const lineText = isSpread ? (line === 0 ? "PK" : `${line > 0 ? "+" : ""}${line}`) : String(line);
+    const pick = isSpread ? `${input.team} ${lineText}` : `${side.toUpperCase()} ${lineText}`;
+    const round4 = (x) => Number(x.toFixed(4));
+
+    // Opening and latest from the snapshot store; CLV against the price the user took
+    const gameId = gameIdOf(matched);
+    const store = this._snapshots(sport);
+    const opening = store.opening(gameId, input.line.market, { book });
+    const toSide = (snap) => (snap && isSpread && !userWantsHome ? -snap.line : snap?.line ?? null);
+    const oddsData = {
+      openingLine: opening ? toSide(opening) : feedLine,
+      openingPrice: opening?.prices?.[pickSide] ?? feedPrices[idx],
+      openedAt: opening?.at ?? null,
+      currentLine: feedLine,
+      currentPrice: feedPrices[idx],
+      source: matched.source ?? "SDIO",
+      timestamp: this.provider.now().toISOString(),
+    };
+    const tracked = this._shouldTrack(input) ? this._trackPick(sport, gameId, {
+      market: input.line.market,
+      side: pickSide,
+      line,
+      price: takenPrice,
+      book: priceBook,
+    }) : null;
+    const clv = tracked?.clv || null;
+    if (clv) {
+      if (clv.favorability === "favorable") flags.push("positive_clv");
+      else if (clv.favorability === "unfavorable") flags.push("negative_clv");
+    }
+
+    this.matchInfo = {
+      home: homeTeam,
+      away: awayTeam,
+      book,
+      market: input.line.market,
+      feedLine,
+      feedPrices,
+    };
+
+    return {
+      gameId,
+      pickId: tracked?.pickId ?? null,
+      side: isSpread ? input.team : side.toUpperCase(),
+      suggestion,
+      decision,
+      finalConfidence,
+      pick,
+      flags: [...new Set(flags)],
+      rawNumbers: {
+        marketProbability: Number(marketProb.toFixed(3)),
+        modelProbability: Number(modelProb.toFixed(3)),
+        fusedProbability: Number(fused.toFixed(3)),
+        pushProbability: Number(pPush.toFixed(3)),
+        sharpSignal: sharp ? Number(sharp.signal.toFixed(3)) : 0,
+        devigMethod,
+      },
+      sharp,
+      pricing: {
+        side: pickSide,
+        price,
+        book: takenPrice != null ? priceBook : null,
+        source: userPrices[idx] != null ? "user" : best ? "best_available" : assumedPrice ? "assumed" : "feed",
+        ev: ev != null ? Math.round(ev * 1000) / 1000 : null,
+      },
+      lineShopping: shopping,
+      lineEvaluation: {
+        market: input.line.market,
+        line,
+        feedLine,
+        side,
+        projection,
+        probabilities: isSpread
+          ? { cover: round4(sides.win), push: round4(pPush), lose: round4(sides.lose) }
+          : { over: round4(sides.win), under: round4(sides.lose), push: round4(pPush) },
+        price,
+        otherPrice: prices[1 - idx],
+        assumedPrice,
+        marketProb: round4(marketProb),
+        holdPct: market ? Math.round(market.hold * 10000) / 100 : null,
+        modelProb: round4(modelProb),
+        fairAmerican: fair ? fair.american : null,
+        fairDecimal: fair ? fair.decimal : null,
+        edgePct: Math.round((modelProb - marketProb) * 1000) / 10,
+        ev: ev != null ? Math.round(ev * 1000) / 1000 : null,
+        keyNumbers,
+      },
+      ratings: ratings ? { model: "elo", rated, ...ratings } : null,
+      oddsData,
+      clv,
+      meta: {
+        dataSource: "sportsdata",
+        usedEndpoints: this.usedEndpoints,
+        matchInfo: this.matchInfo,
+        teams: input.teams,
+        devig: market
+          ? {
+              method: devigMethod,
+              source: devigSource,
+              outcomes: isSpread ? ["team", "opponent"] : ["over", "under"],
+              overround: Number(market.overround.toFixed(4)),
+              holdPct: Math.round(market.hold * 10000) / 100,
+              param: market.param ? { name: market.param.name, value: Number(market.param.value.toFixed(4)) } : null,
+            }
+          : null,
+      },
+    };
+  }
+
+  /**
+   * Sharp-versus-soft signal for one side of a market. Each book's prices are de-vigged;
+   * the sharp books' average probability is compared with the median of the soft books,
+   * among books quoting the same number.
+   * @param {object} game - Matched odds game
+   * @param {"moneyline"|"spread"|"total"} market
+   * @param {string} side - home | away | over | under
+   * @param {{line?: number|null, devigMethod?: string}} [opts] - Home spread or total to compare on
+   * @returns {{signal: number, gapPct: number, sharpProb: number, softProb: number, sharpBooks: string[],
+   *           softBooks: number, books: Array<{book: string, sharp: boolean, probability: number, deviationPct: number}>,
+   *           outlier: {book: string, deviationPct: number}}|null} Null without both a sharp and a soft quote
+   */
+  _sharpSignal(game, market, side, { line = null, devigMethod = "multiplicative" } = {}) {
+    const sharpSet = new Set(this.thresholds.SHARP_BOOKS.map(bookKey));
+    const books = [];
+    for (const q of game?.quotes || []) {
+      if (q.market !== market || (market !== "moneyline" && q.line !== line)) continue;
+      const names =
+        market === "total" ? ["over", "under"] : q.prices.draw != null ? ["home", "away", "draw"] : ["home", "away"];
+      const fair = devig(names.map((k) => q.prices[k]), devigMethod);
+      const i = names.indexOf(side);
+      if (!fair || i < 0) continue;
+      books.push({ book: q.book, sharp: sharpSet.has(bookKey(q.book)), probability: fair.probabilities[i] });
+    }
+    const sharp = books.filter((b) => b.sharp);
+    const soft = books.filter((b) => !b.sharp).map((b) => b.probability).sort((a, b) => a - b);
+    if (!sharp.length || !soft.length) return null;
+
+    const sharpProb = sharp.reduce((a, b) => a + b.probability, 0) / sharp.length;
+    const mid = Math.floor(soft.length / 2);
+    const softProb = soft.length % 2 ? soft[mid] : (soft[mid - 1] + soft[mid]) / 2;
+    const gap = sharpProb - softProb;
+    const scored = books.map((b) => ({
+      book: b.book,
+      sharp: b.sharp,
+      probability: Number(b.probability.toFixed(4)),
+      deviationPct: Math.round((b.probability - softProb) * 1000) / 10,
+    }));
+    const outlier = scored.reduce((a, b) => (Math.abs(b.deviationPct) > Math.abs(a.deviationPct) ? b : a));
+
+    return {
+      signal: Math.max(-0.5, Math.min(0.5, gap * this.thresholds.SHARP_SIGNAL_SCALE)),
+      gapPct: Math.round(gap * 1000) / 10,
+      sharpProb: Number(sharpProb.toFixed(4)),
+      softProb: Number(softProb.toFixed(4)),
+      sharpBooks: sharp.map((b) => b.book),
+      softBooks: soft.length,
+      books: scored,
+      outlier: { book: outlier.book, deviationPct: outlier.deviationPct },
+    };
+  }
+
+  // sharp_support / sharp_against once the gap is big enough to mention
+  _sharpFlag(sharp) {
+    if (!sharp || Math.abs(sharp.gapPct) < this.thresholds.SHARP_FLAG_PP) return null;
+    return sharp.gapPct > 0 ? "sharp_support" : "sharp_against";
+  }
+
   _fuse(modelProb, marketProb, sharpSignal = 0, addOnNudges = 0) {
     const base = 0.25 * modelProb + 0.65 * marketProb + 0.1 * (0.5 + sharpSignal);
     return clamp01((base + addOnNudges) * this.calibrationFactor);
@@ -133,77 +827,68 @@ export class GameLinesEngine {
     return { season, week };
   }
 
+  // Odds games for a date (NFL: week); the provider falls back across its odds feeds
   async _fetchOdds(sport, dateOrWeek) {
-    if (!this.apiClient) return [];
     try {
-      let r = [];
-      if (sport === "MLB" && this.apiClient.getMLBGameOdds) {
-        r = await this.apiClient.getMLBGameOdds(dateOrWeek);
-        this.usedEndpoints.push(`MLB:game-odds:${dateOrWeek}`);
-        return normalizeOdds(r, "SportsDataIO");
-      }
-      if (sport === "NBA" && this.apiClient.getNBAGameOdds) {
-        r = await this.apiClient.getNBAGameOdds(dateOrWeek);
-        this.usedEndpoints.push(`NBA:game-odds:${dateOrWeek}`);
-        return normalizeOdds(r, "SportsDataIO");
-      }
-      if (sport === "WNBA" && this.apiClient.getWNBAGameOdds) {
-        r = await this.apiClient.getWNBAGameOdds(dateOrWeek);
-        this.usedEndpoints.push(`WNBA:game-odds:${dateOrWeek}`);
-        return normalizeOdds(r, "SportsDataIO");
-      }
-      if (sport === "NFL" && this.apiClient.getNFLGameOdds) {
-        r = await this.apiClient.getNFLGameOdds(dateOrWeek);
-        this.usedEndpoints.push(`NFL:game-odds:${dateOrWeek}`);
-        return normalizeOdds(r, "SportsDataIO");
-      }
-      // fallback to OddsAPI
-      if (this.apiClient.getOddsFromOddsAPI) {
-        const oddsapi = await this.apiClient.getOddsFromOddsAPI({
-          sport,
-          date: dateOrWeek,
-        });
-        if (oddsapi) {
-          this.usedEndpoints.push(`${sport}:oddsapi:${dateOrWeek}`);
-          return normalizeOdds(oddsapi, "OddsAPI");
-        }
-      }
+      const r = await this.provider.getOdds(sport, dateOrWeek);
+      if (r) this.usedEndpoints.push(`${sport}:game-odds:${dateOrWeek}`);
+      if (r?.[0]?.source === "OddsAPI") this.usedEndpoints.push(`${sport}:oddsapi:${dateOrWeek}`);
+      return r || [];
     } catch (err) {
       console.warn("[GameLinesEngine] fetchOdds error:", err?.message || err);
     }
     return [];
   }
 
+  /**
+   * Evaluate a moneyline, spread or total for one game.
+   * @param {object} inputRaw - { sport, team, opponent, startTime?, line?, market?, odds?, currentPrice?, track?, devigMethod? }
+   *   odds holds the home/away (or over/under) prices; currentPrice is the price taken on the requested
+   *   side. A pick is stored for CLV only with a currentPrice or track: true.
+   * @returns {Promise<object>} Decision, probabilities, pricing and provenance
+   * @throws {TeamResolutionError} AMBIGUOUS_TEAM when the team or opponent fits several teams
+   */
   async evaluateGame(inputRaw) {
+    const sport = String(inputRaw?.sport || "NBA").toUpperCase();
+    const teamText = String(inputRaw?.team || "").trim();
+    const opponentText = String(inputRaw?.opponent || "").trim();
+    const teamInfo = resolveRequestTeam(sport, teamText);
+    const opponentInfo = resolveRequestTeam(sport, opponentText);
     const input = {
-      sport: String(inputRaw?.sport || "NBA").toUpperCase(),
-      team: normalizeTeamName(inputRaw?.team || ""),
-      opponent: normalizeTeamName(inputRaw?.opponent || ""),
-      startTime: inputRaw?.startTime || new Date().toISOString(),
-      currentPrice: inputRaw?.currentPrice || inputRaw?.odds?.home || -110,
+      sport,
+      team: teamInfo?.code || teamText,
+      opponent: opponentInfo?.code || opponentText,
+      teamText,
+      opponentText,
+      teamInfo,
+      opponentInfo,
+      teams: { team: teamSummary(teamInfo), opponent: teamSummary(opponentInfo) },
+      startTime: inputRaw?.startTime || this.provider.now().toISOString(),
+      // Price the user took on the requested side; the side's quote in odds, else the best price, stands in
+      currentPrice: toPrice(inputRaw?.currentPrice),
+      track: inputRaw?.track === true,
+      devigMethod: inputRaw?.devigMethod || "",
+      line: parseGameLine(inputRaw?.line, inputRaw?.market),
+      odds: inputRaw?.odds || {},
     };
+    const suggestion = input.line.market === "moneyline" ? "MONEYLINE" : input.line.market.toUpperCase();
 
     // Date string
     let dateStr;
     try {
-      const d = input.startTime ? new Date(input.startTime) : new Date();
+      const d = input.startTime ? new Date(input.startTime) : this.provider.now();
       if (!Number.isFinite(d.getTime())) throw new Error("bad date");
       dateStr = fmtLocalDate(d);
     } catch {
-      dateStr = fmtLocalDate(new Date());
+      dateStr = fmtLocalDate(this.provider.now());
     }
 
     // Pull odds
     let oddsList = [];
     if (input.sport === "NFL") {
-      let week;
-      try {
-        week = await this.apiClient.getNFLWeekCurrent();
-        this.usedEndpoints.push("NFL:week:current");
-      } catch {
-        const inf = this._inferNFLSeasonWeek(dateStr);
-        week = inf.week;
-      }
+      let week = await this.provider.getCurrentWeek("NFL");
+      if (week != null) this.usedEndpoints.push("NFL:week:current");
+      else week = this._inferNFLSeasonWeek(dateStr).week;
       oddsList = await this._fetchOdds("NFL", week);
       if (!oddsList.length) {
         for (let wOff = -1; wOff >= -3 && !oddsList.length; wOff--) {
@@ -232,7 +917,7 @@ export class GameLinesEngine {
     if (!oddsList.length) {
       return {
         side: input.team,
-        suggestion: "MONEYLINE",
+        suggestion,
         decision: "PASS",
         finalConfidence: 49.9,
         pick: input.team,
@@ -252,27 +937,30 @@ export class GameLinesEngine {
       };
     }
 
-    // Match game
-    const tTok = tokens(input.team);
-    const oTok = tokens(input.opponent);
-    let matched = null;
-
-    for (const g of oddsList) {
-      const home = g?.HomeTeam ?? "";
-      const away = g?.AwayTeam ?? "";
-      const ok =
-        (teamMatches(tTok, home) && teamMatches(oTok, away)) ||
-        (teamMatches(tTok, away) && teamMatches(oTok, home));
-      if (ok) {
-        matched = g;
-        break;
-      }
+    // Every pull is kept so opening and closing prices are known later
+    try {
+      this._snapshots(input.sport).recordPull(oddsList, { at: this.provider.now().toISOString() });
+    } catch (err) {
+      console.warn("[GameLinesEngine] odds snapshot failed:", err?.message || err);
     }
 
+    // Match game; rows for the same game from different books are shopped together
+    const isUser = (label) => isTeam(input.sport, input.teamInfo, input.teamText, label);
+    const isOpponent = (label) => isTeam(input.sport, input.opponentInfo, input.opponentText, label);
+    const matchedRows = oddsList.filter((g) => {
+      const home = g?.home ?? "";
+      const away = g?.away ?? "";
+      return (isUser(home) && isOpponent(away)) || (isUser(away) && isOpponent(home));
+    });
+    const first = matchedRows[0];
+    const matched = first
+      ? mergeBookQuotes(matchedRows.filter((g) => g.home === first.home && gameIdOf(g) === gameIdOf(first)))
+      : null;
+
     if (!matched) {
       return {
         side: input.team,
-        suggestion: "MONEYLINE",
+        suggestion,
         decision: "PASS",
         finalConfidence: 49.9,
         pick: input.team,
@@ -292,12 +980,17 @@ export class GameLinesEngine {
       };
     }
 
+    if (input.line.market !== "moneyline") {
+      return this._evaluateLineMarket(input, matched, dateStr);
+    }
+
     // Extract moneylines
+    const mlQuote = feedQuote(matched, "moneyline");
     let mlHome = null, mlAway = null, book = "book";
-    if (Number.isFinite(matched?.HomeMoneyLine) && Number.isFinite(matched?.AwayMoneyLine)) {
-      mlHome = Number(matched.HomeMoneyLine);
-      mlAway = Number(matched.AwayMoneyLine);
-      book = matched?.Sportsbook ?? "book";
+    if (quoteNum(mlQuote?.prices?.home) != null && quoteNum(mlQuote?.prices?.away) != null) {
+      mlHome = quoteNum(mlQuote.prices.home);
+      mlAway = quoteNum(mlQuote.prices.away);
+      book = primaryBook(matched);
     }
 
     if (!Number.isFinite(mlHome) || !Number.isFinite(mlAway)) {
@@ -323,55 +1016,76 @@ export class GameLinesEngine {
       };
     }
 
-    // Market probs
-    const pHome = impliedProbFromMoneyline(mlHome) ?? 0.5;
-    const pAway = impliedProbFromMoneyline(mlAway) ?? 0.5;
-    const norm = pHome + pAway;
-    const mHome = norm > 0 ? pHome / norm : 0.5;
-    const mAway = norm > 0 ? pAway / norm : 0.5;
+    // Market probs: de-vig home/away, plus the draw for three-way markets
+    const mlDraw = quoteNum(mlQuote?.prices?.draw);
+    const { method: devigMethod, source: devigSource } = this._devigMethod(input.sport, input.devigMethod);
+    const market = devig(mlDraw != null ? [mlHome, mlAway, mlDraw] : [mlHome, mlAway], devigMethod);
+    const mHome = market ? market.probabilities[0] : 0.5;
+    const mAway = market ? market.probabilities[1] : 0.5;
+    const mDraw = market && mlDraw != null ? market.probabilities[2] : null;
 
-    const homeTeam = matched?.HomeTeam ?? "";
-    const userWantsHome = teamMatches(tokens(input.team), homeTeam);
+    const homeTeam = matched?.home ?? "";
+    const userWantsHome = isTeam(input.sport, input.teamInfo, input.teamText, homeTeam);
     const marketProb = userWantsHome ? mHome : mAway;
 
-    // Opening odds (assume current odds are opening for now - can be enhanced)
-    const openingPrice = userWantsHome ? mlHome : mlAway;
+    // Price taken: the user's own (currentPrice, else their quote for the side), else the best any book hangs
+    const userSide = userWantsHome ? "home" : "away";
+    const userPrice = input.currentPrice ?? toPrice(input.odds?.[userSide]);
+    const shopping = lineShopping(matched);
+    const best = shopping.moneyline?.best?.[userSide] || null;
+    const takenPrice = userPrice ?? best?.price ?? null;
+    const priceBook = userPrice == null && best ? best.book : book;
+
+    // Opening price is the first snapshot this book was seen at; CLV is against the price taken
+    const gameId = gameIdOf(matched);
+    const opening = this._snapshots(input.sport).opening(gameId, "moneyline", { book });
     const oddsData = {
       openingLine: null, // Game lines don't have a "line" in the same sense as props
-      openingPrice: openingPrice,
-      source: "SDIO",
-      timestamp: new Date().toISOString(),
+      openingPrice: opening?.prices?.[userSide] ?? (userWantsHome ? mlHome : mlAway),
+      openedAt: opening?.at ?? null,
+      currentPrice: userWantsHome ? mlHome : mlAway,
+      source: matched.source ?? "SDIO",
+      timestamp: this.provider.now().toISOString(),
     };
+    const tracked = this._shouldTrack(input) ? this._trackPick(input.sport, gameId, {
+      market: "moneyline",
+      side: userSide,
+      price: takenPrice,
+      book: priceBook,
+    }) : null;
+    const clv = tracked?.clv || null;
 
-    // CLV computation (if we have historical opening odds)
-    const clv = _computeCLV(null, null, openingPrice, input.currentPrice);
-
-    // Fuse with model (currently placeholder 0.5)
-    const modelProb = 0.5;
-    let fused = this._fuse(modelProb, marketProb, 0, 0);
+    // Model probability from team power ratings; a coin flip until both teams have history
+    const ratings = await this._teamRatings(
+      input.sport,
+      feedCode(input.sport, homeTeam),
+      feedCode(input.sport, matched?.away ?? ""),
+      dateStr
+    );
+    const minGames = this.thresholds.MIN_RATED_GAMES;
+    const rated = !!ratings && ratings.home.games >= minGames && ratings.away.games >= minGames;
+    const modelProb = rated ? (userWantsHome ? ratings.home.winProb : ratings.away.winProb) : 0.5;
+    const ev = rated && takenPrice != null ? expectedValue(modelProb, takenPrice) : null;
+    const sharp = this._sharpSignal(matched, "moneyline", userSide, { devigMethod });
+    let fused = this._fuse(modelProb, marketProb, sharp?.signal ?? 0, 0);
     
     // Adjust for CLV if favorable
-    if (clv && clv.favorability === "favorable") {
+    if (clv && clv.favorability === "favorable" && Number.isFinite(clv.percent)) {
       fused = clamp01(fused + (clv.percent / 100) * 0.05);
     }
 
     const finalConfidence = Math.round(fused * 1000) / 10;
     const pick = input.team;
 
-    let decisionLabel;
     const lcThreshold = this.thresholds.LEAN * 100;
-    if (finalConfidence >= this.thresholds.LOCK_CONFIDENCE * 100) {
-      decisionLabel = "LOCK";
-    } else if (finalConfidence >= this.thresholds.STRONG_LEAN * 100) {
-      decisionLabel = "STRONG_LEAN";
-    } else if (finalConfidence >= this.thresholds.LEAN * 100) {
-      decisionLabel = "LEAN";
-    } else {
-      decisionLabel = "LEAN (Low Confidence)";
-    }
+    const decisionLabel = this._decisionLabel(finalConfidence);
 
     const flags = [];
     if (finalConfidence < lcThreshold) flags.push("low_confidence");
+    if (!rated) flags.push("no_team_ratings");
+    if (this._sharpFlag(sharp)) flags.push(this._sharpFlag(sharp));
+    if (ev != null && ev <= 0) flags.push("no_edge_at_price");
+    if (userPrice != null && best && best.price > userPrice) flags.push("better_price_available");
     if (clv) {
       if (clv.favorability === "favorable") flags.push("positive_clv");
       else if (clv.favorability === "unfavorable") flags.push("negative_clv");
@@ -379,15 +1093,19 @@ export class GameLinesEngine {
 
     this.matchInfo = {
       home: homeTeam,
-      away: matched?.AwayTeam ?? "",
+      away: matched?.away ?? "",
       book,
       mlHome,
       mlAway,
+      mlDraw,
       marketHome: mHome,
       marketAway: mAway,
+      marketDraw: mDraw,
     };
 
     return {
+      gameId,
+      pickId: tracked?.pickId ?? null,
       side: input.team,
       suggestion: "MONEYLINE",
       decision: decisionLabel,
@@ -398,13 +1116,37 @@ export class GameLinesEngine {
         marketProbability: Number(marketProb.toFixed(3)),
         modelProbability: Number(modelProb.toFixed(3)),
         fusedProbability: Number(fused.toFixed(3)),
+        drawProbability: mDraw != null ? Number(mDraw.toFixed(3)) : null,
+        sharpSignal: sharp ? Number(sharp.signal.toFixed(3)) : 0,
+        devigMethod,
+      },
+      sharp,
+      pricing: {
+        side: userSide,
+        price: takenPrice,
+        book: takenPrice != null ? priceBook : null,
+        source: userPrice != null ? "user" : best ? "best_available" : null,
+        ev: ev != null ? Math.round(ev * 1000) / 1000 : null,
       },
+      lineShopping: shopping,
+      ratings: ratings ? { model: "elo", rated, ...ratings } : null,
       oddsData,
       clv,
       meta: {
         dataSource: "sportsdata",
         usedEndpoints: this.usedEndpoints,
         matchInfo: this.matchInfo,
+        teams: input.teams,
+        devig: market
+          ? {
+              method: devigMethod,
+              source: devigSource,
+              outcomes: mlDraw != null ? ["home", "away", "draw"] : ["home", "away"],
+              overround: Number(market.overround.toFixed(4)),
+              holdPct: Math.round(market.hold * 10000) / 100,
+              param: market.param ? { name: market.param.name, value: Number(market.param.value.toFixed(4)) } : null,
+            }
+          : null,
       },
     };
   }
@@ -4,6 +4,22 @@
 // House thinking: Detects Vegas traps via recency bias, line inflation, volatility
 
 import { StatisticalModels } from "./../statisticalModels.js";
+import { comboValueFromRow } from "./../comboProps.js";
+import { parseProp, parsePropLine, PropParseError } from "./../propParser.js";
+import { resolveTeam, TeamResolutionError } from "./../teamRegistry.js";
+import {
+  positionGroup,
+  buildDefenseTable,
+  opponentDefenseFactor,
+  resolveOpponentCode,
+} from "./../context/defenseVsPosition.js";
+import { learnScheduleSplits, scheduleAdjustments } from "./../context/restTravel.js";
+import { createInjurySource } from "./../injuryReports.js";
+import { toProvider } from "./../providers/index.js";
+import { computeWithWithoutSplit } from "./../context/withWithout.js";
+import { projectPlayingTime } from "./../context/playingTime.js";
+import { simulateProp, summarizeDraws } from "./../propSimulator.js";
+import { americanToDecimal, expectedValue, fairOdds, impliedProbability, kellyFraction, noVigTwoWay } from "./../oddsMath.js";
 
 const SMART = String(process.env.SMART_OVERLAYS || "").toUpperCase() === "ON";
 
@@ -35,35 +51,36 @@ function fmtLocalDate(d) {
   }
 }
 
-// ---------- MLB strikeout extractor ----------
-function _mlbStrikeoutsFromRow(row) {
-  if (!row || typeof row !== 'object') return NaN;
-  
-  const explicitFields = ["PitchingStrikeouts", "PitcherStrikeouts", "StrikeoutsPitched"];
-  for (const k of explicitFields) {
-    const v = Number(row?.[k]);
-    if (Number.isFinite(v)) return v;
-  }
-
-  const k9Val = row?.PitchingStrikeoutsPerNine ?? row?.StrikeoutsPerNine ?? row?.KsPerNine;
-  const ipVal =
-    row?.PitchingInningsPitchedDecimal ?? row?.InningsPitchedDecimal ?? row?.InningsPitched;
-  const gs = Number(row?.GamesStarted ?? row?.GS ?? 0);
-
-  const k9 = Number(k9Val);
-  const ip = Number(ipVal);
-
-  if (Number.isFinite(k9) && Number.isFinite(ip) && ip > 0) {
-    const looksLikeStart = Number.isFinite(gs) && gs > 0;
-    const enoughInnings = ip >= 1.0;
-    if (looksLikeStart || enoughInnings) {
-      const k = (k9 * ip) / 9;
-      if (Number.isFinite(k)) return k;
-    }
-  }
-  return NaN;
+// ---------- Box-score stat reader ----------
+function _num(v) {
+  const n = Number(v);
+  return v !== null && v !== undefined && Number.isFinite(n) ? n : NaN;
 }
 
+// Markets where a teammate's absence frees up touches/shots for everyone else
+const USAGE_MARKETS = new Set([
+  "points", "rebounds", "assists", "threes", "turnovers",
+  "receptions", "receiving_yards", "rushing_yards", "rush_attempts", "touchdowns",
+]);
+
+// Pull of modelProb toward 0.5 for each report status
+const INJURY_STATUS_SHRINK = { DOUBTFUL: 0.5, QUESTIONABLE: 0.2, PROBABLE: 0 };
+
+// Most minutes a simulated game can give (regulation plus overtime)
+const SIM_MINUTES_CAP = { NBA: 53, WNBA: 45 };
+
+// Share of a full game's output expected in each graded period
+const PERIOD_SHARE = {
+  game: 1,
+  "1H": 0.5,
+  "2H": 0.5,
+  "1Q": 0.25,
+  "2Q": 0.25,
+  "3Q": 0.25,
+  "4Q": 0.25,
+  F5: 5 / 9,
+};
+
 // ---------- House Thinking Analysis ----------
 function analyzeHouseLine(playerAvg, seasonAvg, line, recentGames) {
   const analysis = {
@@ -223,13 +240,34 @@ function _promiseWithTimeout(promise, ms, label = "operation") {
 }
 
 export class PlayerPropsEngine {
-  constructor(apiClient, opts = {}) {
-    this.apiClient = apiClient;
+  /**
+   * @param {object} source - Data provider, or a SportsDataIO-style client to wrap
+   * @param {object} [opts] - Threshold overrides and an injury source
+   */
+  constructor(source, opts = {}) {
+    this.provider = toProvider(source);
     this.thresholds = {
       LEAN: opts?.LEAN ?? 0.55,
       STRONG: opts?.STRONG ?? 0.65,
       HAMMER: opts?.HAMMER ?? 0.75,
       FUZZY_MATCH_THRESHOLD: opts?.FUZZY_MATCH_THRESHOLD ?? 0.7,
+      H2H_SHRINK_GAMES: opts?.H2H_SHRINK_GAMES ?? 10,
+      MAX_USAGE_BOOST: opts?.MAX_USAGE_BOOST ?? 1.2,
+      WITHOUT_SHRINK_GAMES: opts?.WITHOUT_SHRINK_GAMES ?? 5,
+      // Mean estimator: "ewma_bayes" (recency-weighted, shrunk to season/league) or "flat"
+      ESTIMATOR: opts?.ESTIMATOR ?? "ewma_bayes",
+      EWMA_HALF_LIFE: opts?.EWMA_HALF_LIFE ?? 5,
+      DRIFT_CV: opts?.DRIFT_CV ?? 0.1,
+      LEAGUE_CV: opts?.LEAGUE_CV ?? 0.5,
+      DVP_LOOKBACK_DAYS: opts?.DVP_LOOKBACK_DAYS ?? 30,
+      DVP_SHRINK_GAMES: opts?.DVP_SHRINK_GAMES ?? 5,
+      // Monte Carlo mode: off unless enabled here or requested per prop (input.simulation)
+      SIMULATE: opts?.SIMULATE ?? false,
+      SIM_RUNS: opts?.SIM_RUNS ?? 10000,
+      // Staking: fractional Kelly in % of bankroll, priced at DEFAULT_PRICE when no odds are given
+      KELLY_FRACTION: opts?.KELLY_FRACTION ?? 0.25,
+      MAX_STAKE: opts?.MAX_STAKE ?? 5,
+      DEFAULT_PRICE: opts?.DEFAULT_PRICE ?? -110,
     };
     this.usedEndpoints = [];
     this.errorFlags = [];
@@ -238,6 +276,14 @@ export class PlayerPropsEngine {
     this.zeroFiltered = 0;
     this.recentValsCount = 0;
     this.recentSample = [];
+    this.playerPosition = "";
+    this.playerTeam = "";
+    this.playerId = null;
+    this.upcomingHomeOrAway = "";
+    this.recentRows = [];
+    this.seasonRows = [];
+    this._seasonLogCache = new Map();
+    this.injurySource = opts?.injurySource || createInjurySource({ provider: this.provider });
   }
 
   _pushUsed(endpoint) {
@@ -267,6 +313,22 @@ export class PlayerPropsEngine {
     const prop = String(input?.prop || "").trim();
     if (!prop || prop.length < 2) {
       this.errorFlags.push("INVALID_PROP");
+    } else {
+      try {
+        parseProp(sport, prop);
+      } catch (err) {
+        this.errorFlags.push(err instanceof PropParseError ? err.code : "INVALID_PROP");
+      }
+    }
+
+    // An opponent that fits several teams ("LA") is rejected rather than guessed
+    const opponent = String(input?.opponent || "").trim();
+    if (opponent && sport) {
+      try {
+        resolveTeam(sport, opponent);
+      } catch (err) {
+        if (err instanceof TeamResolutionError && err.code === "AMBIGUOUS_TEAM") this.errorFlags.push(err.code);
+      }
     }
     
     return this.errorFlags.length === 0;
@@ -274,63 +336,167 @@ export class PlayerPropsEngine {
 
   extractLineFromProp(propStr) {
     try {
-      const s = String(propStr || "");
-      const match = s.match(/(-?\d+(\.\d+)?)/);
-      if (match && match[1]) {
-        const val = parseFloat(match[1]);
-        return Number.isFinite(val) ? val : NaN;
-      }
-      return NaN;
+      const { line } = parsePropLine(propStr);
+      return Number.isFinite(line) ? line : NaN;
     } catch {
       return NaN;
     }
   }
 
+  // Parsed prop for a sport; accepts an already-parsed prop. Returns null for unknown markets.
+  _parseProp(sport, prop) {
+    if (prop && typeof prop === "object" && prop.market) return prop;
+    try {
+      return parseProp(sport, prop);
+    } catch (err) {
+      if (!(err instanceof PropParseError)) console.warn("[_parseProp] error:", err?.message);
+      return null;
+    }
+  }
+
   _pickValueFromRow(sport, prop, row) {
     try {
       if (!row || typeof row !== 'object') return NaN;
       
       const s = String(sport || "").toUpperCase();
-      const p = String(prop || "").toLowerCase();
-      
-      if (s === "MLB") {
-        if (p.includes("strikeout")) return _mlbStrikeoutsFromRow(row);
-        if (p.includes("hit")) return Number(row?.Hits ?? row?.BattingHits ?? NaN);
-        if (p.includes("run") && !p.includes("rbi")) return Number(row?.Runs ?? row?.RunsScored ?? NaN);
-        if (p.includes("rbi")) return Number(row?.RunsBattedIn ?? row?.RBI ?? NaN);
-        if (p.includes("homerun") || p.includes("home run")) return Number(row?.HomeRuns ?? row?.HR ?? NaN);
-      }
-      
-      if (s === "NBA" || s === "WNBA") {
-        if (p.includes("point")) return Number(row?.Points ?? row?.PTS ?? NaN);
-        if (p.includes("rebound")) return Number(row?.Rebounds ?? row?.REB ?? NaN);
-        if (p.includes("assist")) return Number(row?.Assists ?? row?.AST ?? NaN);
-        if (p.includes("steal")) return Number(row?.Steals ?? row?.STL ?? NaN);
-        if (p.includes("block")) return Number(row?.BlockedShots ?? row?.BLK ?? NaN);
-        if (p.includes("three") || p.includes("3pt")) return Number(row?.ThreePointersMade ?? row?.TP3M ?? NaN);
-      }
-      
-      if (s === "NFL") {
-        if (p.includes("passing") && p.includes("yard")) return Number(row?.PassingYards ?? NaN);
-        if (p.includes("rushing") && p.includes("yard")) return Number(row?.RushingYards ?? NaN);
-        if (p.includes("receiving") && p.includes("yard")) return Number(row?.ReceivingYards ?? NaN);
-        if (p.includes("reception")) return Number(row?.Receptions ?? NaN);
-        if (p.includes("touchdown") || p.includes("td")) {
-          const pass = Number(row?.PassingTouchdowns ?? 0);
-          const rush = Number(row?.RushingTouchdowns ?? 0);
-          const rec = Number(row?.ReceivingTouchdowns ?? 0);
-          const total = pass + rush + rec;
-          return Number.isFinite(total) ? total : NaN;
-        }
-      }
-      
-      return NaN;
+      const parsed = this._parseProp(s, prop);
+      if (!parsed) return NaN;
+
+      if (parsed.combo) return comboValueFromRow(parsed.combo, row);
+
+      return _num(row?.stats?.[parsed.market]);
     } catch (err) {
       console.warn("[_pickValueFromRow] error:", err?.message);
       return NaN;
     }
   }
 
+  // Which distribution family models this stat: discrete counts vs. continuous totals
+  _distributionFamily(sport, prop) {
+    const s = String(sport || "").toUpperCase();
+    const parsed = this._parseProp(s, prop);
+    const market = parsed?.market || "";
+
+    if (s === "NFL" && /yard|_yds$/.test(market)) return "gamma";
+    if (s === "NBA" || s === "WNBA") {
+      if (parsed?.combo && market !== "stocks") return "normal";
+      if (market === "points" || market === "minutes") return "normal";
+    }
+    return "count";
+  }
+
+  // Simulation settings for this prop, or null when the mode is off.
+  // input.simulation may be true or { seed, sims, altLines, milestones }.
+  _simulationOptions(input, features) {
+    const req = input?.simulation;
+    if (req === false || (!req && !this.thresholds.SIMULATE)) return null;
+    const o = req && typeof req === "object" ? req : {};
+    return {
+      seed:
+        o.seed ??
+        `${String(input.sport || "").toUpperCase()}|${features?.matchedName || input.player}|${input.prop}|${features?.asOfDate || ""}`,
+      sims: Number(o.sims) || this.thresholds.SIM_RUNS,
+      altLines: Array.isArray(o.altLines) ? o.altLines : undefined,
+      milestones: Array.isArray(o.milestones) ? o.milestones : undefined,
+    };
+  }
+
+  /**
+   * Monte Carlo view of a prop. Minutes (NBA/WNBA) and, for combos, each component are
+   * drawn jointly from distributions fitted to the recent game logs and centred on the
+   * projected mean. Falls back to a single stat drawn from the recent sample.
+   * @param {string} sport - Sport code
+   * @param {object} parsedProp - Output of parseProp
+   * @param {object} features - Output of generateFeatures (recentRows, recentSample, playingTime)
+   * @param {{seed: string|number, sims: number, altLines?: number[], milestones?: number[],
+   *          usedAvg: number, line: number, periodShare?: number, family: string}} opts
+   * @returns {object|null} Seed, run count, percentile bands and line/alt-line/milestone probabilities
+   */
+  simulatePlayerProp(sport, parsedProp, features, opts) {
+    try {
+      const s = String(sport || "").toUpperCase();
+      const { usedAvg, line, periodShare = 1, family } = opts;
+      const combo = parsedProp?.combo;
+      const names = combo ? combo.components : [parsedProp?.market || "stat"];
+      const readers = combo
+        ? names.map((c) => (row) => comboValueFromRow({ components: [c] }, row))
+        : [(row) => this._pickValueFromRow(s, parsedProp, row)];
+      const usesMinutes = s === "NBA" || s === "WNBA";
+
+      const games = (Array.isArray(features?.recentRows) ? features.recentRows : [])
+        .map((row) => ({ minutes: _num(row?.stats?.minutes), values: readers.map((read) => read(row) * periodShare) }))
+        .filter((g) => g.values.every(Number.isFinite) && (!usesMinutes || g.minutes > 0))
+        .slice(0, 15);
+
+      let components;
+      let minutes = null;
+      if (games.length >= 5) {
+        // Split the projected mean across components in proportion to recent output
+        const means = names.map((_, i) => games.reduce((a, g) => a + g.values[i], 0) / games.length);
+        const total = means.reduce((a, b) => a + b, 0);
+        components = names.map((name, i) => ({
+          name,
+          family: combo
+            ? this._distributionFamily(s, { market: name.replace(/[A-Z]/g, (c) => `_${c.toLowerCase()}`) })
+            : family,
+          sample: games.map((g) => g.values[i]),
+          mean: total > 0 ? usedAvg * (means[i] / total) : usedAvg / names.length,
+        }));
+        if (usesMinutes) {
+          const sample = games.map((g) => g.minutes);
+          const pt = features.playingTime;
+          minutes = {
+            projected: pt?.unit === "minutes" ? pt.projected : sample.reduce((a, b) => a + b, 0) / sample.length,
+            sample,
+            max: SIM_MINUTES_CAP[s],
+          };
+        }
+      } else {
+        components = [{ name: names.join("+"), family, sample: features?.recentSample || [], mean: usedAvg }];
+      }
+
+      const run = simulateProp({ seed: opts.seed, sims: opts.sims, components, minutes, round: periodShare === 1 });
+      if (!run) return null;
+      const summary = summarizeDraws(run.totals, { line, altLines: opts.altLines, milestones: opts.milestones });
+
+      const roundProbs = (p) => ({ over: round3(p.over), under: round3(p.under), push: round3(p.push) });
+      return {
+        seed: run.seed,
+        sims: run.sims,
+        mean: round3(summary.mean),
+        sd: round3(summary.sd),
+        percentiles: Object.fromEntries(Object.entries(summary.percentiles).map(([k, v]) => [k, round2(v)])),
+        line: roundProbs(summary.line),
+        altLines: summary.altLines.map((a) => ({ line: a.line, ...roundProbs(a) })),
+        milestones: summary.milestones.map((m) => ({ threshold: m.threshold, pHit: round3(m.pHit) })),
+        minutes: run.minutesModel ? { mean: round2(run.minutesModel.mean), sd: round2(run.minutesModel.sd) } : null,
+        components:
+          components.length > 1
+            ? Object.fromEntries(
+                Object.entries(run.components).map(([name, draws]) => {
+                  const c = summarizeDraws(draws, { altLines: [], milestones: [] });
+                  return [name, { mean: round3(c.mean), p10: c.percentiles.p10, p50: c.percentiles.p50, p90: c.percentiles.p90 }];
+                })
+              )
+            : null,
+        correlation:
+          components.length > 1
+            ? { names: run.correlation.names, matrix: run.correlation.matrix.map((r) => r.map(round3)) }
+            : null,
+        distributions: Object.fromEntries(Object.entries(run.distributions).map(([name, d]) => [name, d?.type || null])),
+      };
+    } catch (err) {
+      console.warn("[simulatePlayerProp] error:", err?.message);
+      return null;
+    }
+  }
+
+  // MLB props graded on the pitcher's line rather than the batter's
+  _isMLBPitchingProp(prop) {
+    const parsed = this._parseProp("MLB", prop);
+    return ["strikeouts", "earned_runs", "hits_allowed", "outs", "innings_pitched"].includes(parsed?.market);
+  }
+
   calculateVariance(values) {
     try {
       if (!Array.isArray(values) || values.length === 0) return 1.4;
@@ -348,47 +514,16 @@ export class PlayerPropsEngine {
     }
   }
 
+  // Every player's line for one date; the endpoint is recorded when the provider serves the sport
   async _byDateArray(sport, dateStr) {
-    const c = this.apiClient;
-    if (!c) return [];
-    
     try {
-      if (sport === "MLB" && typeof c.getMLBPlayerStatsByDate === "function") {
-        this._pushUsed(`MLB:player-stats-by-date:${dateStr}`);
-        const result = await _promiseWithTimeout(
-          c.getMLBPlayerStatsByDate(dateStr),
-          10000,
-          'MLB stats fetch timeout'
-        );
-        return Array.isArray(result) ? result : [];
-      }
-      if (sport === "NBA" && typeof c.getNBAPlayerStatsByDate === "function") {
-        this._pushUsed(`NBA:player-stats-by-date:${dateStr}`);
-        const result = await _promiseWithTimeout(
-          c.getNBAPlayerStatsByDate(dateStr),
-          10000,
-          'NBA stats fetch timeout'
-        );
-        return Array.isArray(result) ? result : [];
-      }
-      if (sport === "WNBA" && typeof c.getWNBAPlayerStatsByDate === "function") {
-        this._pushUsed(`WNBA:player-stats-by-date:${dateStr}`);
-        const result = await _promiseWithTimeout(
-          c.getWNBAPlayerStatsByDate(dateStr),
-          10000,
-          'WNBA stats fetch timeout'
-        );
-        return Array.isArray(result) ? result : [];
-      }
-      if (sport === "NFL" && typeof c.getNFLPlayerStatsByDate === "function") {
-        this._pushUsed(`NFL:player-stats-by-date:${dateStr}`);
-        const result = await _promiseWithTimeout(
-          c.getNFLPlayerStatsByDate(dateStr),
-          10000,
-          'NFL stats fetch timeout'
-        );
-        return Array.isArray(result) ? result : [];
-      }
+      const result = await _promiseWithTimeout(
+        this.provider.getBoxScores(sport, { date: dateStr }),
+        10000,
+        `${sport} stats fetch timeout`
+      );
+      if (result) this._pushUsed(`${sport}:player-stats-by-date:${dateStr}`);
+      return Array.isArray(result) ? result : [];
     } catch (err) {
       console.warn("[PlayerPropsEngine] _byDateArray failed", err?.message || err);
     }
@@ -396,46 +531,14 @@ export class PlayerPropsEngine {
   }
 
   async _seasonArray(sport, season) {
-    const c = this.apiClient;
-    if (!c) return [];
-    
     try {
-      if (sport === "MLB" && typeof c.getMLBPlayerSeasonStats === "function") {
-        this._pushUsed(`MLB:player-season-stats:${season}`);
-        const result = await _promiseWithTimeout(
-          c.getMLBPlayerSeasonStats(season),
-          10000,
-          'MLB season stats timeout'
-        );
-        return Array.isArray(result) ? result : [];
-      }
-      if (sport === "NBA" && typeof c.getNBAPlayerSeasonStats === "function") {
-        this._pushUsed(`NBA:player-season-stats:${season}`);
-        const result = await _promiseWithTimeout(
-          c.getNBAPlayerSeasonStats(season),
-          10000,
-          'NBA season stats timeout'
-        );
-        return Array.isArray(result) ? result : [];
-      }
-      if (sport === "WNBA" && typeof c.getWNBAPlayerSeasonStats === "function") {
-        this._pushUsed(`WNBA:player-season-stats:${season}`);
-        const result = await _promiseWithTimeout(
-          c.getWNBAPlayerSeasonStats(season),
-          10000,
-          'WNBA season stats timeout'
-        );
-        return Array.isArray(result) ? result : [];
-      }
-      if (sport === "NFL" && typeof c.getNFLPlayerSeasonStats === "function") {
-        this._pushUsed(`NFL:player-season-stats:${season}`);
-        const result = await _promiseWithTimeout(
-          c.getNFLPlayerSeasonStats(season),
-          10000,
-          'NFL season stats timeout'
-        );
-        return Array.isArray(result) ? result : [];
-      }
+      const result = await _promiseWithTimeout(
+        this.provider.getSeasonStats(sport, season),
+        10000,
+        `${sport} season stats timeout`
+      );
+      if (result) this._pushUsed(`${sport}:player-season-stats:${season}`);
+      return Array.isArray(result) ? result : [];
     } catch (err) {
       console.warn("[PlayerPropsEngine] _seasonArray failed", err?.message || err);
     }
@@ -444,16 +547,17 @@ export class PlayerPropsEngine {
 
   async _collectRecentByDate(input, sport, startDateStr, lookbackDays, maxGames, idHint) {
     const nameMatch = _tokNameMatchFactory(input.player);
+    const parsedProp = this._parseProp(sport, input.prop) || input.prop;
     const values = [];
     
     let date;
     try {
       date = new Date(startDateStr);
       if (isNaN(date.getTime())) {
-        date = new Date();
+        date = this.provider.now();
       }
     } catch {
-      date = new Date();
+      date = this.provider.now();
     }
     
     this.zeroFiltered = 0;
@@ -479,7 +583,7 @@ export class PlayerPropsEngine {
                 .map(r => ({
                   row: r,
                   score: _fuzzyNameMatch(
-                    r?.Name || r?.FullName || r?.PlayerName,
+                    r?.name,
                     input.player,
                     this.thresholds.FUZZY_MATCH_THRESHOLD
                   )
@@ -491,9 +595,9 @@ export class PlayerPropsEngine {
                 row = fuzzyMatches[0].row;
                 
                 if (fuzzyMatches.length > 1 && fuzzyMatches[0].score - fuzzyMatches[1].score < 0.05) {
-                  console.warn(`[PlayerPropsEngine] Ambiguous fuzzy match for ${input.player}: ${fuzzyMatches[0].row?.Name || fuzzyMatches[0].row?.PlayerName} (${round2(fuzzyMatches[0].score)}) vs ${fuzzyMatches[1].row?.Name || fuzzyMatches[1].row?.PlayerName} (${round2(fuzzyMatches[1].score)})`);
+                  console.warn(`[PlayerPropsEngine] Ambiguous fuzzy match for ${input.player}: ${fuzzyMatches[0].row?.name} (${round2(fuzzyMatches[0].score)}) vs ${fuzzyMatches[1].row?.name} (${round2(fuzzyMatches[1].score)})`);
                 } else {
-                  console.log(`[PlayerPropsEngine] Fuzzy matched: ${input.player} -> ${row?.Name || row?.PlayerName} (score: ${round2(fuzzyMatches[0].score)})`);
+                  console.log(`[PlayerPropsEngine] Fuzzy matched: ${input.player} -> ${row?.name} (score: ${round2(fuzzyMatches[0].score)})`);
                 }
               }
             } catch (err) {
@@ -505,7 +609,7 @@ export class PlayerPropsEngine {
             try {
               row = arr.find((r) => {
                 try {
-                  return r && typeof r === 'object' && nameMatch(r?.Name || r?.FullName || r?.PlayerName);
+                  return r && typeof r === 'object' && nameMatch(r?.name);
                 } catch {
                   return false;
                 }
@@ -514,34 +618,31 @@ export class PlayerPropsEngine {
           }
 
           if (row) {
-            if (sport === "MLB") {
-              const ip =
-                Number(row?.PitchingInningsPitchedDecimal) ??
-                Number(row?.InningsPitchedDecimal) ??
-                Number(row?.InningsPitched) ??
-                0;
-              const outs = Number(row?.PitchingOuts) || Number(row?.OutsPitched) || 0;
-              const bf = Number(row?.PitchingBattersFaced) || Number(row?.BattersFaced) || 0;
-              const gp = Number(row?.GamesPitched) || 0;
-              const gs = Number(row?.GamesStarted) || 0;
-              const pos = String(row.Position || row.PositionCategory || "").toUpperCase();
+            if (sport === "MLB" && this._isMLBPitchingProp(parsedProp)) {
+              const ip = Number(row.stats?.innings_pitched) || 0;
+              const outs = Number(row.stats?.outs) || 0;
+              const bf = Number(row.stats?.batters_faced) || 0;
+              const gp = Number(row.stats?.games_pitched) || 0;
+              const gs = Number(row.started) || 0;
+              const pos = String(row.position || "").toUpperCase();
               const isPitcherLike = pos.includes("P");
               const pitched = ip > 0 || outs > 0 || bf > 0 || gp > 0 || gs > 0 || isPitcherLike;
 
               if (!pitched) {
                 this.zeroFiltered++;
               } else {
-                const v = this._pickValueFromRow(sport, input.prop, row);
+                const v = this._pickValueFromRow(sport, parsedProp, row);
                 if (Number.isFinite(v)) values.push(v);
                 else if (v === 0) values.push(0);
                 else this.zeroFiltered++;
               }
             } else {
-              const v = this._pickValueFromRow(sport, input.prop, row);
+              const v = this._pickValueFromRow(sport, parsedProp, row);
               if (Number.isFinite(v)) values.push(v);
               else if (v === 0) values.push(0);
               else this.zeroFiltered++;
             }
+            this.recentRows.push(row);
           }
         }
         date.setDate(date.getDate() - 1);
@@ -563,6 +664,7 @@ export class PlayerPropsEngine {
   async _collectNFLRecents(input, season, currentWeek, maxWeeks, idHint) {
     const values = [];
     const nameMatch = _tokNameMatchFactory(input.player);
+    const parsedProp = this._parseProp("NFL", input.prop) || input.prop;
 
     for (let w = currentWeek; w >= 1 && values.length < maxWeeks; w--) {
       try {
@@ -583,7 +685,7 @@ export class PlayerPropsEngine {
                 .map(r => ({
                   row: r,
                   score: _fuzzyNameMatch(
-                    r?.Name || r?.PlayerName || r?.FullName,
+                    r?.name,
                     input.player,
                     this.thresholds.FUZZY_MATCH_THRESHOLD
                   )
@@ -595,9 +697,9 @@ export class PlayerPropsEngine {
                 row = fuzzyMatches[0].row;
                 
                 if (fuzzyMatches.length > 1 && fuzzyMatches[0].score - fuzzyMatches[1].score < 0.05) {
-                  console.warn(`[PlayerPropsEngine] NFL Ambiguous match for ${input.player}: ${fuzzyMatches[0].row?.Name || fuzzyMatches[0].row?.PlayerName} (${round2(fuzzyMatches[0].score)}) vs ${fuzzyMatches[1].row?.Name || fuzzyMatches[1].row?.PlayerName} (${round2(fuzzyMatches[1].score)})`);
+                  console.warn(`[PlayerPropsEngine] NFL Ambiguous match for ${input.player}: ${fuzzyMatches[0].row?.name} (${round2(fuzzyMatches[0].score)}) vs ${fuzzyMatches[1].row?.name} (${round2(fuzzyMatches[1].score)})`);
                 } else {
-                  console.log(`[PlayerPropsEngine] NFL Fuzzy matched: ${input.player} -> ${row?.Name || row?.PlayerName} (score: ${round2(fuzzyMatches[0].score)})`);
+                  console.log(`[PlayerPropsEngine] NFL Fuzzy matched: ${input.player} -> ${row?.name} (score: ${round2(fuzzyMatches[0].score)})`);
                 }
               }
             } catch (err) {
@@ -607,15 +709,16 @@ export class PlayerPropsEngine {
           
           if (!row) {
             try {
-              row = arr.find((r) => r && typeof r === 'object' && nameMatch(r?.Name || r?.PlayerName || r?.FullName));
+              row = arr.find((r) => r && typeof r === 'object' && nameMatch(r?.name));
             } catch {}
           }
 
           if (row) {
-            const v = this._pickValueFromRow("NFL", input.prop, row);
+            const v = this._pickValueFromRow("NFL", parsedProp, row);
             if (Number.isFinite(v)) values.push(v);
             else if (v === 0) values.push(0);
             else this.zeroFiltered++;
+            this.recentRows.push(row);
           }
         }
       } catch (err) {
@@ -626,18 +729,14 @@ export class PlayerPropsEngine {
   }
 
   async _nflWeekArray(season, week) {
-    const c = this.apiClient;
-    if (!c || typeof c.getNFLPlayerGameStatsByWeek !== "function") return [];
-    
     try {
-      this._pushUsed(`NFL:player-stats-by-week:${season}-W${week}`);
       const result = await _promiseWithTimeout(
-        c.getNFLPlayerGameStatsByWeek(season, week),
+        this.provider.getBoxScores("NFL", { season, week }),
         10000,
         'NFL week stats timeout'
       );
-      const arr = Array.isArray(result) ? result : [];
-      return arr;
+      if (result) this._pushUsed(`NFL:player-stats-by-week:${season}-W${week}`);
+      return Array.isArray(result) ? result : [];
     } catch (err) {
       console.warn("[PlayerPropsEngine] _nflWeekArray failed", err?.message || err);
       return [];
@@ -651,21 +750,31 @@ async generateFeatures(input) {
     this.zeroFiltered = 0;
     this.recentValsCount = 0;
     this.recentSample = [];
+    this.playerPosition = "";
+    this.playerTeam = "";
+    this.playerId = null;
+    this.upcomingHomeOrAway = "";
+    this.recentRows = [];
+    this.seasonRows = [];
+    this._seasonLogCache = new Map();
+    let nflSeason = null;
+    let nflWeek = null;
 
     let dateStr;
     try {
-      const d = input?.startTime ? new Date(input.startTime) : new Date();
+      const d = input?.startTime ? new Date(input.startTime) : this.provider.now();
       const t = d.getTime();
       if (!Number.isFinite(t)) throw new Error("invalid date");
       dateStr = fmtLocalDate(d);
     } catch {
-      dateStr = fmtLocalDate(new Date());
+      dateStr = fmtLocalDate(this.provider.now());
     }
 
-    const seasonYear = new Date(dateStr).getFullYear();
+    const seasonYear = this.provider.seasonForDate(sport, dateStr);
+    const parsedProp = this._parseProp(sport, input.prop) || input.prop;
 
     try {
-      if (this.apiClient && this.apiClient.apiKey) {
+      if (this.provider.isAvailable("stats")) {
         const base = new Date(dateStr);
         const datesToTry = [0, -1, -2].map((off) => {
           const d = new Date(base);
@@ -688,7 +797,7 @@ async generateFeatures(input) {
                     .map(s => ({
                       player: s,
                       score: _fuzzyNameMatch(
-                        s?.Name || s?.PlayerName || s?.FullName,
+                        s?.name,
                         input.player,
                         this.thresholds.FUZZY_MATCH_THRESHOLD
                       )
@@ -698,7 +807,7 @@ async generateFeatures(input) {
                   
                   if (fuzzyMatches.length > 0) {
                     matched = fuzzyMatches[0].player;
-                    console.log(`[PlayerPropsEngine] Initial fuzzy match: ${input.player} -> ${matched?.Name || matched?.PlayerName} (score: ${round2(fuzzyMatches[0].score)})`);
+                    console.log(`[PlayerPropsEngine] Initial fuzzy match: ${input.player} -> ${matched?.name} (score: ${round2(fuzzyMatches[0].score)})`);
                   }
                 } catch (err) {
                   console.warn("[generateFeatures] fuzzy match failed:", err?.message);
@@ -709,7 +818,7 @@ async generateFeatures(input) {
                 try {
                   matched = stats.find((s) => {
                     try {
-                      return s && typeof s === 'object' && nameMatch(s?.Name || s?.PlayerName || s?.FullName);
+                      return s && typeof s === 'object' && nameMatch(s?.name);
                     } catch {
                       return false;
                     }
@@ -718,8 +827,13 @@ async generateFeatures(input) {
               }
               
               if (matched) {
-                this.matchedName = String(matched.Name || matched.PlayerName || matched.FullName || "");
-                if (matched.PlayerID) idHint = { key: "PlayerID", value: matched.PlayerID };
+                this.matchedName = String(matched.name || "");
+                this.playerPosition = String(matched.position || "");
+                this.playerTeam = String(matched.team || "");
+                this.playerId = matched.playerId ?? null;
+                // A row on the game date itself is the upcoming game
+                if (dStr === dateStr) this.upcomingHomeOrAway = String(matched.homeOrAway || "");
+                if (matched.playerId) idHint = { key: "playerId", value: matched.playerId };
                 break;
               }
             }
@@ -731,56 +845,41 @@ async generateFeatures(input) {
         let seasonArr = [];
         try {
           seasonArr = (await this._seasonArray(sport, seasonYear)) || [];
+          this.seasonRows = seasonArr;
         } catch (err) {
           console.warn("[PlayerPropsEngine] seasonArray fetch failed", err?.message || err);
         }
         
         let seasonAvg = NaN;
+        let seasonGames = 0;
         if (Array.isArray(seasonArr) && seasonArr.length) {
           try {
             const sRow = seasonArr
               .filter(r => r && typeof r === 'object')
               .find((r) => {
                 try {
-                  if (r?.PlayerID && matched?.PlayerID && Number(r.PlayerID) === Number(matched.PlayerID)) return true;
-                  const targetName = matched?.Name || matched?.PlayerName || matched?.FullName || input.player;
-                  return _tokNameMatchFactory(targetName)(r?.Name || r?.PlayerName || r?.FullName);
+                  if (r?.playerId && matched?.playerId && Number(r.playerId) === Number(matched.playerId)) return true;
+                  const targetName = matched?.name || input.player;
+                  return _tokNameMatchFactory(targetName)(r?.name);
                 } catch {
                   return false;
                 }
               });
               
             if (sRow) {
-              this.matchedName = this.matchedName || String(sRow?.Name || sRow?.PlayerName || sRow?.FullName || "");
+              this.matchedName = this.matchedName || String(sRow?.name || "");
+              this.playerPosition = this.playerPosition || String(sRow?.position || "");
+              this.playerTeam = this.playerTeam || String(sRow?.team || "");
               
-              if (sport === "MLB") {
-                const totalK = Number(sRow?.PitchingStrikeouts ?? sRow?.Strikeouts ?? NaN);
-                const starts = Number(sRow?.GamesStarted ?? NaN);
-                const games = Number(sRow?.Games ?? sRow?.GamesPlayed ?? NaN);
-                const denom = Number.isFinite(starts) && starts > 0 ? starts : Number.isFinite(games) && games > 0 ? games : NaN;
-                if (Number.isFinite(totalK) && Number.isFinite(denom) && denom > 0) {
-                  seasonAvg = totalK / denom;
-                }
-              } else if (sport === "NBA" || sport === "WNBA") {
-                const gp = Number(sRow?.Games ?? sRow?.GamesPlayed ?? NaN);
-                if (gp > 0) {
-                  if (String(input.prop).toLowerCase().includes("rebound") && Number.isFinite(Number(sRow?.Rebounds))) {
-                    seasonAvg = Number(sRow.Rebounds) / gp;
-                  } else if (String(input.prop).toLowerCase().includes("assist") && Number.isFinite(Number(sRow?.Assists))) {
-                    seasonAvg = Number(sRow.Assists) / gp;
-                  } else if (String(input.prop).toLowerCase().includes("point") && Number.isFinite(Number(sRow?.Points))) {
-                    seasonAvg = Number(sRow.Points) / gp;
-                  }
-                }
-              } else if (sport === "NFL") {
-                const gp = Number(sRow?.Games ?? sRow?.GamesPlayed ?? NaN);
-                if (gp > 0 && String(input.prop).toLowerCase().includes("passing") && Number.isFinite(Number(sRow?.PassingYards))) {
-                  seasonAvg = Number(sRow.PassingYards) / gp;
-                } else if (gp > 0 && String(input.prop).toLowerCase().includes("rushing") && Number.isFinite(Number(sRow?.RushingYards))) {
-                  seasonAvg = Number(sRow.RushingYards) / gp;
-                } else if (gp > 0 && (String(input.prop).toLowerCase().includes("receiving") || String(input.prop).toLowerCase().includes("rec"))) {
-                  if (Number.isFinite(Number(sRow?.ReceivingYards))) seasonAvg = Number(sRow.ReceivingYards) / gp;
-                }
+              // Season rows carry totals under the same stat keys as game logs
+              const games = Number(sRow?.games ?? NaN);
+              const starts = Number(sRow?.started ?? NaN);
+              const denom =
+                sport === "MLB" && this._isMLBPitchingProp(parsedProp) && starts > 0 ? starts : games;
+              const total = this._pickValueFromRow(sport, parsedProp, sRow);
+              if (Number.isFinite(total) && denom > 0) {
+                seasonAvg = total / denom;
+                seasonGames = denom;
               }
             }
           } catch (err) {
@@ -791,38 +890,33 @@ async generateFeatures(input) {
         let recentVals = [];
         try {
           if (sport === "NFL") {
-            const c = this.apiClient;
             let season = seasonYear;
             let curWeek = null;
             
-            if (typeof c.getNFLSeasonCurrent === "function") {
-              try {
-                const s = await _promiseWithTimeout(
-                  c.getNFLSeasonCurrent(),
-                  5000,
-                  'NFL season fetch timeout'
-                );
-                if (Number(s)) season = Number(s);
-              } catch (err) {
-                console.warn("[generateFeatures] NFL season fetch failed:", err?.message);
-              }
+            try {
+              const s = await _promiseWithTimeout(
+                this.provider.getCurrentSeason("NFL"),
+                5000,
+                'NFL season fetch timeout'
+              );
+              if (Number(s)) season = Number(s);
+            } catch (err) {
+              console.warn("[generateFeatures] NFL season fetch failed:", err?.message);
             }
             
-            if (typeof c.getNFLWeekCurrent === "function") {
-              try {
-                const w = await _promiseWithTimeout(
-                  c.getNFLWeekCurrent(),
-                  5000,
-                  'NFL week fetch timeout'
-                );
-                if (Number(w)) curWeek = Number(w);
-              } catch (err) {
-                console.warn("[generateFeatures] NFL week fetch failed:", err?.message);
-              }
+            try {
+              const w = await _promiseWithTimeout(
+                this.provider.getCurrentWeek("NFL"),
+                5000,
+                'NFL week fetch timeout'
+              );
+              if (Number(w)) curWeek = Number(w);
+            } catch (err) {
+              console.warn("[generateFeatures] NFL week fetch failed:", err?.message);
             }
             
             if (!curWeek || curWeek < 1 || curWeek > 18) {
-              const currentMonth = new Date().getMonth();
+              const currentMonth = new Date(dateStr).getMonth();
               if (currentMonth >= 8) {
                 curWeek = Math.min(Math.floor((currentMonth - 8) * 4) + 1, 18);
               } else if (currentMonth <= 1) {
@@ -833,51 +927,41 @@ async generateFeatures(input) {
               console.warn(`[PlayerPropsEngine] NFL week fallback applied: ${curWeek}`);
             }
             
+            nflSeason = season;
+            nflWeek = curWeek;
             recentVals = await this._collectNFLRecents(input, season, curWeek, 8, idHint);
           } else {
             // Use direct player game logs for MLB/NBA (more efficient, gets actual games played)
-            if (sport === "MLB" && this.apiClient && typeof this.apiClient.getMLBPlayerGameLogs === "function") {
+            if (sport === "MLB" || sport === "NBA") {
               try {
-                const gameLogs = await _promiseWithTimeout(
-                  this.apiClient.getMLBPlayerGameLogs(input.player, null, 15),
+                // MLB lets the provider pick the current season
+                const seasonLogs = await _promiseWithTimeout(
+                  this.provider.getPlayerGameLogs(sport, input.player, {
+                    season: sport === "MLB" ? null : seasonYear,
+                    count: 15,
+                    batting: !this._isMLBPitchingProp(parsedProp),
+                  }),
                   15000,
-                  'MLB player game logs timeout'
+                  `${sport} player game logs timeout`
                 );
-                
-                if (Array.isArray(gameLogs) && gameLogs.length > 0) {
-                  this._pushUsed(`MLB:player-game-logs:${input.player}`);
-                  recentVals = gameLogs
-                    .map(row => this._pickValueFromRow(sport, input.prop, row))
-                    .filter(v => Number.isFinite(v) || v === 0);
-                  
-                  console.log(`[PlayerPropsEngine] MLB game logs: ${recentVals.length} games for ${input.player}`);
-                } else {
-                  recentVals = await this._collectRecentByDate(input, sport, dateStr, 15, 10, idHint);
-                }
-              } catch (err) {
-                console.warn("[PlayerPropsEngine] MLB game logs failed:", err?.message);
-                recentVals = await this._collectRecentByDate(input, sport, dateStr, 15, 10, idHint);
-              }
-            } else if (sport === "NBA" && this.apiClient && typeof this.apiClient.getNBAPlayerGameLogs === "function") {
-              try {
-                const gameLogs = await _promiseWithTimeout(
-                  this.apiClient.getNBAPlayerGameLogs(input.player, seasonYear, 15),
-                  15000,
-                  'NBA player game logs timeout'
+                // Nothing from the game date on, so a past evaluation sees what it saw then
+                const gameLogs = (Array.isArray(seasonLogs) ? seasonLogs : []).filter(
+                  (r) => String(r?.date || "").slice(0, 10) < dateStr
                 );
                 
-                if (Array.isArray(gameLogs) && gameLogs.length > 0) {
-                  this._pushUsed(`NBA:player-game-logs:${input.player}`);
+                if (gameLogs.length > 0) {
+                  this._pushUsed(`${sport}:player-game-logs:${input.player}`);
+                  this.recentRows = gameLogs;
                   recentVals = gameLogs
-                    .map(row => this._pickValueFromRow(sport, input.prop, row))
+                    .map(row => this._pickValueFromRow(sport, parsedProp, row))
                     .filter(v => Number.isFinite(v) || v === 0);
                   
-                  console.log(`[PlayerPropsEngine] NBA game logs: ${recentVals.length} games for ${input.player}`);
+                  console.log(`[PlayerPropsEngine] ${sport} game logs: ${recentVals.length} games for ${input.player}`);
                 } else {
                   recentVals = await this._collectRecentByDate(input, sport, dateStr, 15, 10, idHint);
                 }
               } catch (err) {
-                console.warn("[PlayerPropsEngine] NBA game logs failed:", err?.message);
+                console.warn(`[PlayerPropsEngine] ${sport} game logs failed:`, err?.message);
                 recentVals = await this._collectRecentByDate(input, sport, dateStr, 15, 10, idHint);
               }
             } else {
@@ -905,8 +989,16 @@ async generateFeatures(input) {
           sport,
           matchedName: this.matchedName,
           seasonAvg,
+          seasonGames,
           recentSample: this.recentSample,
           recentValsCount: this.recentValsCount,
+          position: this.playerPosition,
+          team: this.playerTeam,
+          homeOrAway: this.upcomingHomeOrAway,
+          recentRows: this.recentRows,
+          asOfDate: dateStr,
+          nflSeason,
+          nflWeek,
           usedEndpoints: this.usedEndpoints,
         };
       }
@@ -918,12 +1010,80 @@ async generateFeatures(input) {
       sport,
       matchedName: this.matchedName,
       seasonAvg: NaN,
+      seasonGames: 0,
       recentSample: [],
       recentValsCount: 0,
+      position: this.playerPosition,
+      team: this.playerTeam,
+      homeOrAway: this.upcomingHomeOrAway,
+      recentRows: this.recentRows,
+      asOfDate: dateStr,
+      nflSeason,
+      nflWeek,
       usedEndpoints: this.usedEndpoints,
     };
   }
 
+  /**
+   * Defense-vs-position factor for the requested opponent: what that team allows per
+   * game to the player's position group for this stat, relative to the league, over
+   * the last DVP_LOOKBACK_DAYS of box scores (NFL: season-to-date weeks).
+   * @returns {Promise<{factor: number, rawFactor: number, rank: number, teams: number, games: number,
+   *           allowedPerGame: number, leaguePerGame: number, opponent: string, group: string}|null>}
+   */
+  async getOpponentDefense(input, features, parsedProp) {
+    const sport = String(input?.sport || "").toUpperCase();
+    const group = positionGroup(sport, features?.position);
+    if (!input?.opponent || !group || !parsedProp || typeof parsedProp !== "object") return null;
+    if (!this.provider.isAvailable("stats")) return null;
+
+    try {
+      const batches = [];
+      if (sport === "NFL") {
+        const lastWeek = Math.min(Number(features.nflWeek) - 1, 18);
+        for (let w = 1; w <= lastWeek; w++) batches.push(() => this._nflWeekArray(features.nflSeason, w));
+      } else {
+        const base = new Date(features?.asOfDate || fmtLocalDate(this.provider.now()));
+        for (let d = 1; d <= this.thresholds.DVP_LOOKBACK_DAYS; d++) {
+          const day = new Date(base);
+          day.setDate(day.getDate() - d);
+          const dStr = fmtLocalDate(day);
+          batches.push(() => this._byDateArray(sport, dStr));
+        }
+      }
+
+      // Small parallel chunks keep a cold cache from taking one round-trip per day
+      const rows = [];
+      for (let i = 0; i < batches.length; i += 5) {
+        const chunk = await Promise.all(batches.slice(i, i + 5).map((fn) => fn().catch(() => [])));
+        chunk.forEach((arr) => Array.isArray(arr) && rows.push(...arr));
+      }
+      if (!rows.length) return null;
+
+      const table = buildDefenseTable(rows, {
+        sport,
+        group,
+        valueOf: (row) => this._pickValueFromRow(sport, parsedProp, row),
+      });
+      const opponent = resolveOpponentCode(input.opponent, Object.keys(table.byTeam), sport);
+      if (!opponent) {
+        this.errorFlags.push("opponent_unresolved");
+        return null;
+      }
+
+      const result = opponentDefenseFactor(table, opponent, { shrinkGames: this.thresholds.DVP_SHRINK_GAMES });
+      if (!result) return null;
+      return { ...result, opponent, group };
+    } catch (err) {
+      console.warn("[PlayerPropsEngine] getOpponentDefense failed", err?.message || err);
+      return null;
+    }
+  }
+
+  /**
+   * Evaluate one prop.
+   * @param {object} input - { sport, player, opponent?, prop, startTime?, ... }
+   */
   async evaluateProp(input) {
     try {
       if (!input || typeof input !== 'object') {
@@ -973,142 +1133,132 @@ async generateFeatures(input) {
       }
 
       const features = await this.generateFeatures(input);
-      const line = this.extractLineFromProp(input.prop);
+      const parsedProp = this._parseProp(input.sport, input.prop);
+      const line = Number.isFinite(parsedProp?.line) ? parsedProp.line : this.extractLineFromProp(input.prop);
+
+      const projection = await this._projectProp(input, features, parsedProp);
+      const { period, periodShare, avgRecent, leagueMean, estimate, usedAvg, playingTime, defense, h2h, schedule } = projection;
+      const { injury, usageBoost, withoutSplit, sampleSize, variance, distribution } = projection;
+      const { houseAnalysis, lineProbs, simulation, side, modelProb, injuryShrink } = this._lineModel(
+        input,
+        parsedProp,
+        line,
+        features,
+        projection
+      );
+      const { pickDecision, finalConfidence, flags, suggestion } = this._decide(input, parsedProp, line, projection, {
+        houseAnalysis,
+        side,
+        modelProb,
+      });
 
-      const avgRecent =
-        Array.isArray(features.recentSample) && features.recentSample.length > 0
-          ? features.recentSample.reduce((a, b) => a + b, 0) / features.recentSample.length
-          : NaN;
+      // Model vs. market at the offered price; the stake is sized off the edge, not the confidence
+      const market = await this._marketPropOdds(input, parsedProp, line, features.asOfDate);
+      const pricing = this.priceProp(market ? { ...input, odds: market.odds } : input, parsedProp, side, modelProb, lineProbs.push);
+      if (market) pricing.book = side === "OVER" ? market.books.over : market.books.under;
+      if (pricing.assumedPrice) flags.push("assumed_price");
+      if (pricing.ev != null && pricing.ev <= 0) flags.push("no_edge_at_price");
+      let suggestedStake = 0;
+      if (suggestion !== "Skip" && pricing.kelly > 0) {
+        suggestedStake = Math.min(this.thresholds.MAX_STAKE, Math.round(pricing.kelly * this.thresholds.KELLY_FRACTION * 100));
+      }
 
-      let usedAvg = Number.isFinite(avgRecent) ? avgRecent : Number.isFinite(features.seasonAvg) ? features.seasonAvg : NaN;
+      const topDrivers = [
+        `Recent avg = ${Number.isFinite(avgRecent) ? round2(avgRecent) : "N/A"}`,
+        `Season avg (fallback) = ${Number.isFinite(features.seasonAvg) ? round2(features.seasonAvg) : "N/A"}`,
+        `Used avg = ${Number.isFinite(usedAvg) ? round2(usedAvg) : "N/A"}`,
+        `Line = ${Number.isFinite(line) ? round2(line) : "N/A"}`,
+        `Sample size = ${sampleSize}`,
+        `Data source = ${this.dataSource}`,
+      ];
 
-      if (!Number.isFinite(usedAvg)) {
-        try {
-          if (this.apiClient && typeof this.apiClient.getLeagueAverages === "function") {
-            const la = await _promiseWithTimeout(
-              this.apiClient.getLeagueAverages(String(input?.sport || "").toUpperCase(), input.prop),
-              5000,
-              'League averages timeout'
-            );
-            if (Number.isFinite(Number(la))) {
-              usedAvg = Number(la);
-              this.dataSource = "league_average";
-              this._pushUsed("league:averages");
-            }
-          }
-        } catch (err) {
-          console.warn("[PlayerPropsEngine] league average fetch failed", err?.message || err);
-        }
+      if (estimate.type !== "flat" && Number.isFinite(estimate.mean)) {
+        const w = estimate.weights;
+        topDrivers.push(
+          `Estimator ${estimate.type} (half-life ${estimate.halfLife} games): ` +
+            `recent ${round2(w.recent * 100)}% / season ${round2(w.season * 100)}% / league ${round2(w.league * 100)}%`
+        );
       }
 
-      if (!Number.isFinite(usedAvg)) {
-        try {
-          if (typeof StatisticalModels !== "undefined" && StatisticalModels && typeof StatisticalModels.getBaseline === "function") {
-            const b = StatisticalModels.getBaseline(input.sport, input.prop);
-            if (Number.isFinite(Number(b))) {
-              usedAvg = Number(b);
-              this.dataSource = "statistical_baseline";
-            }
-          }
-        } catch (err) {
-          console.warn("[PlayerPropsEngine] StatisticalModels baseline failed", err?.message || err);
-        }
+      if (periodShare !== 1) {
+        topDrivers.push(`Period ${period}: full-game numbers scaled x${round2(periodShare)}`);
       }
 
-      if (!Number.isFinite(usedAvg)) {
-        const p = String(input.prop || "").toLowerCase();
-        if (p.includes("rebound")) usedAvg = 5;
-        else if (p.includes("point") || p.includes("points")) usedAvg = 12;
-        else if (p.includes("assist")) usedAvg = 3;
-        else if (p.includes("strikeout") || p.includes("strikeouts")) usedAvg = 1.5;
-        else usedAvg = 1;
-        this.dataSource = "hard_default";
+      if (defense) {
+        topDrivers.push(
+          `Opponent defense (${defense.opponent} vs ${defense.group}): x${round3(defense.factor)}, ` +
+            `rank ${defense.rank}/${defense.teams} (1 = stingiest), ${defense.games} games`
+        );
       }
 
-      const sampleSize = features.recentSample.length || 0;
-      const variance = this.calculateVariance(features.recentSample || []);
-
-      // House thinking analysis
-      const houseAnalysis = analyzeHouseLine(
-        avgRecent, 
-        features.seasonAvg, 
-        line, 
-        features.recentSample
-      );
-      
-      console.log("[PlayerPropsEngine] House analysis:", {
-        player: input.player,
-        trapIndicators: houseAnalysis.trapIndicators,
-        houseBias: houseAnalysis.houseBias,
-        confidence: houseAnalysis.confidence
-      });
-
-      let modelProb = 0.5;
-      if (Number.isFinite(usedAvg) && Number.isFinite(line) && (sampleSize > 0 || Number.isFinite(features.seasonAvg))) {
-        const gap = usedAvg - line;
-        const normalized = Math.max(-1, Math.min(1, gap / Math.max(1, Math.abs(line))));
-        const sizeFactor = sampleSize > 0 ? Math.min(1.5, Math.sqrt(sampleSize) / (1 + variance / 4)) : 0.6;
-        modelProb = clamp01(0.5 + normalized * 0.15 * sizeFactor);
-      } else {
-        if (Number.isFinite(usedAvg) && Number.isFinite(line)) {
-          const gap = usedAvg - line;
-          const normalized = Math.max(-1, Math.min(1, gap / Math.max(1, Math.abs(line))));
-          modelProb = clamp01(0.5 + normalized * 0.08);
-        } else {
-          modelProb = 0.5;
+      if (playingTime) {
+        topDrivers.push(
+          `Playing time: ${round2(playingTime.projected)} ${playingTime.unit} projected ` +
+            `(last ${Math.min(5, playingTime.games)} ${round2(playingTime.trendAvg)}, last ${playingTime.games} ${round2(playingTime.recentAvg)}) ` +
+            `x ${round3(playingTime.perUnitRate)} per ${playingTime.unit.replace(/s$/, "")}`
+        );
+        if (playingTime.blowoutProb != null) {
+          topDrivers.push(
+            `Blowout risk: ${round2(playingTime.blowoutProb * 100)}% at spread ${playingTime.spread}, playing time x${round3(playingTime.blowoutFactor)}`
+          );
         }
       }
 
-      // Adjust confidence based on house trap detection
-      if (houseAnalysis.trapIndicators.length > 0) {
-        const trapAdjustment = houseAnalysis.houseBias * 0.04;
-        modelProb = clamp01(modelProb - trapAdjustment);
-        console.log(`[PlayerPropsEngine] House trap adjustment: -${round3(trapAdjustment)} (${houseAnalysis.trapIndicators.join(', ')})`);
+      if (h2h) {
+        topDrivers.push(`vs ${h2h.opponent} last ${h2h.games}: avg ${round2(h2h.avg)} (weight ${round2(h2h.weight)})`);
       }
 
-      const finalConfidence = Math.round(modelProb * 1000) / 10;
-
-      let pickDecision = "PASS";
-      if (Number.isFinite(usedAvg) && Number.isFinite(line)) {
-        pickDecision = usedAvg > line ? "OVER" : "UNDER";
-      } else if (Number.isFinite(line)) {
-        pickDecision = "UNDER";
-      } else {
-        pickDecision = "PASS";
+      if (schedule?.rest) {
+        topDrivers.push(
+          `Rest: ${schedule.rest.daysRest} day(s) (${schedule.rest.bucket}) ` +
+            (schedule.rest.appliedVia ? "via playing time" : `x${round3(schedule.rest.multiplier)}`)
+        );
       }
-
-      const flags = Array.isArray(this.errorFlags) ? [...this.errorFlags] : [];
-      const lcThreshold = this.thresholds.LEAN * 100;
-      if (!Number.isFinite(finalConfidence) || finalConfidence < lcThreshold) {
-        if (!flags.includes("low_confidence")) flags.push("low_confidence");
-        if (pickDecision === "OVER" || pickDecision === "UNDER") {
-          pickDecision = `${pickDecision} (Low Confidence)`;
-        }
+      if (schedule?.venue) {
+        topDrivers.push(`Venue: ${schedule.venue.homeOrAway} x${round3(schedule.venue.multiplier)}`);
       }
-      
-      if (houseAnalysis.trapIndicators.length > 0) {
-        houseAnalysis.trapIndicators.forEach(trap => {
-          if (!flags.includes(trap)) flags.push(trap);
-        });
+      if (schedule?.travel) {
+        topDrivers.push(
+          `Travel: road game ${schedule.travel.roadTripGame} of trip x${round3(schedule.travel.multiplier)}`
+        );
       }
 
-      const suggestion = pickDecision.includes("OVER") ? "Bet Over" : pickDecision.includes("UNDER") ? "Bet Under" : "Skip";
-      let suggestedStake = 0;
-      if (Number.isFinite(finalConfidence) && finalConfidence >= this.thresholds.LEAN * 100) {
-        suggestedStake = Math.round(((finalConfidence - 50) / 50) * 5);
-        suggestedStake = Math.max(1, Math.min(5, suggestedStake));
-      } else {
-        suggestedStake = 0;
+      if (injury?.entry) {
+        topDrivers.push(
+          `Injury report: ${injury.entry.status}` +
+            (injury.entry.bodyPart ? ` (${injury.entry.bodyPart})` : "") +
+            (injuryShrink > 0 ? `, confidence pulled ${round2(injuryShrink * 100)}% toward 50%` : "")
+        );
+      }
+      if (injury?.returning) {
+        topDrivers.push(`Returning from absence: ~${injury.gamesMissed} game(s) missed`);
+      }
+      if (withoutSplit) {
+        const fmtSplit = (x) => `${round3(x.perMinute)}/min x ${round2(x.minutes)} min over ${x.games} games`;
+        topDrivers.push(
+          `Without ${withoutSplit.teammate}: ${fmtSplit(withoutSplit.without)} ` +
+            `(with: ${fmtSplit(withoutSplit.with)}), weight ${round2(withoutSplit.weight)}`
+        );
+      }
+      if (usageBoost) {
+        topDrivers.push(
+          `Teammates out (${usageBoost.teammates.join(", ")}): ` +
+            `${round2(usageBoost.outShare * 100)}% of team output freed, x${round3(usageBoost.multiplier)}`
+        );
       }
 
-      const topDrivers = [
-        `Recent avg = ${Number.isFinite(avgRecent) ? round2(avgRecent) : "N/A"}`,
-        `Season avg (fallback) = ${Number.isFinite(features.seasonAvg) ? round2(features.seasonAvg) : "N/A"}`,
-        `Used avg = ${Number.isFinite(usedAvg) ? round2(usedAvg) : "N/A"}`,
-        `Line = ${Number.isFinite(line) ? round2(line) : "N/A"}`,
-        `Sample size = ${sampleSize}`,
-        `Data source = ${this.dataSource}`,
-      ];
+      if (simulation) {
+        const b = simulation.percentiles;
+        topDrivers.push(
+          `Simulation (${simulation.sims} runs, seed ${simulation.seed}): median ${b.p50}, ` +
+            `80% band ${b.p10}-${b.p90}, P(over ${line}) ${round2(simulation.line.over * 100)}%`
+        );
+      } else if (distribution) {
+        topDrivers.push(
+          `Model (${distribution.type}): P(over) ${round2(lineProbs.over * 100)}%, P(under) ${round2(lineProbs.under * 100)}%` +
+            (lineProbs.push > 0 ? `, P(push) ${round2(lineProbs.push * 100)}%` : "")
+        );
+      }
       
       // Add house thinking insights
       if (houseAnalysis.trapIndicators.length > 0) {
@@ -1121,6 +1271,18 @@ async generateFeatures(input) {
         topDrivers.push(`Line vs recent: ${lineDelta > 0 ? '+' : ''}${round2(lineDelta)}%`);
       }
 
+      if (pricing.fairAmerican != null) {
+        const signed = (x) => (x > 0 ? `+${x}` : `${x}`);
+        topDrivers.push(
+          `Price: ${pricing.side} ${pricing.price != null ? signed(pricing.price) : "not quoted"}` +
+            `${pricing.assumedPrice ? " (assumed)" : ""} | market ` +
+            `${round2(pricing.marketProb * 100)}%${pricing.holdPct != null ? ` no-vig (hold ${pricing.holdPct}%)` : " implied"} | ` +
+            `model ${round2(pricing.modelProb * 100)}%, fair ${signed(pricing.fairAmerican)} / ${pricing.fairDecimal} | ` +
+            `edge ${signed(pricing.edgePct)}pp` +
+            (pricing.ev != null ? `, EV ${signed(pricing.ev)}/unit` : "")
+        );
+      }
+
       const rawNumbers = {
         avgRecent: Number.isFinite(avgRecent) ? round3(avgRecent) : null,
         seasonAvg: Number.isFinite(features.seasonAvg) ? round3(features.seasonAvg) : null,
@@ -1129,6 +1291,51 @@ async generateFeatures(input) {
         sampleSize,
         variance: round3(variance),
         modelProb: round3(modelProb),
+        pOver: round3(lineProbs.over),
+        pUnder: round3(lineProbs.under),
+        pPush: round3(lineProbs.push),
+        projectedMinutes: playingTime?.unit === "minutes" ? round2(playingTime.projected) : null,
+        perMinuteRate: playingTime?.unit === "minutes" ? round3(playingTime.perUnitRate) : null,
+        playingTime: playingTime
+          ? {
+              unit: playingTime.unit,
+              projected: round2(playingTime.projected),
+              perUnitRate: round3(playingTime.perUnitRate),
+              restFactor: round3(playingTime.restFactor),
+              blowoutProb: playingTime.blowoutProb != null ? round3(playingTime.blowoutProb) : null,
+              blowoutFactor: round3(playingTime.blowoutFactor),
+              spread: playingTime.spread,
+            }
+          : null,
+        opponentFactor: defense ? round3(defense.factor) : null,
+        opponentRank: defense ? defense.rank : null,
+        opponentTeamsRanked: defense ? defense.teams : null,
+        opponentSampleGames: defense ? defense.games : null,
+        h2hAvg: h2h ? round3(h2h.avg) : null,
+        h2hGames: h2h ? h2h.games : 0,
+        h2hWeight: h2h ? round3(h2h.weight) : 0,
+        daysRest: schedule?.rest ? schedule.rest.daysRest : null,
+        backToBack: schedule?.rest ? schedule.rest.daysRest === 0 : null,
+        homeOrAway: schedule?.venue ? schedule.venue.homeOrAway : null,
+        roadTripGame: schedule?.travel ? schedule.travel.roadTripGame : null,
+        injuryStatus: injury?.status || null,
+        gamesMissed: injury ? injury.gamesMissed : null,
+        teammatesOut: injury ? injury.teammatesOut.map((e) => e.player) : [],
+        usageBoost: usageBoost ? round3(usageBoost.multiplier) : null,
+        withWithout: withoutSplit
+          ? {
+              teammate: withoutSplit.teammate,
+              withGames: withoutSplit.with.games,
+              withoutGames: withoutSplit.without.games,
+              withPerMinute: round3(withoutSplit.with.perMinute),
+              withoutPerMinute: round3(withoutSplit.without.perMinute),
+              withMinutes: round2(withoutSplit.with.minutes),
+              withoutMinutes: round2(withoutSplit.without.minutes),
+              projection: round3(withoutSplit.projection),
+              weight: round3(withoutSplit.weight),
+            }
+          : null,
+        adjustments: this.calculateConfidenceAdjustments(features, houseAnalysis),
       };
 
       return {
@@ -1140,12 +1347,34 @@ async generateFeatures(input) {
         suggestedStake,
         topDrivers,
         flags,
+        pricing,
         rawNumbers,
+        ...(simulation ? { simulation } : {}),
         meta: { 
           usedEndpoints: this.usedEndpoints, 
           matchedName: this.matchedName,
           dataSource: this.dataSource,
           zeroFiltered: this.zeroFiltered,
+          estimator: {
+            type: estimate.type,
+            halfLife: estimate.halfLife,
+            recentMean: Number.isFinite(estimate.recentMean) ? round3(estimate.recentMean) : null,
+            effectiveGames: round2(estimate.effectiveGames),
+            seasonMean: Number.isFinite(features.seasonAvg) ? round3(features.seasonAvg) : null,
+            seasonGames: features.seasonGames || 0,
+            leagueMean: Number.isFinite(leagueMean) ? round3(leagueMean) : null,
+            estimate: Number.isFinite(estimate.mean) ? round3(estimate.mean) : null,
+            weights: {
+              recent: round3(estimate.weights.recent),
+              season: round3(estimate.weights.season),
+              league: round3(estimate.weights.league),
+            },
+          },
+          distribution,
+          distributionModel: distribution?.type || null,
+          parsedProp: parsedProp
+            ? { market: parsedProp.market, side: parsedProp.side, line: parsedProp.line, period: parsedProp.period }
+            : null,
           houseAnalysis: {
             trapIndicators: houseAnalysis.trapIndicators,
             houseBias: houseAnalysis.houseBias,
@@ -1182,17 +1411,659 @@ async generateFeatures(input) {
     }
   }
 
+  /**
+   * Line-independent part of a prop evaluation: the recency-weighted mean moved by playing
+   * time, opponent defense, head-to-head games, schedule and injuries, and the distribution
+   * fitted around it. Scales the features to the prop's period in place.
+   * @param {object} input - Evaluate input
+   * @param {object} features - Output of generateFeatures (a copy; it is modified)
+   * @param {object|null} parsedProp - Output of parseProp
+   * @returns {Promise<object>} Projection read by _lineModel, _decide and evaluateProp
+   */
+  async _projectProp(input, features, parsedProp) {
+    // Game logs are full-game totals; scale them down for half/quarter/F5 props
+    const period = parsedProp?.period || "game";
+    const periodShare = PERIOD_SHARE[period] ?? 1;
+    if (periodShare !== 1) {
+      features.recentSample = features.recentSample.map((v) => v * periodShare);
+      if (Number.isFinite(features.seasonAvg)) features.seasonAvg *= periodShare;
+    }
+
+    const avgRecent =
+      Array.isArray(features.recentSample) && features.recentSample.length > 0
+        ? features.recentSample.reduce((a, b) => a + b, 0) / features.recentSample.length
+        : NaN;
+
+    // Recency-weighted mean, shrunk toward the season mean and then the league baseline
+    let leagueMean = NaN;
+    try {
+      const b = StatisticalModels.getBaseline(input.sport, input.prop);
+      if (Number.isFinite(Number(b))) leagueMean = Number(b) * periodShare;
+    } catch {}
+    const requested =
+      typeof input.estimator === "string" ? { type: input.estimator } : input.estimator && typeof input.estimator === "object" ? input.estimator : {};
+    const estimate = StatisticalModels.estimateMean(features.recentSample, {
+      type: this.thresholds.ESTIMATOR,
+      halfLife: this.thresholds.EWMA_HALF_LIFE,
+      driftCV: this.thresholds.DRIFT_CV,
+      leagueCV: this.thresholds.LEAGUE_CV,
+      ...requested,
+      seasonMean: features.seasonAvg,
+      seasonGames: features.seasonGames,
+      leagueMean,
+    });
+
+    let usedAvg = estimate.mean;
+
+    if (!Number.isFinite(usedAvg)) {
+      try {
+        const la = await _promiseWithTimeout(
+          this.provider.getLeagueAverage(String(input?.sport || "").toUpperCase(), input.prop),
+          5000,
+          'League averages timeout'
+        );
+        if (la != null && Number.isFinite(Number(la))) {
+          usedAvg = Number(la) * periodShare;
+          this.dataSource = "league_average";
+          this._pushUsed("league:averages");
+        }
+      } catch (err) {
+        console.warn("[PlayerPropsEngine] league average fetch failed", err?.message || err);
+      }
+    }
+
+    if (!Number.isFinite(usedAvg)) {
+      try {
+        if (typeof StatisticalModels !== "undefined" && StatisticalModels && typeof StatisticalModels.getBaseline === "function") {
+          const b = StatisticalModels.getBaseline(input.sport, input.prop);
+          if (Number.isFinite(Number(b))) {
+            usedAvg = Number(b) * periodShare;
+            this.dataSource = "statistical_baseline";
+          }
+        }
+      } catch (err) {
+        console.warn("[PlayerPropsEngine] StatisticalModels baseline failed", err?.message || err);
+      }
+    }
+
+    if (!Number.isFinite(usedAvg)) {
+      const hardDefaults = { rebounds: 5, points: 12, assists: 3, strikeouts: 1.5 };
+      usedAvg = (hardDefaults[parsedProp?.market] ?? 1) * periodShare;
+      this.dataSource = "hard_default";
+    }
+
+    // Playing-time layer: per-minute (snap / batter-faced / PA) rate x projected playing time
+    let playingTime = null;
+    try {
+      if (Number.isFinite(avgRecent) && Array.isArray(features.recentRows) && features.recentRows.length) {
+        const spread = Number.isFinite(Number(input.spread))
+          ? Number(input.spread)
+          : await this._teamSpread(input.sport, features.team, features.asOfDate);
+        playingTime = projectPlayingTime(
+          input.sport,
+          features.recentRows,
+          (row) => this._pickValueFromRow(input.sport, parsedProp || input.prop, row),
+          {
+            pitching: this._isMLBPitchingProp(parsedProp || input.prop),
+            gameDate: features.asOfDate,
+            spread,
+          }
+        );
+        if (playingTime) {
+          playingTime.spread = Number.isFinite(spread) ? spread : null;
+          // Flat per-minute rate, so carry over the estimator's recency/shrinkage adjustment
+          const shrink =
+            estimate.recentMean > 0 && Number.isFinite(estimate.mean) ? estimate.mean / estimate.recentMean : 1;
+          playingTime.estimatorRatio = shrink;
+          usedAvg = playingTime.perUnitRate * playingTime.projected * periodShare * shrink;
+          features.playingTime = playingTime;
+        }
+      }
+    } catch (err) {
+      console.warn("[PlayerPropsEngine] playing-time projection failed", err?.message || err);
+    }
+
+    // Scale the projection by what this opponent allows to the player's position
+    let defense = null;
+    try {
+      defense = await this.getOpponentDefense(input, features, parsedProp);
+      if (defense && Number.isFinite(usedAvg)) usedAvg *= defense.factor;
+    } catch (err) {
+      console.warn("[PlayerPropsEngine] opponent defense adjustment failed", err?.message || err);
+    }
+
+    // Blend in head-to-head games; weight n / (n + k) so a couple of games barely move it
+    let h2h = null;
+    try {
+      const h2hRows = await this.getPlayerMatchupHistory(
+        input.sport,
+        input.player,
+        input.opponent,
+        this.provider.seasonForDate(input.sport, features.asOfDate),
+        { batting: !this._isMLBPitchingProp(parsedProp || input.prop), before: features.asOfDate }
+      );
+      const h2hVals = h2hRows
+        .map((row) => this._pickValueFromRow(input.sport, parsedProp || input.prop, row) * periodShare)
+        .filter(Number.isFinite);
+      if (h2hVals.length && Number.isFinite(usedAvg)) {
+        const avg = h2hVals.reduce((a, b) => a + b, 0) / h2hVals.length;
+        const weight = h2hVals.length / (h2hVals.length + this.thresholds.H2H_SHRINK_GAMES);
+        usedAvg = (1 - weight) * usedAvg + weight * avg;
+        h2h = {
+          opponent: String(h2hRows[0]?.opponent || input.opponent).toUpperCase(),
+          games: h2hVals.length,
+          avg,
+          weight,
+        };
+      }
+    } catch (err) {
+      console.warn("[PlayerPropsEngine] head-to-head blend failed", err?.message || err);
+    }
+
+    // Rest, venue and road-trip multipliers, learned from the player's own games before the game day
+    let schedule = null;
+    try {
+      const batting = !this._isMLBPitchingProp(parsedProp || input.prop);
+      const seasonLogs = await this._seasonGameLogs(
+        input.sport,
+        input.player,
+        this.provider.seasonForDate(input.sport, features.asOfDate),
+        { batting, before: features.asOfDate }
+      );
+      const history = (seasonLogs.length ? seasonLogs : features.recentRows || []).filter(
+        (r) => !features.asOfDate || String(r?.date || "").slice(0, 10) < features.asOfDate
+      );
+      const splits = learnScheduleSplits(
+        input.sport,
+        history,
+        (row) => this._pickValueFromRow(input.sport, parsedProp || input.prop, row),
+        this.playerId ?? this.matchedName ?? input.player
+      );
+      schedule = scheduleAdjustments(
+        input.sport,
+        history,
+        features.asOfDate,
+        input.homeOrAway || features.homeOrAway,
+        splits
+      );
+      // Rest is already in the playing-time projection when that layer ran
+      if (playingTime && schedule.rest) {
+        schedule.multiplier /= schedule.rest.multiplier;
+        schedule.rest.appliedVia = "playing_time";
+      }
+      if (Number.isFinite(usedAvg)) usedAvg *= schedule.multiplier;
+      features.schedule = schedule;
+    } catch (err) {
+      console.warn("[PlayerPropsEngine] schedule adjustment failed", err?.message || err);
+    }
+
+    // Injury report: the player's own status and teammates ruled out
+    let injury = null;
+    let usageBoost = null;
+    let withoutSplit = null;
+    try {
+      injury = await this.getInjuryContext(input.sport, input.player, features.asOfDate, {
+        team: features.team,
+        playerId: this.playerId,
+        history: features.recentRows,
+      });
+      const team = String(features.team || injury?.entry?.team || "").toUpperCase();
+      const extra = [].concat(input.teammatesOut || []).filter(Boolean).map((name) => ({ player: String(name) }));
+      if (injury && extra.length) injury.teammatesOut = [...injury.teammatesOut, ...extra];
+      const outList = injury?.teammatesOut || extra;
+
+      // Prefer a measured with/without split for the most impactful absent teammate
+      const season = this.provider.seasonForDate(input.sport, features.asOfDate);
+      for (const mate of outList.slice(0, 3)) {
+        const split = await this.getWithWithoutSplit(input.sport, input.player, mate.player, season, parsedProp, {
+          team,
+          before: features.asOfDate,
+        });
+        if (!split || split.without.games < 2 || !Number.isFinite(split.with.perGame) || !(split.with.perGame > 0)) continue;
+        const lift = Math.abs(split.without.perGame / split.with.perGame - 1);
+        if (!withoutSplit || lift > withoutSplit.lift) withoutSplit = { ...split, lift };
+      }
+      if (withoutSplit && Number.isFinite(usedAvg)) {
+        const projection = withoutSplit.without.perMinute * withoutSplit.without.minutes * periodShare;
+        const n = withoutSplit.without.games;
+        withoutSplit.weight = n / (n + this.thresholds.WITHOUT_SHRINK_GAMES);
+        withoutSplit.projection = projection;
+        usedAvg = (1 - withoutSplit.weight) * usedAvg + withoutSplit.weight * projection;
+      }
+
+      // Anyone else out gets the generic usage redistribution
+      usageBoost = this._teammateUsageBoost(
+        String(input.sport || "").toUpperCase(),
+        parsedProp,
+        team,
+        outList.filter((e) => e.player !== withoutSplit?.teammate)
+      );
+      if (usageBoost && Number.isFinite(usedAvg)) usedAvg *= usageBoost.multiplier;
+    } catch (err) {
+      console.warn("[PlayerPropsEngine] injury context failed", err?.message || err);
+    }
+
+    const sampleSize = features.recentSample.length || 0;
+    const variance = this.calculateVariance(features.recentSample || []);
+
+    // Fit the stat's distribution (best model by goodness of fit) around the projected mean
+    const family = this._distributionFamily(input.sport, parsedProp || input.prop);
+    const distribution = Number.isFinite(usedAvg)
+      ? StatisticalModels.fitDistribution(family, features.recentSample, usedAvg)
+      : null;
+
+    return {
+      period,
+      periodShare,
+      avgRecent,
+      leagueMean,
+      estimate,
+      usedAvg,
+      playingTime,
+      defense,
+      h2h,
+      schedule,
+      injury,
+      usageBoost,
+      withoutSplit,
+      sampleSize,
+      variance,
+      family,
+      distribution,
+    };
+  }
+
+  /**
+   * Model probabilities at one line off a projection: the fitted distribution (or the
+   * simulation) read at the line, then the thin-sample, house-trap and injury adjustments.
+   * @returns {{houseAnalysis: object, lineProbs: {over: number, under: number, push: number},
+   *           simulation: object|null, side: "OVER"|"UNDER", modelProb: number, injuryShrink: number}}
+   */
+  _lineModel(input, parsedProp, line, features, projection) {
+    const { avgRecent, usedAvg, periodShare, sampleSize, family, distribution, injury } = projection;
+
+    // House thinking analysis
+    const houseAnalysis = analyzeHouseLine(avgRecent, features.seasonAvg, line, features.recentSample);
+
+    console.log("[PlayerPropsEngine] House analysis:", {
+      player: input.player,
+      trapIndicators: houseAnalysis.trapIndicators,
+      houseBias: houseAnalysis.houseBias,
+      confidence: houseAnalysis.confidence
+    });
+
+    let lineProbs = { over: 0.5, under: 0.5, push: 0 };
+    if (distribution && Number.isFinite(line)) {
+      lineProbs = StatisticalModels.calculateLineProbabilities(distribution, line);
+    }
+
+    // Optional simulation mode: its frequencies replace the closed-form line probabilities
+    let simulation = null;
+    const simOpts = this._simulationOptions(input, features);
+    if (simOpts && Number.isFinite(usedAvg) && Number.isFinite(line)) {
+      simulation = this.simulatePlayerProp(input.sport, parsedProp, features, {
+        ...simOpts,
+        usedAvg,
+        line,
+        periodShare,
+        family,
+      });
+      if (simulation) lineProbs = simulation.line;
+    }
+
+    // Probability the chosen side wins, ignoring pushes (stake is returned)
+    const decided = lineProbs.over + lineProbs.under;
+    const pOverNoPush = decided > 0 ? lineProbs.over / decided : 0.5;
+    const side = pOverNoPush >= 0.5 ? "OVER" : "UNDER";
+    let modelProb = side === "OVER" ? pOverNoPush : 1 - pOverNoPush;
+
+    // Without any player data the fit sits on a league baseline - halve its conviction
+    if (sampleSize === 0 && !Number.isFinite(features.seasonAvg)) {
+      modelProb = 0.5 + (modelProb - 0.5) * 0.5;
+    }
+    modelProb = clamp01(modelProb);
+
+    // Adjust confidence based on house trap detection
+    if (houseAnalysis.trapIndicators.length > 0) {
+      const trapAdjustment = houseAnalysis.houseBias * 0.04;
+      modelProb = clamp01(modelProb - trapAdjustment);
+      console.log(`[PlayerPropsEngine] House trap adjustment: -${round3(trapAdjustment)} (${houseAnalysis.trapIndicators.join(', ')})`);
+    }
+
+    // Injury uncertainty pulls the pick toward a coin flip
+    let injuryShrink = INJURY_STATUS_SHRINK[injury?.status] || 0;
+    if (injury?.returning) injuryShrink = Math.max(injuryShrink, Math.min(0.4, 0.1 + 0.05 * injury.gamesMissed));
+    if (injuryShrink > 0) modelProb = 0.5 + (modelProb - 0.5) * (1 - injuryShrink);
+
+
+    return { houseAnalysis, lineProbs, simulation, side, modelProb, injuryShrink };
+  }
+
+  /**
+   * Pick, confidence and flags for the model's side at one line (pricing flags excluded).
+   * @returns {{pickDecision: string, finalConfidence: number, flags: string[], suggestion: string}}
+   */
+  _decide(input, parsedProp, line, projection, { houseAnalysis, side, modelProb }) {
+    const { usedAvg, injury } = projection;
+
+    const finalConfidence = Math.round(modelProb * 1000) / 10;
+
+    let pickDecision = "PASS";
+    if (Number.isFinite(usedAvg) && Number.isFinite(line)) {
+      pickDecision = side;
+    } else if (Number.isFinite(line)) {
+      pickDecision = "UNDER";
+    } else {
+      pickDecision = "PASS";
+    }
+    if (injury?.status === "OUT") pickDecision = "PASS";
+
+    const flags = Array.isArray(this.errorFlags) ? [...this.errorFlags] : [];
+    if (injury?.status === "OUT") flags.push("player_out");
+    if (injury?.status === "DOUBTFUL") flags.push("injury_doubtful");
+    if (injury?.status === "QUESTIONABLE") flags.push("injury_questionable");
+    if (injury?.status === "PROBABLE") flags.push("injury_probable");
+    if (injury?.returning) flags.push("returning_from_injury");
+    const lcThreshold = this.thresholds.LEAN * 100;
+    if (!Number.isFinite(finalConfidence) || finalConfidence < lcThreshold) {
+      if (!flags.includes("low_confidence")) flags.push("low_confidence");
+      if (pickDecision === "OVER" || pickDecision === "UNDER") {
+        pickDecision = `${pickDecision} (Low Confidence)`;
+      }
+    }
+    
+    if (houseAnalysis.trapIndicators.length > 0) {
+      houseAnalysis.trapIndicators.forEach(trap => {
+        if (!flags.includes(trap)) flags.push(trap);
+      });
+    }
+
+    // The user asked about one side ("U 6.5 Ks") but the model prefers the other
+    if (parsedProp?.side && (pickDecision.startsWith("OVER") || pickDecision.startsWith("UNDER"))) {
+      if (!pickDecision.startsWith(parsedProp.side.toUpperCase())) flags.push("model_opposes_requested_side");
+    }
+
+    const suggestion = pickDecision.includes("OVER") ? "Bet Over" : pickDecision.includes("UNDER") ? "Bet Under" : "Skip";
+
+    return { pickDecision, finalConfidence, flags, suggestion };
+  }
+
+  /**
+   * Compare the model with the market at the offered price. Both sides' odds give the
+   * no-vig market probability and the hold; with one side only, its implied probability
+   * is used. Without any odds the prop is priced at DEFAULT_PRICE on both sides.
+   * @param {object} input - Evaluate input ({ odds: { over, under }, currentPrice })
+   * @param {object|null} parsedProp - Output of parseProp (its side picks which price currentPrice is)
+   * @param {"OVER"|"UNDER"} side - Side the model picks
+   * @param {number} modelProb - Model probability for that side, pushes excluded
+   * @param {number} [pPush=0] - Push probability at this line
+   * @returns {{side: string, price: number, overOdds: number|null, underOdds: number|null, assumedPrice: boolean,
+   *           marketProb: number, noVigOver: number|null, noVigUnder: number|null, holdPct: number|null,
+   *           modelProb: number, fairAmerican: number|null, fairDecimal: number|null, edgePct: number,
+   *           ev: number|null, kelly: number|null}}
+   */
+  priceProp(input, parsedProp, side, modelProb, pPush = 0) {
+    const valid = (x) => (Number.isFinite(Number(x)) && impliedProbability(Number(x)) != null ? Number(x) : null);
+    let overOdds = valid(input?.odds?.over);
+    let underOdds = valid(input?.odds?.under);
+    const current = valid(input?.currentPrice);
+    if (current != null && overOdds == null && underOdds == null) {
+      if (parsedProp?.side === "under") underOdds = current;
+      else overOdds = current;
+    }
+
+    const assumedPrice = overOdds == null && underOdds == null;
+    if (assumedPrice) overOdds = underOdds = this.thresholds.DEFAULT_PRICE;
+
+    const noVig = noVigTwoWay(overOdds, underOdds);
+    const price = side === "OVER" ? overOdds : underOdds;
+    const otherPrice = side === "OVER" ? underOdds : overOdds;
+    // Only the other side quoted: the market's view of this side is its complement
+    const marketProb = noVig
+      ? side === "OVER" ? noVig.over : noVig.under
+      : price != null ? impliedProbability(price) : 1 - impliedProbability(otherPrice);
+
+    const fair = fairOdds(modelProb);
+    const push = Math.max(0, Number(pPush) || 0);
+    const pWin = modelProb * (1 - push);
+    const ev = price != null ? expectedValue(pWin, price, push) : null;
+    const kelly = price != null ? kellyFraction(pWin, price, push) : null;
+
+    return {
+      side,
+      price,
+      overOdds,
+      underOdds,
+      assumedPrice,
+      marketProb: round3(marketProb),
+      noVigOver: noVig ? round3(noVig.over) : null,
+      noVigUnder: noVig ? round3(noVig.under) : null,
+      holdPct: noVig ? round2(noVig.hold * 100) : null,
+      modelProb: round3(modelProb),
+      fairAmerican: fair ? fair.american : null,
+      fairDecimal: fair ? fair.decimal : null,
+      edgePct: round2((modelProb - marketProb) * 100),
+      ev: ev != null ? round3(ev) : null,
+      kelly: kelly != null ? round3(kelly) : null,
+    };
+  }
+
+  /**
+   * Score a ladder of alternate lines for one player and market. Features and the
+   * projection are built once and every rung reads its line off them, with the same
+   * adjustments evaluateProp applies; each rung gets model probabilities, fair prices
+   * and EV per unit for both sides, and the best-EV rung/side is marked.
+   * @param {{sport: string, player: string, opponent?: string, market: string, startTime?: string,
+   *          rungs: Array<{line: number, overOdds?: number, underOdds?: number}>}} input
+   * @returns {Promise<{player: string, market: string, rungs: Array<object>, best: object|null,
+   *          usedAvg: number|null, meta: object}>}
+   */
+  async evaluateLadder(input) {
+    const market = String(input?.market || "").trim();
+    const rungs = (Array.isArray(input?.rungs) ? input.rungs : [])
+      .map((r) => ({ line: Number(r?.line), overOdds: Number(r?.overOdds), underOdds: Number(r?.underOdds) }))
+      .filter((r) => Number.isFinite(r.line))
+      .sort((a, b) => a.line - b.line);
+
+    const base = { ...input, prop: `${market} ${rungs[0]?.line ?? ""}`.trim() };
+    if (!rungs.length || !this.validateInput(base)) {
+      return {
+        player: input?.player || null,
+        market,
+        rungs: [],
+        best: null,
+        usedAvg: null,
+        meta: { usedEndpoints: [], matchedName: "", flags: rungs.length ? this.errorFlags : ["NO_RUNGS"] },
+      };
+    }
+
+    // One feature fetch and one projection; each rung only reads the line off it
+    const features = await this.generateFeatures(base);
+    const parsedProp = this._parseProp(base.sport, base.prop);
+    const projection = await this._projectProp(base, features, parsedProp);
+    const price = (american) => (Number.isFinite(american) && american !== 0 ? american : null);
+    const side = (pWin, pPush, american) => {
+      const decided = pWin + Math.max(0, 1 - pWin - pPush);
+      const ev = price(american) != null ? expectedValue(pWin, american, pPush) : null;
+      return {
+        odds: price(american),
+        prob: round3(pWin),
+        fair: fairOdds(decided > 0 ? pWin / decided : NaN),
+        ev: ev != null ? round3(ev) : null,
+      };
+    };
+
+    const out = [];
+    for (const rung of rungs) {
+      const rungInput = { ...input, prop: `${market} ${rung.line}` };
+      const model = this._lineModel(rungInput, parsedProp, rung.line, features, projection);
+      const { pickDecision, finalConfidence, flags } = this._decide(rungInput, parsedProp, rung.line, projection, model);
+      // Same adjusted probability evaluateProp prices at this line, split around the push
+      const pPush = Math.max(0, Number(model.lineProbs.push) || 0);
+      const pOver = (model.side === "OVER" ? model.modelProb : 1 - model.modelProb) * (1 - pPush);
+      out.push({
+        line: rung.line,
+        pPush: round3(pPush),
+        over: side(pOver, pPush, rung.overOdds),
+        under: side(1 - pPush - pOver, pPush, rung.underOdds),
+        decision: pickDecision,
+        finalConfidence,
+        flags,
+        best: null,
+      });
+    }
+
+    let best = null;
+    for (const rung of out) {
+      for (const key of ["over", "under"]) {
+        const ev = rung[key].ev;
+        if (ev != null && (!best || ev > best.ev)) best = { line: rung.line, side: key.toUpperCase(), ev, odds: rung[key].odds };
+      }
+    }
+    if (best) out.find((r) => r.line === best.line).best = best.side;
+
+    return {
+      player: input.player,
+      market,
+      rungs: out,
+      best,
+      usedAvg: Number.isFinite(projection.usedAvg) ? round3(projection.usedAvg) : null,
+      meta: {
+        usedEndpoints: this.usedEndpoints,
+        matchedName: this.matchedName,
+        dataSource: this.dataSource,
+        sampleSize: projection.sampleSize,
+      },
+    };
+  }
+
   // Additional helper methods for future enhancements
   
-  async getPlayerMatchupHistory(sport, player, opponent, season) {
-    // Placeholder for future matchup-specific analysis
-    // Will fetch last 10 games this player played against this specific opponent
+  /**
+   * Played games from the provider's game logs (NBA, WNBA, MLB) for the given
+   * season and the one before, memoised for the current evaluation.
+   * @param {{batting?: boolean, before?: string}} [opts] - before drops games on or after that day
+   * @returns {Promise<Array<object>>} Box-score lines, newest first
+   */
+  async _seasonGameLogs(sport, player, season, { batting = false, before = null } = {}) {
+    const s = String(sport || "").toUpperCase();
+    if (!this.provider.isAvailable("stats")) return [];
+    if (!["NBA", "WNBA", "MLB"].includes(s)) return [];
+    const year = Number(season) || this.provider.seasonForDate(s, before);
+    const asOf = (rows) => (before ? rows.filter((r) => String(r?.date || "").slice(0, 10) < before) : rows);
+
+    const key = `${s}|${player}|${year}|${batting}`;
+    if (this._seasonLogCache.has(key)) return asOf(this._seasonLogCache.get(key));
+
+    const rows = [];
+    for (const yr of [year, year - 1]) {
+      try {
+        const logs = await _promiseWithTimeout(
+          this.provider.getPlayerGameLogs(s, player, { season: yr, count: 200, batting }),
+          15000,
+          `${s} season game logs timeout`
+        );
+        if (Array.isArray(logs) && logs.length) {
+          this._pushUsed(`${s}:player-game-logs:${player}:${yr}`);
+          rows.push(...logs);
+        }
+      } catch (err) {
+        console.warn(`[PlayerPropsEngine] season game logs ${yr} failed:`, err?.message);
+      }
+    }
+    rows.sort((a, b) => String(b.date || "").localeCompare(String(a.date || "")));
+    this._seasonLogCache.set(key, rows);
+    return asOf(rows);
+  }
+
+  /**
+   * Tonight's point spread for the player's team (negative = favoured), from the
+   * day's game odds. NBA/WNBA only, where it drives the blowout-minutes model.
+   * @returns {Promise<number|null>}
+   */
+  async _teamSpread(sport, team, dateStr) {
+    const s = String(sport || "").toUpperCase();
+    const code = String(team || "").toUpperCase();
+    if (!code || !dateStr || (s !== "NBA" && s !== "WNBA")) return null;
+
     try {
-      if (!this.apiClient) return [];
-      
-      // This will be implemented when we add opponent-specific analysis
-      console.log(`[PlayerPropsEngine] Matchup history not yet implemented for ${player} vs ${opponent}`);
-      return [];
+      const games = await _promiseWithTimeout(this.provider.getOdds(s, dateStr), 5000, `${s} game odds timeout`);
+      if (!games) return null;
+      this._pushUsed(`${s}:game-odds:${dateStr}`);
+      const game = games.find(
+        (g) => String(g?.home || "").toUpperCase() === code || String(g?.away || "").toUpperCase() === code
+      );
+      if (!game) return null;
+      const homeSpread = Number(game.quotes?.find((q) => q.market === "spread")?.line ?? NaN);
+      if (!Number.isFinite(homeSpread)) return null;
+      return String(game.home).toUpperCase() === code ? homeSpread : -homeSpread;
+    } catch (err) {
+      console.warn("[PlayerPropsEngine] _teamSpread failed", err?.message || err);
+      return null;
+    }
+  }
+
+  /**
+   * Best over and under prices the books post for this player, market and line, used when
+   * the request brings no odds of its own.
+   * @returns {Promise<{odds: {over: number|null, under: number|null}, books: {over: string|null, under: string|null}}|null>}
+   */
+  async _marketPropOdds(input, parsedProp, line, dateStr) {
+    const s = String(input?.sport || "").toUpperCase();
+    const given = [input?.odds?.over, input?.odds?.under, input?.currentPrice].some((x) => x != null && x !== "" && Number.isFinite(Number(x)));
+    if (given || !parsedProp?.market || !Number.isFinite(line) || !dateStr) return null;
+
+    try {
+      const quotes = await _promiseWithTimeout(
+        this.provider.getPropOdds(s, { date: dateStr, player: input.player }),
+        5000,
+        `${s} prop odds timeout`
+      );
+      if (!quotes?.length) return null;
+      this._pushUsed(`${s}:prop-odds:${dateStr}`);
+      const best = { over: null, under: null };
+      for (const q of quotes) {
+        if (q.market !== parsedProp.market || Number(q.line) !== line) continue;
+        for (const k of ["over", "under"]) {
+          const price = Number(q.prices?.[k]);
+          if (q.prices?.[k] == null || !Number.isFinite(price)) continue;
+          if (!best[k] || americanToDecimal(price) > americanToDecimal(best[k].price)) best[k] = { price, book: q.book };
+        }
+      }
+      if (!best.over && !best.under) return null;
+      return {
+        odds: { over: best.over?.price ?? null, under: best.under?.price ?? null },
+        books: { over: best.over?.book ?? null, under: best.under?.book ?? null },
+      };
+    } catch (err) {
+      console.warn("[PlayerPropsEngine] _marketPropOdds failed", err?.message || err);
+      return null;
+    }
+  }
+
+  /**
+   * Player's past games against one opponent across the given and previous season,
+   * newest first, from the provider's game logs (NBA, WNBA, MLB).
+   * @param {string} sport - Sport code
+   * @param {string} player - Player name
+   * @param {string} opponent - Opponent team code (e.g. "BOS")
+   * @param {number|string} season - Current season, as the provider numbers it (see seasonForDate)
+   * @param {{batting?: boolean, count?: number, before?: string}} [opts] - MLB batting vs pitching logs,
+   *   max games returned, and the as-of day (games on or after it are left out)
+   * @returns {Promise<Array<object>>} Box-score lines vs the opponent
+   */
+  async getPlayerMatchupHistory(sport, player, opponent, season, { batting = false, count = 10, before = null } = {}) {
+    try {
+      if (!opponent) return [];
+
+      const rows = await this._seasonGameLogs(sport, player, season, { batting, before });
+      const codes = new Set(rows.map((r) => String(r?.opponent || "").toUpperCase()).filter(Boolean));
+      const opp = resolveOpponentCode(opponent, codes, sport);
+      if (!opp) return [];
+
+      return rows
+        .filter((r) => String(r?.opponent || "").toUpperCase() === opp)
+        .slice(0, count);
     } catch (err) {
       console.warn("[PlayerPropsEngine] getPlayerMatchupHistory failed:", err?.message);
       return [];
@@ -1203,7 +2074,7 @@ async generateFeatures(input) {
     // Placeholder for team pace/trend analysis
     // Will help adjust player props based on team performance trends
     try {
-      if (!this.apiClient) return null;
+      if (!this.provider.isAvailable("stats")) return null;
       
       console.log(`[PlayerPropsEngine] Team trend analysis not yet implemented for ${team}`);
       return null;
@@ -1213,29 +2084,135 @@ async generateFeatures(input) {
     }
   }
 
-  async getInjuryContext(sport, player, date) {
-    // Placeholder for injury report integration
-    // Will flag if player is questionable/probable/returning from injury
+  /**
+   * Injury context for a player on a game date: their report status, games missed
+   * since their last appearance and teammates ruled out.
+   * @param {string} sport - Sport code
+   * @param {string} player - Player name
+   * @param {string} date - Game date (YYYY-MM-DD)
+   * @param {{team?: string, playerId?: number, history?: Array<object>}} [opts] - Player's team,
+   *   id and box-score lines used to count missed games
+   * @returns {Promise<{status: string|null, entry: object|null, gamesMissed: number,
+   *           returning: boolean, teammatesOut: Array<object>}|null>}
+   */
+  async getInjuryContext(sport, player, date, { team = "", playerId = null, history = [] } = {}) {
     try {
-      if (!this.apiClient) return null;
-      
-      console.log(`[PlayerPropsEngine] Injury context not yet implemented for ${player}`);
-      return null;
+      if (!this.injurySource) return null;
+      const report = await this.injurySource.getReport(String(sport || "").toUpperCase());
+      const nameMatch = _tokNameMatchFactory(player);
+      const isPlayer = (e) =>
+        (playerId != null && e.playerId != null && Number(e.playerId) === Number(playerId)) || nameMatch(e.player);
+
+      const entry = report.find(isPlayer) || null;
+      const teamCode = String(team || entry?.team || "").toUpperCase();
+      const teammatesOut = teamCode
+        ? report.filter((e) => e.team === teamCode && e.status === "OUT" && !isPlayer(e))
+        : [];
+
+      // Missed games = calendar gap since the last appearance over the usual gap between games
+      let gamesMissed = 0;
+      const dates = (Array.isArray(history) ? history : [])
+        .map((r) => new Date(String(r?.date ?? "").slice(0, 10)))
+        .filter((d) => !isNaN(d.getTime()) && d < new Date(date))
+        .sort((a, b) => b - a);
+      if (dates.length >= 3) {
+        const gaps = dates.slice(0, -1).map((d, i) => (d - dates[i + 1]) / 86400000).sort((a, b) => a - b);
+        const typical = Math.max(1, gaps[Math.floor(gaps.length / 2)]);
+        const sinceLast = (new Date(date) - dates[0]) / 86400000;
+        gamesMissed = Math.max(0, Math.round(sinceLast / typical) - 1);
+      }
+
+      return {
+        status: entry?.status || null,
+        entry,
+        gamesMissed,
+        returning: entry?.status === "RETURNING" || gamesMissed >= 2,
+        teammatesOut,
+      };
     } catch (err) {
       console.warn("[PlayerPropsEngine] getInjuryContext failed:", err?.message);
       return null;
     }
   }
 
+  /**
+   * Player's per-minute production with and without a named teammate this season, up to
+   * the as-of day. Minutes-based, so NBA/WNBA only.
+   * @param {string} sport - Sport code
+   * @param {string} player - Player name
+   * @param {string} teammate - Teammate name
+   * @param {number|string} season - Season, as the provider numbers it (see seasonForDate)
+   * @param {object} parsedProp - Output of parseProp
+   * @param {{team?: string, before?: string}} [opts] - Player's current team; games on or after
+   *   before (YYYY-MM-DD) are left out
+   * @returns {Promise<{teammate: string, with: object, without: object}|null>}
+   */
+  async getWithWithoutSplit(sport, player, teammate, season, parsedProp, { team = "", before = null } = {}) {
+    const s = String(sport || "").toUpperCase();
+    if ((s !== "NBA" && s !== "WNBA") || !teammate || !parsedProp || typeof parsedProp !== "object") return null;
+    try {
+      const year = Number(season) || this.provider.seasonForDate(s, before);
+      const thisSeason = (rows) => rows.filter((r) => r?.season == null || Number(r.season) === year);
+      const playerRows = thisSeason(await this._seasonGameLogs(s, player, year, { before }));
+      const teammateRows = thisSeason(await this._seasonGameLogs(s, teammate, year, { before }));
+      if (!playerRows.length || !teammateRows.length) return null;
+
+      const split = computeWithWithoutSplit(
+        playerRows,
+        teammateRows,
+        (row) => this._pickValueFromRow(s, parsedProp, row),
+        { team }
+      );
+      return { teammate, ...split };
+    } catch (err) {
+      console.warn("[PlayerPropsEngine] getWithWithoutSplit failed:", err?.message);
+      return null;
+    }
+  }
+
+  /**
+   * Projection multiplier when teammates are out: their share of the team's per-game
+   * output for this stat is redistributed, half of it assumed to land on the rest.
+   * @returns {{multiplier: number, outShare: number}|null}
+   */
+  _teammateUsageBoost(sport, parsedProp, team, teammatesOut) {
+    if (!teammatesOut?.length || !team || !parsedProp || typeof parsedProp !== "object") return null;
+    if (!(USAGE_MARKETS.has(parsedProp.market) || parsedProp.combo) || sport === "MLB") return null;
+
+    const perGame = (row) => {
+      const games = Number(row?.games ?? 0);
+      const total = this._pickValueFromRow(sport, parsedProp, row);
+      return games > 0 && Number.isFinite(total) ? total / games : 0;
+    };
+    const teamRows = (this.seasonRows || []).filter((r) => String(r?.team || "").toUpperCase() === team);
+    const teamTotal = teamRows.reduce((a, r) => a + perGame(r), 0);
+    if (!(teamTotal > 0)) return null;
+
+    const outShare = teammatesOut.reduce((acc, e) => {
+      const row = teamRows.find(
+        (r) => (e.playerId != null && Number(r?.playerId) === e.playerId) ||
+          _tokNameMatchFactory(e.player)(r?.name)
+      );
+      return acc + (row ? perGame(row) : 0);
+    }, 0) / teamTotal;
+    if (!(outShare > 0) || outShare >= 1) return null;
+
+    const multiplier = Math.min(this.thresholds.MAX_USAGE_BOOST, 1 + 0.5 * (outShare / (1 - outShare)));
+    return { multiplier, outShare, teammates: teammatesOut.map((e) => e.player) };
+  }
+
   calculateConfidenceAdjustments(features, houseAnalysis) {
-    // Future: More sophisticated confidence adjustments
-    // Will factor in: weather, venue, rest days, B2B games, etc.
+    // Schedule entries are the fractional change each applied to the projection;
+    // houseTrap is the probability taken off modelProb
+    const schedule = features?.schedule || {};
+    const pct = (a) => (a ? round3(a.multiplier - 1) : 0);
     const adjustments = {
       weather: 0,
-      venue: 0,
-      rest: 0,
+      venue: pct(schedule.venue),
+      rest: schedule.rest?.appliedVia ? round3((features.playingTime?.restFactor ?? 1) - 1) : pct(schedule.rest),
+      travel: pct(schedule.travel),
       streak: 0,
-      houseTrap: houseAnalysis.houseBias * -0.04
+      houseTrap: round3(houseAnalysis.houseBias * -0.04)
     };
     
     return adjustments;
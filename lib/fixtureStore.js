@@ -0,0 +1,101 @@
+// lib/fixtureStore.js
+// Request/response fixtures for offline runs. In record mode every response the
+// SportsDataIO client hands back is saved with the time it was seen; in replay mode
+// the client answers only from these files, optionally as of a past moment, so an
+// evaluation can be reproduced exactly and the engines run without network.
+// One directory per request (path + params), one JSON file per recording
+// (data/fixtures/<source>/ locally, /tmp/fixtures on Vercel).
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+const FIXTURE_DIR = process.env.VERCEL
+  ? path.join("/tmp", "fixtures")
+  : path.join(process.cwd(), "data", "fixtures");
+
+/**
+ * Cut-off for replay lookups. A bare date ("2025-01-15") covers that whole UTC day.
+ * @param {string|Date|null} asOf
+ * @returns {number|null} Epoch ms, or null for "latest"
+ */
+export function parseAsOf(asOf) {
+  if (asOf === null || asOf === undefined || asOf === "") return null;
+  const raw = asOf instanceof Date ? asOf.toISOString() : String(asOf).trim();
+  const iso = /^\d{4}-\d{2}-\d{2}$/.test(raw) ? `${raw}T23:59:59.999Z` : raw;
+  const t = new Date(iso).getTime();
+  if (!Number.isFinite(t)) throw new Error(`Invalid as-of date "${asOf}" (use YYYY-MM-DD or an ISO timestamp)`);
+  return t;
+}
+
+export class FixtureStore {
+  /**
+   * @param {string} source - Subdirectory per data source, e.g. "sportsdataio"
+   * @param {{dir?: string}} [opts] - Root fixture directory
+   */
+  constructor(source, { dir = FIXTURE_DIR } = {}) {
+    this.dir = path.join(dir, String(source || "default").toLowerCase());
+    this.lastWritten = new Map();
+  }
+
+  // Readable and unique: the request path plus a short hash of path and params
+  _requestDir(requestPath, params) {
+    const key = `${requestPath}|${JSON.stringify(params || {})}`;
+    const hash = crypto.createHash("sha1").update(key).digest("hex").slice(0, 10);
+    const label = String(requestPath || "").replace(/^\/+/, "").replace(/[^A-Za-z0-9._-]+/g, "_").slice(0, 120);
+    return path.join(this.dir, `${label}_${hash}`);
+  }
+
+  /**
+   * Save one response. Repeats of the last response recorded for the same request in
+   * this process are skipped; the earlier recording already covers them as of later times.
+   * @param {string} requestPath - e.g. "/nba/stats/json/PlayerGameStatsByDate/2025-01-15"
+   * @param {object} params - Query params (never the API key)
+   * @param {*} response - Parsed JSON, or null for a failed request
+   * @param {{at?: string}} [opts] - Recording time (ISO), defaults to now
+   * @returns {string|null} File written, or null when skipped or the write failed
+   */
+  record(requestPath, params, response, { at = new Date().toISOString() } = {}) {
+    const dir = this._requestDir(requestPath, params);
+    const body = JSON.stringify(response ?? null);
+    if (this.lastWritten.get(dir) === body) return null;
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      const file = path.join(dir, `${at.replace(/[:.]/g, "-")}.json`);
+      fs.writeFileSync(
+        file,
+        JSON.stringify({ path: requestPath, params: params || {}, recordedAt: at, response: response ?? null }),
+        "utf8"
+      );
+      this.lastWritten.set(dir, body);
+      return file;
+    } catch (err) {
+      console.warn("[FixtureStore] record failed", err?.message || err);
+      return null;
+    }
+  }
+
+  /**
+   * Latest recording of a request at or before the cut-off.
+   * @param {string} requestPath
+   * @param {object} params
+   * @param {{asOf?: string|Date|null}} [opts] - See parseAsOf; omitted means the newest recording
+   * @returns {{path: string, params: object, recordedAt: string, response: *}|null} Null when none qualifies
+   */
+  lookup(requestPath, params, { asOf = null } = {}) {
+    const dir = this._requestDir(requestPath, params);
+    const cutoff = parseAsOf(asOf);
+    try {
+      if (!fs.existsSync(dir)) return null;
+      // File names are sortable timestamps; newest first
+      const files = fs.readdirSync(dir).filter((f) => f.endsWith(".json")).sort().reverse();
+      for (const f of files) {
+        const fixture = JSON.parse(fs.readFileSync(path.join(dir, f), "utf8"));
+        if (cutoff == null || new Date(fixture.recordedAt).getTime() <= cutoff) return fixture;
+      }
+    } catch (err) {
+      console.warn("[FixtureStore] lookup failed", err?.message || err);
+    }
+    return null;
+  }
+}
@@ -0,0 +1,181 @@
+// lib/injuryReports.js
+// Pluggable injury-report sources. Every source exposes getReport(sport) and returns
+// canonical entries, so the engines never see provider field names:
+//   { player, playerId, team, position, status, bodyPart, startDate, note }
+// status is one of OUT | DOUBTFUL | QUESTIONABLE | PROBABLE | RETURNING
+
+import fs from "fs";
+import path from "path";
+import { toProvider } from "./providers/index.js";
+
+export const INJURY_STATUSES = ["OUT", "DOUBTFUL", "QUESTIONABLE", "PROBABLE", "RETURNING"];
+
+// Provider / hand-typed wording -> canonical status
+const STATUS_ALIASES = {
+  OUT: ["out", "o", "inactive", "injured reserve", "ir", "suspended", "out for season", "pup"],
+  DOUBTFUL: ["doubtful", "d"],
+  QUESTIONABLE: ["questionable", "q", "day-to-day", "day to day", "dtd", "gtd", "game-time decision"],
+  PROBABLE: ["probable", "p"],
+  RETURNING: ["returning", "returning from injury", "return", "activated", "available"],
+};
+
+/**
+ * Map provider or hand-typed status text onto a canonical status.
+ * @param {string} text - e.g. "Out", "Q", "Day-To-Day", "Returning from injury"
+ * @returns {string|null} Canonical status, or null when the player is not on the report
+ */
+export function normalizeInjuryStatus(text) {
+  const s = String(text || "").toLowerCase().trim();
+  if (!s) return null;
+  for (const [status, aliases] of Object.entries(STATUS_ALIASES)) {
+    if (aliases.includes(s)) return status;
+  }
+  if (s.startsWith("out")) return "OUT";
+  return null;
+}
+
+function toEntry(raw) {
+  const status = normalizeInjuryStatus(raw.status);
+  const player = String(raw.player || "").trim();
+  if (!status || !player) return null;
+  return {
+    player,
+    playerId: raw.playerId != null && raw.playerId !== "" ? Number(raw.playerId) : null,
+    team: String(raw.team || "").toUpperCase().trim(),
+    position: String(raw.position || "").toUpperCase().trim(),
+    status,
+    bodyPart: raw.bodyPart ? String(raw.bodyPart) : null,
+    startDate: raw.startDate ? String(raw.startDate).slice(0, 10) : null,
+    note: raw.note ? String(raw.note) : null,
+  };
+}
+
+/**
+ * Provider adapter: injuries from the configured data provider (SportsDataIO InjuredPlayers).
+ */
+export class ProviderInjurySource {
+  constructor(provider) {
+    this.provider = toProvider(provider);
+  }
+
+  async getReport(sport) {
+    const p = this.provider;
+    if (!p.isAvailable("injuries")) return [];
+    try {
+      const rows = await p.getInjuries(sport);
+      return (Array.isArray(rows) ? rows : []).map(toEntry).filter(Boolean);
+    } catch (err) {
+      console.warn("[ProviderInjurySource] getReport failed", err?.message || err);
+      return [];
+    }
+  }
+}
+
+function parseCsvLine(line) {
+  const out = [];
+  let cur = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted && ch === '"' && line[i + 1] === '"') {
+      cur += '"';
+      i++;
+    } else if (ch === '"') {
+      quoted = !quoted;
+    } else if (ch === "," && !quoted) {
+      out.push(cur);
+      cur = "";
+    } else {
+      cur += ch;
+    }
+  }
+  out.push(cur);
+  return out.map((v) => v.trim());
+}
+
+// Column headers accepted in local files, lower-cased with spaces/underscores removed
+const LOCAL_FIELDS = {
+  player: ["player", "name", "playername"],
+  playerId: ["playerid", "id"],
+  team: ["team"],
+  position: ["position", "pos"],
+  status: ["status", "injurystatus"],
+  bodyPart: ["bodypart", "injury", "injurybodypart"],
+  startDate: ["startdate", "since", "injurystartdate"],
+  note: ["note", "notes", "injurynotes"],
+  sport: ["sport", "league"],
+};
+
+function pickLocal(obj) {
+  const keyed = {};
+  for (const [k, v] of Object.entries(obj || {})) keyed[k.toLowerCase().replace(/[\s_-]/g, "")] = v;
+  const out = {};
+  for (const [field, names] of Object.entries(LOCAL_FIELDS)) {
+    const hit = names.find((n) => keyed[n] !== undefined && keyed[n] !== "");
+    if (hit) out[field] = keyed[hit];
+  }
+  return out;
+}
+
+/**
+ * Local adapter for offline use: a JSON array (or { [sport]: [...] }) or a CSV file
+ * with a header row (player, team, status, position, body_part, start_date, note, sport).
+ */
+export class LocalFileInjurySource {
+  constructor(filePath) {
+    this.filePath = path.resolve(process.cwd(), String(filePath || ""));
+    this._cache = null;
+    this._mtime = 0;
+  }
+
+  _load() {
+    const stat = fs.statSync(this.filePath);
+    if (this._cache && stat.mtimeMs === this._mtime) return this._cache;
+
+    const text = fs.readFileSync(this.filePath, "utf8");
+    let rows = [];
+    if (this.filePath.toLowerCase().endsWith(".csv")) {
+      const lines = text.split(/\r?\n/).filter((l) => l.trim());
+      const header = parseCsvLine(lines.shift() || "");
+      rows = lines.map((l) => {
+        const cells = parseCsvLine(l);
+        return Object.fromEntries(header.map((h, i) => [h, cells[i] ?? ""]));
+      });
+    } else {
+      const json = JSON.parse(text);
+      rows = Array.isArray(json)
+        ? json
+        : Object.entries(json || {}).flatMap(([sport, list]) =>
+            (Array.isArray(list) ? list : []).map((r) => ({ sport, ...r }))
+          );
+    }
+
+    this._cache = rows.map(pickLocal);
+    this._mtime = stat.mtimeMs;
+    return this._cache;
+  }
+
+  async getReport(sport) {
+    try {
+      const s = String(sport || "").toUpperCase();
+      return this._load()
+        .filter((r) => !r.sport || String(r.sport).toUpperCase() === s)
+        .map(toEntry)
+        .filter(Boolean);
+    } catch (err) {
+      console.warn("[LocalFileInjurySource] getReport failed", err?.message || err);
+      return [];
+    }
+  }
+}
+
+/**
+ * Pick the injury source: a local file when INJURY_REPORT_FILE (or opts.file) is set,
+ * otherwise the data provider.
+ * @param {{provider?: object, file?: string}} [opts] - provider may also be a raw API client
+ * @returns {{getReport: function(string): Promise<Array<object>>}}
+ */
+export function createInjurySource({ provider, file = process.env.INJURY_REPORT_FILE } = {}) {
+  if (file) return new LocalFileInjurySource(file);
+  return new ProviderInjurySource(provider);
+}
@@ -0,0 +1,284 @@
+// lib/oddsApiClient.js
+// The Odds API client — second odds provider behind SportsDataIO, on the same cache layer.
+// Game markets (h2h, spreads, totals) come from the sport odds endpoint; player props are
+// per event. Team names are mapped to SportsDataIO codes through the team registry so rows
+// match the rest of the system; player names are normalized to plain ASCII.
+
+import fetch from "node-fetch";
+import cacheClient from "./cacheClient.js";
+import { resolveTeam } from "./teamRegistry.js";
+
+const SPORT_KEYS = {
+  NBA: "basketball_nba",
+  WNBA: "basketball_wnba",
+  NFL: "americanfootball_nfl",
+  MLB: "baseball_mlb",
+};
+
+export const GAME_MARKETS = ["h2h", "spreads", "totals"];
+
+// OddsAPI player-prop market key -> prop market name used by the prop parser
+export const PROP_MARKETS = {
+  NBA: {
+    player_points: "points",
+    player_rebounds: "rebounds",
+    player_assists: "assists",
+    player_threes: "threes",
+    player_blocks: "blocks",
+    player_steals: "steals",
+    player_turnovers: "turnovers",
+  },
+  NFL: {
+    player_pass_yds: "passing_yards",
+    player_rush_yds: "rushing_yards",
+    player_reception_yds: "receiving_yards",
+    player_receptions: "receptions",
+    player_pass_tds: "passing_touchdowns",
+    player_pass_completions: "completions",
+    player_pass_attempts: "pass_attempts",
+    player_rush_attempts: "rush_attempts",
+    player_pass_interceptions: "interceptions",
+    player_anytime_td: "touchdowns",
+  },
+  MLB: {
+    pitcher_strikeouts: "strikeouts",
+    pitcher_hits_allowed: "hits_allowed",
+    pitcher_earned_runs: "earned_runs",
+    pitcher_outs: "outs",
+    batter_hits: "hits",
+    batter_runs_scored: "runs",
+    batter_rbis: "rbi",
+    batter_home_runs: "home_runs",
+    batter_stolen_bases: "stolen_bases",
+    batter_walks: "walks",
+  },
+};
+PROP_MARKETS.WNBA = PROP_MARKETS.NBA;
+
+const isPropMarket = (key) => /^(player|batter|pitcher)_/.test(key);
+
+function resolveEnvApiKey() {
+  const names = ["ODDS_API_KEY", "THE_ODDS_API_KEY", "ODDSAPI_KEY"];
+  for (const n of names) {
+    if (process.env[n] && String(process.env[n]).trim() !== "") return String(process.env[n]).trim();
+  }
+  return "";
+}
+
+// Team name -> SportsDataIO code; names the registry can't place are kept as sent
+function teamCode(sport, name) {
+  try {
+    return resolveTeam(sport, name).code;
+  } catch {
+    return name;
+  }
+}
+
+/**
+ * Player name as the stats feed spells it: accents stripped, whitespace collapsed.
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizePlayerName(name) {
+  return String(name || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Commence-time window for a US calendar day ("2025-01-15"): 10:00Z to 10:00Z the next day
+function dayWindow(date) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date || ""))) return {};
+  const from = new Date(`${date}T10:00:00Z`);
+  const to = new Date(from.getTime() + 86400000);
+  const iso = (d) => d.toISOString().replace(/\.\d{3}Z$/, "Z");
+  return { commenceTimeFrom: iso(from), commenceTimeTo: iso(to) };
+}
+
+export class OddsAPIClient {
+  constructor(opts = {}) {
+    this.apiKey = (opts.apiKey || "").trim() || resolveEnvApiKey();
+    this.baseURL = (opts.baseURL || process.env.ODDS_API_BASEURL || "https://api.the-odds-api.com/v4").replace(/\/+$/, "");
+    this.cacheTTL = Number(opts.cacheTTL || process.env.ODDS_API_CACHE_TTL || 300); // odds move; default 5 minutes
+    this.regions = opts.regions || process.env.ODDS_API_REGIONS || "us";
+    this.fetch = opts.fetch || fetch;
+    this.lastHttp = null;
+
+    if (!this.apiKey) {
+      console.warn("[OddsAPIClient] No API key configured (ODDS_API_KEY); OddsAPI fallback disabled.");
+    }
+  }
+
+  setApiKey(k) { this.apiKey = (k || "").trim(); }
+
+  // The key stays out of the cache key so rotating it keeps cached responses
+  async _getWithCache(path, params = {}, ttlSeconds = this.cacheTTL) {
+    if (!this.apiKey) return null;
+    const cacheKey = `oddsapi:${path}|${JSON.stringify(params)}`;
+    return await cacheClient.getOrFetch(cacheKey, params, ttlSeconds, async () => {
+      const url = new URL(this.baseURL + path);
+      for (const [k, v] of Object.entries(params || {})) {
+        if (v !== undefined && v !== null && v !== "") url.searchParams.set(k, String(v));
+      }
+      const publicUrl = url.toString();
+      url.searchParams.set("apiKey", this.apiKey);
+      try {
+        const resp = await this.fetch(url.toString(), { headers: { Accept: "application/json" } });
+        this.lastHttp = {
+          status: resp.status,
+          ok: resp.ok,
+          url: publicUrl,
+          requestsRemaining: resp.headers?.get?.("x-requests-remaining") ?? null,
+        };
+        if (!resp.ok) {
+          const txt = await resp.text().catch(() => "");
+          console.warn(`[OddsAPIClient] non-200 ${resp.status} ${publicUrl}: ${txt}`);
+          return null;
+        }
+        return await resp.json().catch(() => null);
+      } catch (err) {
+        console.warn("[OddsAPIClient] fetch error", err?.message || err);
+        return null;
+      }
+    });
+  }
+
+  // Team names in the event and in h2h/spreads outcomes become codes; prop outcomes carry the player
+  _mapEvent(sport, event) {
+    const home = event?.home_team || "";
+    const away = event?.away_team || "";
+    const names = { [home]: teamCode(sport, home), [away]: teamCode(sport, away) };
+    return {
+      ...event,
+      home_team: names[home],
+      away_team: names[away],
+      home_team_name: home,
+      away_team_name: away,
+      bookmakers: (event?.bookmakers || []).map((b) => ({
+        ...b,
+        markets: (b?.markets || []).map((m) => ({
+          ...m,
+          outcomes: (m?.outcomes || []).map((o) =>
+            isPropMarket(m.key)
+              ? { ...o, description: normalizePlayerName(o.description) }
+              : { ...o, name: names[o.name] ?? o.name }
+          ),
+        })),
+      })),
+    };
+  }
+
+  /**
+   * Upcoming and live events for a sport, without odds.
+   * @param {string} sport - NBA, WNBA, NFL or MLB
+   * @param {{date?: string}} [opts] - Calendar day (YYYY-MM-DD) to restrict to
+   * @returns {Promise<Array<object>|null>} Events with team codes, or null when unavailable
+   */
+  async getEvents(sport, { date } = {}) {
+    const key = SPORT_KEYS[String(sport || "").toUpperCase()];
+    if (!key) return null;
+    const data = await this._getWithCache(`/sports/${key}/events`, { dateFormat: "iso", ...dayWindow(date) });
+    return Array.isArray(data) ? data.map((e) => this._mapEvent(sport, e)) : null;
+  }
+
+  /**
+   * Odds for a sport in OddsAPI's shape, team names mapped to codes. Game markets come from one
+   * request; player-prop markets are fetched per event and merged into the same games.
+   * @param {{sport: string, date?: string|number, markets?: string[]|string}} opts - date is a
+   *   calendar day; anything else (an NFL week) returns every listed game
+   * @returns {Promise<Array<object>|null>} Games with bookmakers, or null when unavailable
+   */
+  async getOddsFromOddsAPI({ sport, date, markets = GAME_MARKETS } = {}) {
+    const s = String(sport || "").toUpperCase();
+    const key = SPORT_KEYS[s];
+    if (!key || !this.apiKey) return null;
+    try {
+      const wanted = (Array.isArray(markets) ? markets : String(markets).split(",")).map((m) => m.trim()).filter(Boolean);
+      const gameMarkets = wanted.filter((m) => !isPropMarket(m));
+      const propMarkets = wanted.filter(isPropMarket);
+      const timeWindow = dayWindow(date);
+      const common = { regions: this.regions, oddsFormat: "american", dateFormat: "iso" };
+
+      let games = [];
+      if (gameMarkets.length) {
+        const data = await this._getWithCache(`/sports/${key}/odds`, { ...common, markets: gameMarkets.join(","), ...timeWindow });
+        if (!Array.isArray(data)) return null;
+        games = data.map((e) => this._mapEvent(s, e));
+      } else {
+        games = (await this.getEvents(s, { date })) || [];
+      }
+
+      if (propMarkets.length) {
+        for (const game of games) {
+          const data = await this._getWithCache(`/sports/${key}/events/${game.id}/odds`, {
+            ...common,
+            markets: propMarkets.join(","),
+          });
+          if (!data) continue;
+          const props = this._mapEvent(s, data);
+          for (const book of props.bookmakers || []) {
+            const existing = (game.bookmakers = game.bookmakers || []).find((b) => b.key === book.key);
+            if (existing) existing.markets = [...(existing.markets || []), ...(book.markets || [])];
+            else game.bookmakers.push(book);
+          }
+        }
+      }
+      return games;
+    } catch (err) {
+      console.warn("[OddsAPIClient] getOddsFromOddsAPI error:", err?.message || err);
+      return null;
+    }
+  }
+
+  /**
+   * Player props flattened to one row per book, player, market and line.
+   * @param {{sport: string, date?: string, markets?: string[], player?: string}} opts - markets
+   *   default to every prop market known for the sport; player filters by name tokens
+   * @returns {Promise<Array<{gameId: string, commenceTime: string, home: string, away: string, book: string,
+   *           market: string, marketKey: string, player: string, line: number|null, over: number|null,
+   *           under: number|null}>>}
+   */
+  async getPlayerPropsFromOddsAPI({ sport, date, markets, player } = {}) {
+    const s = String(sport || "").toUpperCase();
+    const known = PROP_MARKETS[s] || {};
+    const games = await this.getOddsFromOddsAPI({ sport: s, date, markets: markets || Object.keys(known) });
+    const tokens = normalizePlayerName(player).toLowerCase().split(" ").filter(Boolean);
+    const rows = new Map();
+    for (const game of games || []) {
+      for (const book of game.bookmakers || []) {
+        for (const m of book.markets || []) {
+          if (!isPropMarket(m.key)) continue;
+          for (const o of m.outcomes || []) {
+            const name = o.description || "";
+            if (tokens.length && !tokens.every((t) => name.toLowerCase().includes(t))) continue;
+            const id = `${game.id}|${book.key}|${m.key}|${name}|${o.point ?? ""}`;
+            const row = rows.get(id) || {
+              gameId: game.id,
+              commenceTime: game.commence_time,
+              home: game.home_team,
+              away: game.away_team,
+              book: book.title || book.key,
+              market: known[m.key] || m.key,
+              marketKey: m.key,
+              player: name,
+              line: o.point ?? null,
+              over: null,
+              under: null,
+            };
+            // Yes/No props (anytime TD) price the yes side as the over
+            if (o.name === "Over" || o.name === "Yes") row.over = o.price;
+            if (o.name === "Under" || o.name === "No") row.under = o.price;
+            rows.set(id, row);
+          }
+        }
+      }
+    }
+    return [...rows.values()];
+  }
+}
+
+// singleton
+const defaultClient = new OddsAPIClient({});
+export const oddsApiClient = defaultClient;
+export default defaultClient;
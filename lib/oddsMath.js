@@ -0,0 +1,168 @@
+// lib/oddsMath.js
+// Price conversions shared by the engines and endpoints: American <-> decimal odds,
+// implied probability, fair odds for a model probability and expected value per unit.
+
+/**
+ * Decimal odds (total return per unit staked) for an American price.
+ * @param {number} american - e.g. -110, +150
+ * @returns {number|null}
+ */
+export function americanToDecimal(american) {
+  const a = Number(american);
+  if (!Number.isFinite(a) || (a > -100 && a < 100)) return null;
+  return a > 0 ? 1 + a / 100 : 1 + 100 / -a;
+}
+
+/**
+ * American price for decimal odds.
+ * @param {number} decimal - e.g. 1.91, 2.5
+ * @returns {number|null}
+ */
+export function decimalToAmerican(decimal) {
+  const d = Number(decimal);
+  if (!Number.isFinite(d) || d <= 1) return null;
+  return d >= 2 ? (d - 1) * 100 : -100 / (d - 1);
+}
+
+/**
+ * Break-even probability implied by an American price (includes the book's margin).
+ * @param {number} american
+ * @returns {number|null}
+ */
+export function impliedProbability(american) {
+  const d = americanToDecimal(american);
+  return d ? 1 / d : null;
+}
+
+/**
+ * Fair (zero-margin) prices for a win probability.
+ * @param {number} p - Win probability, pushes excluded
+ * @returns {{american: number, decimal: number}|null}
+ */
+export function fairOdds(p) {
+  if (!(p > 0 && p < 1)) return null;
+  const decimal = 1 / p;
+  return { american: Math.round(decimalToAmerican(decimal)), decimal: Math.round(decimal * 1000) / 1000 };
+}
+
+/**
+ * Expected profit per unit staked. Pushes return the stake.
+ * @param {number} pWin - Probability the bet wins
+ * @param {number} american - Offered price
+ * @param {number} [pPush=0] - Probability of a push
+ * @returns {number|null}
+ */
+export function expectedValue(pWin, american, pPush = 0) {
+  const d = americanToDecimal(american);
+  if (!d || !Number.isFinite(pWin)) return null;
+  const pLose = Math.max(0, 1 - pWin - (Number(pPush) || 0));
+  return pWin * (d - 1) - pLose;
+}
+
+/**
+ * Strip the margin from a two-sided market.
+ * @param {number} overAmerican - Over (or side A) price
+ * @param {number} underAmerican - Under (or side B) price
+ * @param {string} [method="multiplicative"] - One of DEVIG_METHODS
+ * @returns {{over: number, under: number, hold: number, method: string}|null} No-vig probabilities
+ *          and the book's hold as a share of handle
+ */
+export function noVigTwoWay(overAmerican, underAmerican, method = "multiplicative") {
+  const result = devig([overAmerican, underAmerican], method);
+  if (!result) return null;
+  const [over, under] = result.probabilities;
+  return { over, under, hold: result.hold, method };
+}
+
+/**
+ * Full-Kelly bankroll fraction for a bet; zero or negative means no edge at this price.
+ * @param {number} pWin - Probability the bet wins
+ * @param {number} american - Offered price
+ * @param {number} [pPush=0] - Probability of a push
+ * @returns {number|null}
+ */
+export function kellyFraction(pWin, american, pPush = 0) {
+  const d = americanToDecimal(american);
+  const ev = expectedValue(pWin, american, pPush);
+  return d && ev != null ? ev / (d - 1) : null;
+}
+
+export const DEVIG_METHODS = ["multiplicative", "additive", "power", "shin", "odds_ratio"];
+
+// Root of a monotone function on [lo, hi] by bisection
+function solveMonotone(fn, lo, hi, iterations = 100) {
+  let flo = fn(lo);
+  for (let i = 0; i < iterations; i++) {
+    const mid = (lo + hi) / 2;
+    const fmid = fn(mid);
+    if (Math.sign(fmid) === Math.sign(flo)) {
+      lo = mid;
+      flo = fmid;
+    } else {
+      hi = mid;
+    }
+  }
+  return (lo + hi) / 2;
+}
+
+const sum = (xs) => xs.reduce((a, b) => a + b, 0);
+
+/**
+ * Fair probabilities from the prices of every outcome in a market (two-way, three-way
+ * soccer, many-outcome futures).
+ * - multiplicative: scale implied probabilities by the booksum
+ * - additive: subtract an equal share of the overround from each outcome
+ * - power: raise implied probabilities to the power k that makes them sum to 1
+ * - shin: Shin's insider-trading model, solving for the insider share z
+ * - odds_ratio: divide every outcome's odds by the same ratio c
+ * Power, Shin and odds-ratio put more of the margin on longshots.
+ * @param {number[]} americanPrices - One American price per outcome
+ * @param {string} [method="multiplicative"] - One of DEVIG_METHODS
+ * @returns {{method: string, probabilities: number[], implied: number[], overround: number, hold: number,
+ *           param: {name: string, value: number}|null}|null} Null when a price is invalid or the method unknown
+ */
+export function devig(americanPrices, method = "multiplicative") {
+  const implied = (Array.isArray(americanPrices) ? americanPrices : []).map(impliedProbability);
+  if (implied.length < 2 || implied.some((p) => p == null) || !DEVIG_METHODS.includes(method)) return null;
+
+  const n = implied.length;
+  const booksum = sum(implied);
+  let probabilities;
+  let param = null;
+
+  switch (method) {
+    case "additive": {
+      const share = (booksum - 1) / n;
+      probabilities = implied.map((p) => Math.max(0, p - share));
+      break;
+    }
+    case "power": {
+      const k = solveMonotone((x) => sum(implied.map((p) => p ** x)) - 1, 0.01, 20);
+      probabilities = implied.map((p) => p ** k);
+      param = { name: "k", value: k };
+      break;
+    }
+    case "shin": {
+      const shin = (z) =>
+        implied.map((p) => (Math.sqrt(z * z + (4 * (1 - z) * p * p) / booksum) - z) / (2 * (1 - z)));
+      const z = booksum > 1 ? solveMonotone((x) => sum(shin(x)) - 1, 0, 0.999) : 0;
+      probabilities = shin(z);
+      param = { name: "z", value: z };
+      break;
+    }
+    case "odds_ratio": {
+      const scaled = (c) => implied.map((p) => p / (c - c * p + p));
+      const c = solveMonotone((x) => sum(scaled(x)) - 1, 0.01, 100);
+      probabilities = scaled(c);
+      param = { name: "c", value: c };
+      break;
+    }
+    default:
+      probabilities = implied.map((p) => p / booksum);
+  }
+
+  // Every method targets a total of 1; renormalise away clipping and solver residue
+  const total = sum(probabilities);
+  probabilities = probabilities.map((p) => (total > 0 ? p / total : 1 / n));
+  return { method, probabilities, implied, overround: booksum - 1, hold: 1 - 1 / booksum, param };
+}
@@ -0,0 +1,443 @@
+// lib/oddsSnapshots.js
+// Odds snapshot store: every odds pull is recorded per game, book and market with a
+// timestamp, so the true opening price, the latest price and (once the game starts)
+// the closing price are known. Picks are stored with the price actually taken and
+// their CLV is recomputed against the close after the game starts.
+// One JSON file per game (data/odds/<sport>/ locally, /tmp/odds on Vercel); a store
+// made with dir: null keeps everything in memory.
+
+import fs from "fs";
+import path from "path";
+import { registrySports } from "./teamRegistry.js";
+
+const SNAPSHOT_DIR = process.env.VERCEL
+  ? path.join("/tmp", "odds")
+  : path.join(process.cwd(), "data", "odds");
+
+const MARKETS = ["moneyline", "spread", "total"];
+const CLOSED_STATUSES = new Set(["inprogress", "final", "f/ot", "f/so", "closed", "canceled", "postponed"]);
+
+function num(v) {
+  const n = Number(v);
+  return v !== null && v !== undefined && v !== "" && Number.isFinite(n) ? n : null;
+}
+
+function impliedProb(american) {
+  const a = num(american);
+  if (a == null || (a > -100 && a < 100)) return null;
+  return a > 0 ? 100 / (a + 100) : -a / (-a + 100);
+}
+
+/**
+ * Whether snapshots are kept on disk for a sport; the sport names the directory, so
+ * only the registry's leagues qualify.
+ * @param {string} sport
+ * @returns {boolean}
+ */
+export function isSnapshotSport(sport) {
+  return registrySports().includes(String(sport || "").toUpperCase());
+}
+
+/**
+ * Stable id for an odds game: the provider's game id, else date and matchup.
+ * @param {import("./providers/dataProvider.js").OddsGame} game
+ * @returns {string}
+ */
+export function gameIdOf(game) {
+  const id = game?.gameId;
+  if (id !== null && id !== undefined && id !== "") return String(id);
+  const date = String(game?.startTime ?? "").slice(0, 10);
+  return `${date}|${game?.away ?? ""}@${game?.home ?? ""}`.replace(/[^A-Za-z0-9|@_-]/g, "_");
+}
+
+// Line from one side's point of view: spreads are stored for the home team
+function sideLine(market, side, line) {
+  if (line == null) return null;
+  return market === "spread" && side === "away" ? -line : line;
+}
+
+/**
+ * CLV of a taken price against a later price for the same side.
+ * Positive means the market moved toward the pick after it was taken.
+ * @param {{market: string, side: string, line: number|null, price: number}} pick
+ * @param {{line: number|null, prices: object, at: string}|null} snapshot - Later snapshot
+ * @returns {{percent: number|null, points: number|null, takenPrice: number, referencePrice: number|null,
+ *           takenLine: number|null, referenceLine: number|null, favorability: string, at: string}|null}
+ */
+export function pickCLV(pick, snapshot) {
+  if (!pick || !snapshot) return null;
+  const referencePrice = num(snapshot.prices?.[pick.side]);
+  const referenceLine = sideLine(pick.market, pick.side, snapshot.line);
+  const takenLine = num(pick.line);
+
+  // Points gained on the number: a shorter spread or a higher over / lower under at the close
+  let points = null;
+  if (pick.market !== "moneyline" && takenLine != null && referenceLine != null) {
+    const diff = pick.market === "spread" ? takenLine - referenceLine : referenceLine - takenLine;
+    points = Math.round((pick.side === "under" ? -diff : diff) * 10) / 10;
+  }
+
+  // Prices only compare on the same number
+  const sameNumber = pick.market === "moneyline" || (takenLine != null && takenLine === referenceLine);
+  const takenProb = impliedProb(pick.price);
+  const refProb = sameNumber ? impliedProb(referencePrice) : null;
+  const percent = takenProb != null && refProb != null ? Math.round((refProb - takenProb) * 10000) / 100 : null;
+
+  // Price CLV within two points of probability is noise; off the number, any points gained count
+  let favorability = "neutral";
+  if (percent != null) favorability = percent > 2 ? "favorable" : percent < -2 ? "unfavorable" : "neutral";
+  else if (points) favorability = points > 0 ? "favorable" : "unfavorable";
+
+  return {
+    percent,
+    points,
+    takenPrice: pick.price,
+    referencePrice,
+    takenLine,
+    referenceLine,
+    favorability,
+    at: snapshot.at,
+  };
+}
+
+// Which way a market moved between two snapshots of one book, in the side money came in on
+function moveDirection(market, prev, next) {
+  if (market !== "moneyline" && prev.line != null && next.line != null && Math.abs(next.line - prev.line) >= 0.5) {
+    // Home spread shortening (-3 -> -4.5) is money on home; a rising total is money on the over
+    if (market === "spread") return next.line < prev.line ? "home" : "away";
+    return next.line > prev.line ? "over" : "under";
+  }
+  const key = market === "total" ? "over" : "home";
+  const before = impliedProb(prev.prices?.[key]);
+  const after = impliedProb(next.prices?.[key]);
+  if (before == null || after == null || Math.abs(after - before) < 0.02) return null;
+  if (market === "total") return after > before ? "over" : "under";
+  return after > before ? "home" : "away";
+}
+
+/**
+ * Steam moves: several books moving the same market the same way within a short window,
+ * the footprint of coordinated sharp money.
+ * @param {Array<object>} snapshots - Snapshot history for one game
+ * @param {{windowMinutes?: number, minBooks?: number}} [opts]
+ * @returns {Array<{market: string, direction: string, at: string, until: string, books: string[]}>}
+ */
+export function detectSteam(snapshots, { windowMinutes = 15, minBooks = 3 } = {}) {
+  const events = [];
+  for (const market of MARKETS) {
+    const byBook = new Map();
+    for (const s of snapshots || []) {
+      if (s.market !== market) continue;
+      if (!byBook.has(s.book)) byBook.set(s.book, []);
+      byBook.get(s.book).push(s);
+    }
+    const moves = [];
+    for (const [book, list] of byBook) {
+      list.sort((a, b) => a.at.localeCompare(b.at));
+      for (let i = 1; i < list.length; i++) {
+        const direction = moveDirection(market, list[i - 1], list[i]);
+        if (direction) moves.push({ book, at: list[i].at, direction });
+      }
+    }
+    moves.sort((a, b) => a.at.localeCompare(b.at));
+
+    const windowMs = windowMinutes * 60000;
+    for (let i = 0; i < moves.length; ) {
+      const start = Date.parse(moves[i].at);
+      const group = moves.filter(
+        (m, j) => j >= i && m.direction === moves[i].direction && Date.parse(m.at) - start <= windowMs
+      );
+      const books = [...new Set(group.map((m) => m.book))];
+      if (books.length >= minBooks) {
+        events.push({ market, direction: moves[i].direction, at: moves[i].at, until: group[group.length - 1].at, books });
+        // Continue after the last move of this event
+        i = moves.indexOf(group[group.length - 1]) + 1;
+      } else {
+        i += 1;
+      }
+    }
+  }
+  return events.sort((a, b) => a.at.localeCompare(b.at));
+}
+
+/**
+ * Snapshot store for one sport (in memory only with dir: null).
+ */
+export class OddsSnapshotStore {
+  constructor(sport, { dir = SNAPSHOT_DIR } = {}) {
+    this.sport = String(sport || "").toUpperCase();
+    if (dir && !isSnapshotSport(this.sport)) throw new Error(`Unsupported sport "${sport}" for odds snapshots`);
+    this.dir = dir ? path.join(dir, this.sport.toLowerCase()) : null;
+    this.games = new Map();
+  }
+
+  _file(gameId) {
+    return path.join(this.dir, `${encodeURIComponent(gameId)}.json`);
+  }
+
+  /**
+   * Stored record for a game, or null when it was never pulled.
+   * @param {string} gameId
+   * @returns {{gameId: string, sport: string, home: string, away: string, startTime: string|null,
+   *           status: string|null, snapshots: Array<object>, picks: Array<object>}|null}
+   */
+  game(gameId) {
+    const id = String(gameId);
+    if (this.games.has(id)) return this.games.get(id);
+    if (!this.dir) return null;
+    try {
+      const file = this._file(id);
+      if (!fs.existsSync(file)) return null;
+      const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+      this.games.set(id, saved);
+      return saved;
+    } catch (err) {
+      console.warn("[OddsSnapshotStore] load failed", err?.message || err);
+      return null;
+    }
+  }
+
+  _save(record) {
+    if (!this.dir) return;
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      fs.writeFileSync(this._file(record.gameId), JSON.stringify(record), "utf8");
+    } catch (err) {
+      // Read-only filesystems keep the snapshots in memory for this instance
+      console.warn("[OddsSnapshotStore] save failed", err?.message || err);
+    }
+  }
+
+  /**
+   * Record one odds pull. A price set identical to the book's previous snapshot for the
+   * market extends that snapshot (lastAt, pulls) instead of adding a new one.
+   * @param {Array<object>} games - Odds games from one pull
+   * @param {{at?: string}} [opts] - Pull time (defaults to now)
+   * @returns {string[]} Game ids recorded
+   */
+  recordPull(games, { at = new Date().toISOString() } = {}) {
+    const ids = [];
+    for (const game of Array.isArray(games) ? games : []) {
+      const quotes = Array.isArray(game?.quotes) ? game.quotes : [];
+      if (!quotes.length) continue;
+      const gameId = gameIdOf(game);
+      const record = this.game(gameId) || {
+        gameId,
+        sport: this.sport,
+        home: String(game?.home ?? ""),
+        away: String(game?.away ?? ""),
+        startTime: null,
+        status: null,
+        snapshots: [],
+        picks: [],
+      };
+      record.startTime = game?.startTime ?? record.startTime ?? null;
+      record.status = game?.status ?? record.status ?? null;
+
+      for (const m of quotes) {
+        const last = this._last(record, m.market, { book: m.book });
+        if (last && last.line === m.line && JSON.stringify(last.prices) === JSON.stringify(m.prices)) {
+          last.lastAt = at;
+          last.pulls += 1;
+        } else {
+          record.snapshots.push({ ...m, at, lastAt: at, pulls: 1 });
+        }
+      }
+
+      this.games.set(gameId, record);
+      this._settle(record, at);
+      this._save(record);
+      ids.push(gameId);
+    }
+    return ids;
+  }
+
+  _last(record, market, { book, before } = {}) {
+    let found = null;
+    for (const s of record?.snapshots || []) {
+      if (s.market !== market || (book && s.book !== book)) continue;
+      if (before && s.at > before) continue;
+      if (!found || s.at >= found.at) found = s;
+    }
+    return found;
+  }
+
+  /**
+   * Whether betting on the game has closed (it has started or finished).
+   * @param {string} gameId
+   * @param {string} [now] - ISO time
+   * @returns {boolean}
+   */
+  isClosed(gameId, now = new Date().toISOString()) {
+    const record = this.game(gameId);
+    if (!record) return false;
+    if (CLOSED_STATUSES.has(String(record.status || "").toLowerCase().replace(/\s+/g, ""))) return true;
+    const start = record.startTime ? new Date(record.startTime) : null;
+    return !!start && Number.isFinite(start.getTime()) && start.toISOString() <= now;
+  }
+
+  /**
+   * First snapshot seen for a market.
+   * @param {string} gameId
+   * @param {string} market - moneyline | spread | total
+   * @param {{book?: string}} [opts]
+   * @returns {object|null}
+   */
+  opening(gameId, market, { book } = {}) {
+    let found = null;
+    for (const s of this.game(gameId)?.snapshots || []) {
+      if (s.market !== market || (book && s.book !== book)) continue;
+      if (!found || s.at < found.at) found = s;
+    }
+    return found;
+  }
+
+  /**
+   * Most recent snapshot for a market.
+   * @param {string} gameId
+   * @param {string} market
+   * @param {{book?: string}} [opts]
+   * @returns {object|null}
+   */
+  latest(gameId, market, { book } = {}) {
+    return this._last(this.game(gameId), market, { book });
+  }
+
+  /**
+   * Last snapshot before the start, once the game has closed; null before then.
+   * @param {string} gameId
+   * @param {string} market
+   * @param {{book?: string, now?: string}} [opts]
+   * @returns {object|null}
+   */
+  closing(gameId, market, { book, now } = {}) {
+    const record = this.game(gameId);
+    if (!record || !this.isClosed(gameId, now)) return null;
+    const start = record.startTime ? new Date(record.startTime) : null;
+    const before = start && Number.isFinite(start.getTime()) ? start.toISOString() : undefined;
+    return this._last(record, market, { book, before });
+  }
+
+  /**
+   * Snapshot history for a game, oldest first.
+   * @param {string} gameId
+   * @param {{market?: string, book?: string}} [opts]
+   * @returns {Array<object>}
+   */
+  history(gameId, { market, book } = {}) {
+    return (this.game(gameId)?.snapshots || [])
+      .filter((s) => (!market || s.market === market) && (!book || s.book === book))
+      .sort((a, b) => a.at.localeCompare(b.at));
+  }
+
+  /**
+   * Snapshot series per book and market, oldest first.
+   * @param {string} gameId
+   * @returns {Object<string, {moneyline: Array<object>, spread: Array<object>, total: Array<object>}>}
+   */
+  byBook(gameId) {
+    const books = {};
+    for (const s of this.history(gameId)) {
+      const b = (books[s.book] = books[s.book] || { moneyline: [], spread: [], total: [] });
+      b[s.market].push({ at: s.at, lastAt: s.lastAt, pulls: s.pulls, line: s.line, prices: s.prices });
+    }
+    return books;
+  }
+
+  /**
+   * Store a pick at the price taken. The same pick (market, side, line, price, book)
+   * is stored once. CLV is computed against the latest price now and against the
+   * closing price once the game closes.
+   * @param {string} gameId
+   * @param {{market: string, side: string, line?: number|null, price: number, book?: string, at?: string}} pick
+   * @returns {object|null} Stored pick with `id` and `clv`
+   */
+  recordPick(gameId, pick) {
+    const record = this.game(gameId);
+    const price = num(pick?.price);
+    if (!record || !MARKETS.includes(pick?.market) || price == null) return null;
+    const at = pick.at || new Date().toISOString();
+    const entry = {
+      market: pick.market,
+      side: pick.side,
+      line: num(pick.line),
+      price,
+      book: pick.book || null,
+    };
+    let stored = record.picks.find(
+      (p) => p.market === entry.market && p.side === entry.side && p.line === entry.line && p.price === entry.price && p.book === entry.book
+    );
+    if (!stored) {
+      stored = { id: `${record.gameId}:${record.picks.length + 1}`, ...entry, at, clv: null };
+      record.picks.push(stored);
+    }
+    this._settle(record, at);
+    this._save(record);
+    return stored;
+  }
+
+  /**
+   * Stored pick by id, with its CLV as of now. Read-only: the stored CLV is brought up
+   * to date by the next pull or pick for the game.
+   * @param {string} gameId
+   * @param {string} pickId
+   * @param {{now?: string}} [opts] - ISO time
+   * @returns {object|null}
+   */
+  pick(gameId, pickId, { now = new Date().toISOString() } = {}) {
+    const record = this.game(gameId);
+    const stored = record?.picks?.find((p) => p.id === pickId) || null;
+    if (!stored || stored.clv?.final) return stored;
+    return { ...stored, clv: this._clv(record, stored, now) ?? stored.clv };
+  }
+
+  // CLV of a pick against the closing price once the game has closed, else the latest
+  _clv(record, p, now) {
+    const closed = this.isClosed(record.gameId, now);
+    const opts = { book: p.book || undefined };
+    const reference = closed
+      ? this.closing(record.gameId, p.market, { ...opts, now }) || this.closing(record.gameId, p.market, { now })
+      : this.latest(record.gameId, p.market, opts) || this.latest(record.gameId, p.market);
+    const clv = pickCLV(p, reference);
+    return clv ? { ...clv, reference: closed ? "closing" : "latest", final: closed } : null;
+  }
+
+  // Recompute CLV for open picks; final once measured against the closing price
+  _settle(record, now = new Date().toISOString()) {
+    for (const p of record.picks || []) {
+      if (p.clv?.final) continue;
+      const clv = this._clv(record, p, now);
+      if (clv) p.clv = clv;
+    }
+  }
+}
+
+// One store per sport per process
+const stores = new Map();
+
+/**
+ * Shared snapshot store for a sport.
+ * @param {string} sport
+ * @returns {OddsSnapshotStore}
+ */
+export function getOddsSnapshots(sport) {
+  const s = String(sport || "").toUpperCase();
+  if (!stores.has(s)) stores.set(s, new OddsSnapshotStore(s));
+  return stores.get(s);
+}
+
+/**
+ * Look a game up by id across the supported sports (or in one sport).
+ * @param {string} gameId
+ * @param {string} [sport] - Throws for a sport outside the registry
+ * @returns {{store: OddsSnapshotStore, record: object}|null}
+ */
+export function findSnapshotGame(gameId, sport) {
+  const sports = sport ? [String(sport).toUpperCase()] : registrySports();
+  for (const s of sports) {
+    const store = getOddsSnapshots(s);
+    const record = store.game(gameId);
+    if (record) return { store, record };
+  }
+  return null;
+}
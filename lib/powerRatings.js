@@ -0,0 +1,236 @@
+// lib/powerRatings.js
+// Team power ratings: Elo with a margin-of-victory multiplier, home advantage and
+// regression to the mean between seasons. Current ratings persist per sport as JSON
+// (data/ratings locally, /tmp/ratings on Vercel) and take in only completed games they
+// have not seen yet; ratings as of a past date are replayed in memory and never touch
+// the persisted file.
+
+import fs from "fs";
+import path from "path";
+
+const RATINGS_DIR = process.env.VERCEL
+  ? path.join("/tmp", "ratings")
+  : path.join(process.cwd(), "data", "ratings");
+
+const BASE_RATING = 1500;
+
+// k: update speed, home: home advantage in Elo points, pointsPerElo: Elo points per point
+// (or run) of expected margin, revert: share pulled back to the mean at a new season
+export const ELO_CONFIG = {
+  NBA: { k: 20, home: 100, pointsPerElo: 28, revert: 0.25 },
+  WNBA: { k: 20, home: 90, pointsPerElo: 28, revert: 0.25 },
+  NFL: { k: 20, home: 48, pointsPerElo: 25, revert: 1 / 3 },
+  MLB: { k: 4, home: 24, pointsPerElo: 100, revert: 1 / 3 },
+};
+
+function num(v) {
+  const n = Number(v);
+  return v !== null && v !== "" && Number.isFinite(n) ? n : NaN;
+}
+
+/**
+ * Completed game from a provider Game record, or null while it is unfinished.
+ * @param {import("./providers/dataProvider.js").Game} game
+ * @returns {{id: string, season: number, date: string, home: string, away: string,
+ *           homeScore: number, awayScore: number, neutral: boolean}|null}
+ */
+export function completedGame(game) {
+  if (!game || typeof game !== "object" || game.status !== "final") return null;
+
+  const homeScore = num(game.homeScore);
+  const awayScore = num(game.awayScore);
+  const home = String(game.home || "").toUpperCase();
+  const away = String(game.away || "").toUpperCase();
+  if (!home || !away || !Number.isFinite(homeScore) || !Number.isFinite(awayScore)) return null;
+
+  const date = String(game.date || "").slice(0, 10);
+  return {
+    id: String(game.id ?? `${date}|${away}@${home}`),
+    season: num(game.season),
+    date,
+    home,
+    away,
+    homeScore,
+    awayScore,
+    neutral: game.neutral === true,
+  };
+}
+
+/**
+ * Elo ratings for one sport, loaded from and saved to disk (in memory only with dir: null).
+ */
+export class EloRatings {
+  constructor(sport, { dir = RATINGS_DIR, config } = {}) {
+    this.sport = String(sport || "").toUpperCase();
+    this.config = { ...(ELO_CONFIG[this.sport] || ELO_CONFIG.NBA), ...(config || {}) };
+    this.filePath = dir ? path.join(dir, `${this.sport.toLowerCase()}.json`) : null;
+    this.teams = {};
+    this.processed = new Set();
+    this.season = null;
+    this.updatedAt = null;
+    this.load();
+  }
+
+  load() {
+    try {
+      if (!this.filePath || !fs.existsSync(this.filePath)) return;
+      const saved = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+      this.teams = saved?.teams || {};
+      this.processed = new Set(saved?.processed || []);
+      this.season = saved?.season ?? null;
+      this.updatedAt = saved?.updatedAt ?? null;
+    } catch (err) {
+      console.warn("[EloRatings] load failed", err?.message || err);
+    }
+  }
+
+  save() {
+    if (!this.filePath) return;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const data = {
+        sport: this.sport,
+        season: this.season,
+        updatedAt: this.updatedAt,
+        teams: this.teams,
+        processed: [...this.processed],
+      };
+      fs.writeFileSync(this.filePath, JSON.stringify(data), "utf8");
+    } catch (err) {
+      // Read-only filesystems keep the in-memory ratings for this instance
+      console.warn("[EloRatings] save failed", err?.message || err);
+    }
+  }
+
+  _team(code) {
+    const key = String(code || "").toUpperCase();
+    return (this.teams[key] = this.teams[key] || { rating: BASE_RATING, games: 0, lastGame: null });
+  }
+
+  // A new season pulls every rating part of the way back to the mean
+  _startSeason(season) {
+    if (!Number.isFinite(season) || this.season === season) return;
+    if (this.season != null && season > this.season) {
+      for (const t of Object.values(this.teams)) {
+        t.rating = BASE_RATING + (t.rating - BASE_RATING) * (1 - this.config.revert);
+      }
+    }
+    if (this.season == null || season > this.season) this.season = season;
+  }
+
+  /**
+   * Apply one completed game. Games already applied are skipped.
+   * @param {ReturnType<typeof completedGame>} game
+   * @returns {boolean} True when the ratings changed
+   */
+  update(game) {
+    if (!game || this.processed.has(game.id)) return false;
+    if (Number.isFinite(game.season) && this.season != null && game.season < this.season) return false;
+    this._startSeason(game.season);
+
+    const home = this._team(game.home);
+    const away = this._team(game.away);
+    const diff = home.rating - away.rating + (game.neutral ? 0 : this.config.home);
+    const expectedHome = 1 / (1 + 10 ** (-diff / 400));
+    const margin = game.homeScore - game.awayScore;
+    const actualHome = margin > 0 ? 1 : margin < 0 ? 0 : 0.5;
+
+    // Bigger wins move ratings more; damped when the favourite wins, so blowouts by
+    // strong teams are not over-rewarded
+    const winnerDiff = margin >= 0 ? diff : -diff;
+    const movMultiplier = (Math.log(Math.abs(margin) + 1) * 2.2) / (winnerDiff * 0.001 + 2.2);
+    const shift = this.config.k * Math.max(0.5, movMultiplier) * (actualHome - expectedHome);
+
+    home.rating += shift;
+    away.rating -= shift;
+    home.games += 1;
+    away.games += 1;
+    home.lastGame = away.lastGame = game.date || null;
+    this.processed.add(game.id);
+    // Last game day applied, so the ratings' as-of date is known
+    if (game.date && !(this.updatedAt >= game.date)) this.updatedAt = game.date;
+    return true;
+  }
+
+  /**
+   * Apply every completed game in a list of provider games, oldest first.
+   * @param {Array<object>} rows - Game records from the data provider
+   * @returns {number} Games applied
+   */
+  updateFromGames(rows) {
+    const games = (Array.isArray(rows) ? rows : [])
+      .map(completedGame)
+      .filter(Boolean)
+      .sort((a, b) => (a.season || 0) - (b.season || 0) || a.date.localeCompare(b.date));
+    let applied = 0;
+    for (const g of games) if (this.update(g)) applied++;
+    return applied;
+  }
+
+  /**
+   * Rating, expected margin and win probability for both sides of a matchup.
+   * @param {string} homeTeam - Home team code
+   * @param {string} awayTeam - Away team code
+   * @param {{neutral?: boolean}} [opts]
+   * @returns {{home: object, away: object, ratingDiff: number}}
+   */
+  predict(homeTeam, awayTeam, { neutral = false } = {}) {
+    const h = this.teams[String(homeTeam || "").toUpperCase()];
+    const a = this.teams[String(awayTeam || "").toUpperCase()];
+    const homeRating = h?.rating ?? BASE_RATING;
+    const awayRating = a?.rating ?? BASE_RATING;
+    const diff = homeRating - awayRating + (neutral ? 0 : this.config.home);
+    const winProb = 1 / (1 + 10 ** (-diff / 400));
+    const margin = diff / this.config.pointsPerElo;
+    const side = (team, rating, games, m, p) => ({
+      team: String(team || "").toUpperCase(),
+      rating: Math.round(rating * 10) / 10,
+      games,
+      expectedMargin: Math.round(m * 10) / 10,
+      winProb: Math.round(p * 1000) / 1000,
+    });
+    return {
+      home: side(homeTeam, homeRating, h?.games || 0, margin, winProb),
+      away: side(awayTeam, awayRating, a?.games || 0, -margin, 1 - winProb),
+      ratingDiff: Math.round(diff * 10) / 10,
+    };
+  }
+}
+
+/**
+ * Provider games played before a day.
+ * @param {Array<object>} rows - Game records from the data provider
+ * @param {string} dateStr - Cut-off day (YYYY-MM-DD); games on it are excluded
+ * @returns {Array<object>}
+ */
+export function gamesBefore(rows, dateStr) {
+  return (Array.isArray(rows) ? rows : []).filter((g) => String(g?.date || "").slice(0, 10) < dateStr);
+}
+
+/**
+ * Ratings as they stood on the morning of a date: every completed game before it replayed
+ * from scratch in memory, so later results never leak in and nothing is persisted.
+ * @param {string} sport
+ * @param {Array<object>} rows - Game records from the data provider
+ * @param {string} dateStr - Cut-off day (YYYY-MM-DD); games on it are excluded
+ * @returns {EloRatings} In-memory store; updatedAt is the last game day applied
+ */
+export function ratingsAsOf(sport, rows, dateStr) {
+  const store = new EloRatings(sport, { dir: null });
+  store.updateFromGames(gamesBefore(rows, dateStr));
+  return store;
+}
+
+// One store per sport per process
+const stores = new Map();
+
+/**
+ * Shared ratings store for a sport.
+ * @param {string} sport
+ * @returns {EloRatings}
+ */
+export function getRatings(sport) {
+  const s = String(sport || "").toUpperCase();
+  if (!stores.has(s)) stores.set(s, new EloRatings(s));
+  return stores.get(s);
+}
@@ -0,0 +1,215 @@
+// lib/propParser.js
+// Structured prop string parser: free text -> { market, side, line, period }
+// Handles sportsbook shorthand ("o23.5 pts", "U 6.5 Ks", "LeBron 25+ points",
+// "1H points 12.5", "anytime TD") with word-boundary matching instead of includes()
+
+import { parseComboProp } from "./comboProps.js";
+
+export class PropParseError extends Error {
+  /**
+   * @param {string} message - Human-readable reason
+   * @param {"EMPTY_PROP"|"UNKNOWN_MARKET"} code - Machine-readable reason
+   * @param {string} input - Original prop text
+   */
+  constructor(message, code, input) {
+    super(message);
+    this.name = "PropParseError";
+    this.code = code;
+    this.input = input;
+  }
+}
+
+// Market aliases per sport. Phrases are matched longest-first on word boundaries,
+// where digits count as part of a word so "3pt" never matches "pt".
+const MARKET_ALIASES = {
+  NBA: {
+    points: ["points", "point", "pts", "pt"],
+    rebounds: ["rebounds", "rebound", "rebs", "reb", "boards"],
+    assists: ["assists", "assist", "asts", "ast", "dimes"],
+    steals: ["steals", "steal", "stls", "stl"],
+    blocks: ["blocked shots", "blocks", "block", "blks", "blk"],
+    threes: [
+      "three pointers made", "three-pointers made", "3-pointers made", "3 pointers made",
+      "three pointers", "three-pointers", "3-pointers", "3 pointers", "threes made", "threes",
+      "3pt made", "3pts made", "3ptm", "3pm", "3pt", "3pts", "3s",
+    ],
+    turnovers: ["turnovers", "turnover", "tov"],
+    minutes: ["minutes", "mins", "min"],
+  },
+  MLB: {
+    strikeouts: ["pitcher strikeouts", "strikeouts", "strikeout", "ks", "k", "so"],
+    hits_allowed: ["hits allowed"],
+    hits: ["hits", "hit"],
+    earned_runs: ["earned runs allowed", "earned runs", "er"],
+    runs: ["runs scored", "runs", "run"],
+    rbi: ["runs batted in", "rbis", "rbi"],
+    home_runs: ["home runs", "home run", "homeruns", "homerun", "homers", "hrs", "hr"],
+    stolen_bases: ["stolen bases", "stolen base", "sb"],
+    walks: ["walks", "walk", "bb"],
+    outs: ["pitching outs", "outs recorded", "outs"],
+    innings_pitched: ["innings pitched", "innings", "ip"],
+  },
+  NFL: {
+    passing_yards: ["passing yards", "passing yds", "pass yards", "pass yds", "pass yd"],
+    rushing_yards: ["rushing yards", "rushing yds", "rush yards", "rush yds", "rush yd"],
+    receiving_yards: ["receiving yards", "receiving yds", "rec yards", "rec yds", "rec yd"],
+    passing_touchdowns: ["passing touchdowns", "passing tds", "pass tds", "pass td"],
+    touchdowns: ["anytime touchdown", "anytime td", "touchdowns", "touchdown", "tds", "td"],
+    receptions: ["receptions", "reception", "catches", "recs"],
+    completions: ["completions", "completion", "comp", "cmp"],
+    pass_attempts: ["passing attempts", "pass attempts", "attempts", "att"],
+    rush_attempts: ["rushing attempts", "rush attempts", "carries"],
+    interceptions: ["interceptions", "interception", "ints", "int"],
+    field_goals: ["field goals made", "field goals", "fgs", "fg"],
+  },
+};
+MARKET_ALIASES.WNBA = MARKET_ALIASES.NBA;
+
+// Game segments; a prop without one is graded on the full game
+const PERIOD_PATTERNS = [
+  ["1H", ["1h", "h1", "1st half", "first half"]],
+  ["2H", ["2h", "h2", "2nd half", "second half"]],
+  ["1Q", ["1q", "q1", "1st quarter", "first quarter"]],
+  ["2Q", ["2q", "q2", "2nd quarter", "second quarter"]],
+  ["3Q", ["3q", "q3", "3rd quarter", "third quarter"]],
+  ["4Q", ["4q", "q4", "4th quarter", "fourth quarter"]],
+  ["F5", ["f5", "first 5 innings", "first five innings", "1st 5 innings"]],
+];
+
+const NUM = "(\\d+(?:\\.\\d+)?|\\.\\d+)";
+
+function escapeRe(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function phraseRe(phrase) {
+  return new RegExp(`(^|[^a-z0-9])${escapeRe(phrase)}(?=[^a-z0-9]|$)`);
+}
+
+function normalize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[’']/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function extractPeriod(s) {
+  for (const [period, phrases] of PERIOD_PATTERNS) {
+    for (const phrase of phrases) {
+      const re = phraseRe(phrase);
+      if (re.test(s)) return { period, rest: s.replace(re, "$1 ") };
+    }
+  }
+  return { period: "game", rest: s };
+}
+
+// Alias phrases per sport, longest first, compiled once
+const PHRASE_CACHE = {};
+function sportPhrases(sport) {
+  if (!PHRASE_CACHE[sport]) {
+    const phrases = [];
+    for (const [market, list] of Object.entries(MARKET_ALIASES[sport] || {})) {
+      for (const phrase of list) phrases.push({ market, phrase, re: phraseRe(phrase) });
+    }
+    PHRASE_CACHE[sport] = phrases.sort((a, b) => b.phrase.length - a.phrase.length);
+  }
+  return PHRASE_CACHE[sport];
+}
+
+function extractMarket(sport, s) {
+  for (const { market, re } of sportPhrases(sport)) {
+    if (re.test(s)) return { market, rest: s.replace(re, "$1 ") };
+  }
+  return null;
+}
+
+/**
+ * Parse the side and line out of prop text, independent of sport or market.
+ * "o23.5" / "over 23.5" -> over, "U 6.5" -> under, "25+" -> over 24.5, "anytime" -> over 0.5,
+ * "O/U 25.5" -> no side.
+ * @param {string} text - Prop text (market words may still be present)
+ * @returns {{side: "over"|"under"|null, line: number, milestone: boolean}}
+ */
+export function parsePropLine(text) {
+  const s = normalize(text);
+
+  // "O/U 25.5" names the line without picking a side; its "/U" is not an under
+  const ou = /(^|[^a-z0-9])(?:o|over)\s*\/\s*(?:u|under)(?![a-z0-9])/;
+  if (ou.test(s)) {
+    const bare = s.replace(ou, "$1 ").match(new RegExp(`(?:^|[^a-z0-9])${NUM}(?![a-z0-9])`));
+    return { side: null, line: bare ? parseFloat(bare[1]) : NaN, milestone: false };
+  }
+
+  const sided = s.match(new RegExp(`(?:^|[^a-z0-9])(o|over|u|under)\\s*${NUM}(?![0-9.]*\\+)`));
+  if (sided) {
+    return {
+      side: sided[1].startsWith("o") ? "over" : "under",
+      line: parseFloat(sided[2]),
+      milestone: false,
+    };
+  }
+
+  const milestone = s.match(new RegExp(`(?:^|[^a-z0-9.])${NUM}\\s*\\+`));
+  if (milestone) {
+    return { side: "over", line: parseFloat(milestone[1]) - 0.5, milestone: true };
+  }
+
+  if (/(^|[^a-z])(anytime|to score)([^a-z]|$)/.test(s)) {
+    return { side: "over", line: 0.5, milestone: true };
+  }
+
+  const sideWord = s.match(/(^|[^a-z])(over|under)([^a-z]|$)/);
+  const bare = s.match(new RegExp(`(?:^|[^a-z0-9])${NUM}(?![a-z0-9])`));
+  return {
+    side: sideWord ? sideWord[2] : null,
+    line: bare ? parseFloat(bare[1]) : NaN,
+    milestone: false,
+  };
+}
+
+/**
+ * Parse free-text prop into a structured description.
+ * @param {string} sport - Sport code (NBA, WNBA, MLB, NFL)
+ * @param {string} text - Prop text (e.g. "o23.5 pts", "1H points 12.5", "anytime TD")
+ * @returns {{market: string, side: "over"|"under"|null, line: number, period: string,
+ *           milestone: boolean, combo: {key: string, components: string[]}|null, raw: string}}
+ * @throws {PropParseError} EMPTY_PROP for blank input, UNKNOWN_MARKET when no market matches
+ */
+export function parseProp(sport, text) {
+  const raw = String(text || "");
+  const s = normalize(raw);
+  if (!s) throw new PropParseError("Prop text is empty", "EMPTY_PROP", raw);
+
+  const sportUpper = String(sport || "").toUpperCase();
+  const { period, rest } = extractPeriod(s);
+
+  let market = null;
+  let remainder = rest;
+  const combo = parseComboProp(sportUpper, rest);
+  if (combo) {
+    market = combo.key.toLowerCase();
+  } else {
+    const found = extractMarket(sportUpper, rest);
+    if (found) {
+      market = found.market;
+      remainder = found.rest;
+    }
+  }
+
+  if (!market) {
+    throw new PropParseError(
+      `Unknown ${sportUpper || "prop"} market in "${raw}"`,
+      "UNKNOWN_MARKET",
+      raw
+    );
+  }
+
+  // "anytime TD" is consumed with the market alias, so check the full text for it
+  const anytime = market === "touchdowns" && /(^|[^a-z])anytime([^a-z]|$)/.test(s);
+  const { side, line, milestone } = anytime
+    ? { side: "over", line: 0.5, milestone: true }
+    : parsePropLine(combo ? rest.replace(/[a-z]+\s*\+\s*/g, " ") : remainder);
+
+  return { market, side, line, period, milestone, combo, raw };
+}
@@ -0,0 +1,297 @@
+// lib/propSimulator.js
+// Seeded Monte Carlo simulation of a player's stat line. Each run draws playing time,
+// then every stat component through a Gaussian copula (so points, rebounds and assists
+// move together the way they do in the game logs), and sums the components. The same
+// seed always produces the same draws, so any published number can be re-checked.
+
+import { StatisticalModels } from "./statisticalModels.js";
+
+const DEFAULT_SIMS = 10000;
+const MAX_SIMS = 200000;
+const CORRELATION_SHRINK_GAMES = 10; // games at which sample correlation gets half weight
+const MIN_MINUTES_SD = 1;
+const PERCENTILES = [5, 10, 25, 50, 75, 90, 95];
+
+/**
+ * Hash a string (or number) seed to an unsigned 32-bit integer (FNV-1a).
+ * @param {string|number} seed
+ * @returns {number}
+ */
+export function hashSeed(seed) {
+  if (Number.isInteger(seed) && seed >= 0 && seed <= 0xffffffff) return seed;
+  const text = String(seed ?? "");
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Deterministic uniform generator (mulberry32).
+ * @param {string|number} seed
+ * @returns {function(): number} Draws in [0, 1)
+ */
+export function createRng(seed) {
+  let a = hashSeed(seed);
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal draws by Box-Muller, consuming the generator in a fixed order
+function normalSampler(rng) {
+  let spare = null;
+  return () => {
+    if (spare !== null) {
+      const z = spare;
+      spare = null;
+      return z;
+    }
+    let u = 0;
+    while (u === 0) u = rng();
+    const v = rng();
+    const r = Math.sqrt(-2 * Math.log(u));
+    spare = r * Math.sin(2 * Math.PI * v);
+    return r * Math.cos(2 * Math.PI * v);
+  };
+}
+
+function mean(vals) {
+  return vals.length ? vals.reduce((a, b) => a + b, 0) / vals.length : NaN;
+}
+
+function stdev(vals) {
+  const m = mean(vals);
+  if (vals.length < 2) return NaN;
+  return Math.sqrt(vals.reduce((s, v) => s + (v - m) ** 2, 0) / (vals.length - 1));
+}
+
+function pearson(a, b) {
+  const ma = mean(a);
+  const mb = mean(b);
+  let sab = 0;
+  let saa = 0;
+  let sbb = 0;
+  for (let i = 0; i < a.length; i++) {
+    sab += (a[i] - ma) * (b[i] - mb);
+    saa += (a[i] - ma) ** 2;
+    sbb += (b[i] - mb) ** 2;
+  }
+  return saa > 0 && sbb > 0 ? sab / Math.sqrt(saa * sbb) : 0;
+}
+
+// Lower-triangular L with L·Lᵀ = matrix, or null when not positive definite
+function cholesky(matrix) {
+  const n = matrix.length;
+  const L = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+      if (i === j) {
+        if (!(sum > 1e-10)) return null;
+        L[i][i] = Math.sqrt(sum);
+      } else {
+        L[i][j] = sum / L[j][j];
+      }
+    }
+  }
+  return L;
+}
+
+/**
+ * Correlation between stat components across the same games, shrunk toward zero
+ * for short samples and pulled further toward independence until it factorises.
+ * @param {number[][]} samples - One array per component, aligned by game
+ * @returns {{matrix: number[][], factor: number[][]}}
+ */
+function componentCorrelation(samples) {
+  const n = samples[0]?.length || 0;
+  const weight = n / (n + CORRELATION_SHRINK_GAMES);
+  const raw = samples.map((a, i) => samples.map((b, j) => (i === j ? 1 : n >= 3 ? pearson(a, b) * weight : 0)));
+
+  for (let scale = 1; scale >= 0; scale -= 0.25) {
+    const matrix = raw.map((row, i) => row.map((r, j) => (i === j ? 1 : r * scale)));
+    const factor = cholesky(matrix);
+    if (factor) return { matrix, factor };
+  }
+  const identity = raw.map((row, i) => row.map((_, j) => (i === j ? 1 : 0)));
+  return { matrix: identity, factor: identity };
+}
+
+/**
+ * Run the simulation.
+ * Component samples are rescaled to the projected minutes before fitting, so the
+ * fitted spread is per-game production at full playing time and minutes variance is
+ * added back once, by the minutes draw.
+ * @param {object} spec
+ * @param {string|number} spec.seed - Seed; identical seeds give identical draws
+ * @param {number} [spec.sims=10000] - Number of simulated games
+ * @param {Array<{name: string, family: "count"|"normal"|"gamma", sample: number[], mean: number}>} spec.components
+ *   Stat components with aligned per-game samples and projected means
+ * @param {{projected: number, sample: number[], max?: number}|null} [spec.minutes] - Playing time, aligned with samples
+ * @param {boolean} [spec.round=true] - Report whole-number stat lines
+ * @returns {{seed: string|number, sims: number, totals: Float64Array, components: Object<string, Float64Array>,
+ *           minutes: Float64Array|null, minutesModel: {mean: number, sd: number}|null,
+ *           correlation: {names: string[], matrix: number[][]}, distributions: Object<string, object>}|null}
+ */
+export function simulateProp(spec) {
+  const components = (spec?.components || []).filter((c) => Number.isFinite(c?.mean));
+  if (components.length === 0) return null;
+  const sims = Math.max(1, Math.min(MAX_SIMS, Math.round(Number(spec.sims) || DEFAULT_SIMS)));
+  const round = spec.round !== false;
+
+  // Minutes model: truncated normal around the projection with the recent game-to-game spread
+  let minutesModel = null;
+  const mins = spec.minutes;
+  const minuteSample = Array.isArray(mins?.sample) ? mins.sample : [];
+  if (mins && mins.projected > 0 && minuteSample.length >= 3 && minuteSample.every((m) => m > 0)) {
+    minutesModel = {
+      mean: mins.projected,
+      sd: Math.max(MIN_MINUTES_SD, stdev(minuteSample) || 0),
+      max: Number.isFinite(mins.max) ? mins.max : Infinity,
+    };
+  }
+
+  const samples = components.map((c) => {
+    const raw = Array.isArray(c.sample) ? c.sample : [];
+    return minutesModel ? raw.map((v, i) => (v * minutesModel.mean) / minuteSample[i]) : raw;
+  });
+
+  const distributions = {};
+  const quantiles = components.map((c, i) => {
+    const dist = StatisticalModels.fitDistribution(c.family, samples[i], c.mean);
+    distributions[c.name] = dist;
+    return StatisticalModels.quantileFunction(dist);
+  });
+  if (quantiles.some((q) => !q)) return null;
+
+  const aligned = samples.every((s) => s.length === samples[0].length);
+  const { matrix, factor } = componentCorrelation(aligned ? samples : samples.map(() => []));
+
+  const rng = createRng(spec.seed);
+  const gauss = normalSampler(rng);
+  const k = components.length;
+  const totals = new Float64Array(sims);
+  const perComponent = components.map(() => new Float64Array(sims));
+  const minutes = minutesModel ? new Float64Array(sims) : null;
+  const z = new Array(k);
+
+  for (let s = 0; s < sims; s++) {
+    let scale = 1;
+    if (minutesModel) {
+      const m = Math.max(0, Math.min(minutesModel.max, minutesModel.mean + minutesModel.sd * gauss()));
+      minutes[s] = m;
+      scale = m / minutesModel.mean;
+    }
+
+    for (let i = 0; i < k; i++) z[i] = gauss();
+    let total = 0;
+    for (let i = 0; i < k; i++) {
+      let x = 0;
+      for (let j = 0; j <= i; j++) x += factor[i][j] * z[j];
+      const u = Math.min(1 - 1e-12, Math.max(1e-12, StatisticalModels.normalCDF(x)));
+      let v = Math.max(0, quantiles[i](u) * scale);
+      // Counts scaled by minutes are rounded stochastically so the mean is preserved
+      if (round) v = components[i].family === "count" ? Math.floor(v + rng()) : Math.round(v);
+      perComponent[i][s] = v;
+      total += v;
+    }
+    totals[s] = total;
+  }
+
+  return {
+    seed: spec.seed,
+    sims,
+    totals,
+    components: Object.fromEntries(components.map((c, i) => [c.name, perComponent[i]])),
+    minutes,
+    minutesModel: minutesModel ? { mean: minutesModel.mean, sd: minutesModel.sd } : null,
+    correlation: { names: components.map((c) => c.name), matrix },
+    distributions,
+  };
+}
+
+/**
+ * Over/under/push frequencies of simulated outcomes against a line.
+ * @param {Float64Array|number[]} draws
+ * @param {number} line
+ * @returns {{over: number, under: number, push: number}}
+ */
+export function lineProbabilitiesFromDraws(draws, line) {
+  let over = 0;
+  let under = 0;
+  for (const v of draws) {
+    if (v > line) over++;
+    else if (v < line) under++;
+  }
+  const n = draws.length || 1;
+  return { over: over / n, under: under / n, push: (draws.length - over - under) / n };
+}
+
+// Round-number milestones around the projection: steps of 5 for bigger stats, 1 otherwise
+function defaultMilestones(center) {
+  if (!(center > 0)) return [1];
+  const step = center >= 10 ? 5 : 1;
+  const lo = Math.max(step, Math.floor((center * 0.6) / step) * step);
+  const hi = Math.max(lo, Math.ceil((center * 1.4) / step) * step);
+  const out = [];
+  for (let t = lo; t <= hi && out.length < 6; t += step) out.push(t);
+  return out;
+}
+
+/**
+ * Summarise simulated outcomes: percentile bands, the posted line, alternate lines
+ * and milestone ("N+") hit rates.
+ * @param {Float64Array|number[]} draws - Simulated totals
+ * @param {{line?: number, altLines?: number[], milestones?: number[]}} [opts]
+ * @returns {{mean: number, sd: number, percentiles: Object<string, number>,
+ *           line: {over: number, under: number, push: number}|null,
+ *           altLines: Array<{line: number, over: number, under: number, push: number}>,
+ *           milestones: Array<{threshold: number, pHit: number}>}}
+ */
+export function summarizeDraws(draws, { line, altLines, milestones } = {}) {
+  const sorted = Float64Array.from(draws).sort();
+  const n = sorted.length;
+  const m = n ? sorted.reduce((a, b) => a + b, 0) / n : NaN;
+  const sd = n > 1 ? Math.sqrt(sorted.reduce((s, v) => s + (v - m) ** 2, 0) / (n - 1)) : NaN;
+
+  const percentiles = {};
+  for (const p of PERCENTILES) {
+    percentiles[`p${p}`] = n ? sorted[Math.min(n - 1, Math.floor((p / 100) * n))] : NaN;
+  }
+
+  const lines = Array.isArray(altLines)
+    ? altLines.map(Number).filter(Number.isFinite)
+    : Number.isFinite(line)
+      ? [-2, -1, 1, 2].map((d) => line + d).filter((l) => l >= 0)
+      : [];
+  const thresholds = Array.isArray(milestones)
+    ? milestones.map(Number).filter(Number.isFinite)
+    : defaultMilestones(percentiles.p50);
+
+  return {
+    mean: m,
+    sd,
+    percentiles,
+    line: Number.isFinite(line) ? lineProbabilitiesFromDraws(sorted, line) : null,
+    altLines: [...new Set(lines)].sort((a, b) => a - b).map((l) => ({ line: l, ...lineProbabilitiesFromDraws(sorted, l) })),
+    milestones: [...new Set(thresholds)].sort((a, b) => a - b).map((t) => {
+      // Sorted ascending: count of draws at or above t
+      let lo = 0;
+      let hi = n;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (sorted[mid] >= t) hi = mid;
+        else lo = mid + 1;
+      }
+      return { threshold: t, pHit: n ? (n - lo) / n : 0 };
+    }),
+  };
+}
@@ -0,0 +1,277 @@
+// lib/providers/dataProvider.js
+// Data provider interface: every stats or odds source returns the canonical records
+// below, so the engines never see a provider's field names. Adapters override what
+// their source offers; anything a source does not offer returns null, which is
+// different from an empty result ([] = asked and found nothing).
+
+/**
+ * @typedef {Object} Player
+ * @property {number|null} id - Provider player id
+ * @property {string} name - Full name
+ * @property {string} team - Team code (registry codes, e.g. "BOS")
+ * @property {string} position - Roster position (e.g. "PG", "WR", "SP")
+ * @property {string} sport
+ */
+
+/**
+ * @typedef {Object} Game
+ * @property {string} id - Provider game id, else "date|AWAY@HOME"
+ * @property {string} sport
+ * @property {number|null} season
+ * @property {number|null} week - NFL only
+ * @property {string} date - Game day (YYYY-MM-DD)
+ * @property {string|null} startTime - ISO start time when known
+ * @property {"scheduled"|"inprogress"|"final"|"postponed"|"canceled"|null} status
+ * @property {string} home - Home team code
+ * @property {string} away - Away team code
+ * @property {number|null} homeScore
+ * @property {number|null} awayScore
+ * @property {boolean} neutral - Neutral-site game
+ */
+
+/**
+ * One player's line for one game, or season totals when `games` counts several.
+ * Stat keys are the prop parser's market names (points, passing_yards, strikeouts, ...)
+ * plus playing-time keys: minutes, offensive_snaps, batters_faced, plate_appearances,
+ * at_bats, innings_pitched, outs, games_pitched and the combo components total_bases.
+ * A stat the source did not report is absent, never zero.
+ * @typedef {Object} BoxScoreLine
+ * @property {number|null} playerId
+ * @property {string} name
+ * @property {string} team
+ * @property {string} opponent
+ * @property {string} position
+ * @property {"HOME"|"AWAY"|""} homeOrAway
+ * @property {string|null} gameId
+ * @property {string|null} date - Game day (YYYY-MM-DD); null on season rows
+ * @property {number|null} season
+ * @property {number|null} week - NFL only
+ * @property {number|null} games - Games played (1 on game rows)
+ * @property {number|null} started - Games started
+ * @property {boolean|null} played - Whether the player took part, when the source says
+ * @property {Object<string, number>} stats
+ */
+
+/**
+ * One book's prices for one market. Spread lines and prices are the home team's.
+ * @typedef {Object} OddsQuote
+ * @property {string} book
+ * @property {"moneyline"|"spread"|"total"} market
+ * @property {number|null} line
+ * @property {{home?: number|null, away?: number|null, draw?: number|null, over?: number|null, under?: number|null}} prices
+ */
+
+/**
+ * @typedef {Object} OddsGame
+ * @property {string|null} gameId - Provider game id (see gameIdOf for the fallback)
+ * @property {string} sport
+ * @property {string|null} startTime - ISO start time
+ * @property {string|null} status - As on Game
+ * @property {string} home - Home team code
+ * @property {string} away - Away team code
+ * @property {string} source - Feed the prices came from (e.g. "SDIO", "OddsAPI")
+ * @property {Array<OddsQuote>} quotes - Books in feed order
+ */
+
+/**
+ * One book's two-way prices for one player prop line.
+ * @typedef {Object} PropQuote
+ * @property {string|null} gameId - Provider game id
+ * @property {string|null} startTime - ISO start time
+ * @property {string} home - Home team code
+ * @property {string} away - Away team code
+ * @property {string} book
+ * @property {string} player - Player name, plain ASCII
+ * @property {string} market - Prop parser market name (points, passing_yards, ...)
+ * @property {number|null} line
+ * @property {{over: number|null, under: number|null}} prices - Yes/No props price yes as over
+ */
+
+/**
+ * Base adapter. Methods resolve to null for data the source does not offer.
+ */
+export class DataProvider {
+  get name() {
+    return "none";
+  }
+
+  /**
+   * Whether the source can be queried right now (credentials present, file readable).
+   * @param {"stats"|"odds"|"injuries"} [kind]
+   * @returns {boolean}
+   */
+  isAvailable(kind) {
+    return false;
+  }
+
+  /**
+   * Current time as the source sees it: the clock, or the as-of moment of a replay.
+   * @returns {Date}
+   */
+  now() {
+    return new Date();
+  }
+
+  /**
+   * Whether answers are replayed from recordings; nothing learned from them is persisted.
+   * @returns {boolean}
+   */
+  isReplay() {
+    return false;
+  }
+
+  /**
+   * Season a game date belongs to, as this source numbers seasons. Defaults to the
+   * calendar year; NFL games in January and February count toward the season before.
+   * @param {string} sport
+   * @param {string} dateStr - Game day (YYYY-MM-DD)
+   * @returns {number}
+   */
+  seasonForDate(sport, dateStr) {
+    const m = String(dateStr || "").match(/^(\d{4})-(\d{2})/);
+    const now = new Date();
+    const year = m ? Number(m[1]) : now.getFullYear();
+    const month = m ? Number(m[2]) : now.getMonth() + 1;
+    return String(sport || "").toUpperCase() === "NFL" && month < 3 ? year - 1 : year;
+  }
+
+  /** @returns {Promise<Array<Player>|null>} */
+  async getPlayers(sport) {
+    return null;
+  }
+
+  /** @returns {Promise<Array<Game>|null>} Season schedule with final scores */
+  async getGames(sport, season) {
+    return null;
+  }
+
+  /**
+   * Every player's line for one date, or for one NFL week.
+   * @param {string} sport
+   * @param {{date?: string, season?: number, week?: number}} when
+   * @returns {Promise<Array<BoxScoreLine>|null>}
+   */
+  async getBoxScores(sport, when) {
+    return null;
+  }
+
+  /** @returns {Promise<Array<BoxScoreLine>|null>} Season totals, one line per player */
+  async getSeasonStats(sport, season) {
+    return null;
+  }
+
+  /**
+   * Games one player took part in, newest first.
+   * @param {string} sport
+   * @param {string} player - Player name
+   * @param {{season?: number|null, count?: number, batting?: boolean}} [opts] - A null season
+   *   lets the source pick its current one; batting picks MLB hitters' over pitchers' games
+   * @returns {Promise<Array<BoxScoreLine>|null>}
+   */
+  async getPlayerGameLogs(sport, player, opts) {
+    return null;
+  }
+
+  /**
+   * Game odds for a date (NFL: a week number).
+   * @returns {Promise<Array<OddsGame>|null>}
+   */
+  async getOdds(sport, dateOrWeek) {
+    return null;
+  }
+
+  /**
+   * Player prop prices for a date, optionally for one player.
+   * @param {string} sport
+   * @param {{date?: string, player?: string}} [opts]
+   * @returns {Promise<Array<PropQuote>|null>}
+   */
+  async getPropOdds(sport, opts) {
+    return null;
+  }
+
+  /** @returns {Promise<number|null>} */
+  async getCurrentSeason(sport) {
+    return null;
+  }
+
+  /** @returns {Promise<number|null>} */
+  async getCurrentWeek(sport) {
+    return null;
+  }
+
+  /**
+   * Injury report rows with provider status text; lib/injuryReports.js normalises them.
+   * @returns {Promise<Array<{player: string, playerId: number|null, team: string, position: string,
+   *           status: string, bodyPart: string|null, startDate: string|null, note: string|null}>|null>}
+   */
+  async getInjuries(sport) {
+    return null;
+  }
+
+  /** @returns {Promise<number|null>} League per-game average for a prop */
+  async getLeagueAverage(sport, prop) {
+    return null;
+  }
+}
+
+const METHODS = [
+  "getPlayers",
+  "getGames",
+  "getBoxScores",
+  "getSeasonStats",
+  "getPlayerGameLogs",
+  "getOdds",
+  "getPropOdds",
+  "getCurrentSeason",
+  "getCurrentWeek",
+  "getInjuries",
+  "getLeagueAverage",
+];
+
+const found = (r) => r !== null && r !== undefined && !(Array.isArray(r) && r.length === 0);
+
+/**
+ * Several providers asked in order: each call returns the first result with data,
+ * else an empty result if any provider offered one, else null.
+ * e.g. SportsDataIO for everything, The Odds API for slates SportsDataIO has no odds for.
+ */
+export class ProviderChain extends DataProvider {
+  constructor(providers = []) {
+    super();
+    this.providers = providers.filter(Boolean);
+  }
+
+  get name() {
+    return this.providers.map((p) => p.name).join("+");
+  }
+
+  isAvailable(kind) {
+    return this.providers.some((p) => p.isAvailable(kind));
+  }
+
+  // The clock and season numbering are the first provider's, the stats source
+  now() {
+    return (this.providers[0] || new DataProvider()).now();
+  }
+
+  isReplay() {
+    return this.providers.some((p) => p.isReplay());
+  }
+
+  seasonForDate(sport, dateStr) {
+    return (this.providers[0] || new DataProvider()).seasonForDate(sport, dateStr);
+  }
+}
+
+for (const method of METHODS) {
+  ProviderChain.prototype[method] = async function (...args) {
+    let empty = null;
+    for (const p of this.providers) {
+      const r = await p[method](...args);
+      if (found(r)) return r;
+      if (r !== null && r !== undefined) empty = r;
+    }
+    return empty;
+  };
+}
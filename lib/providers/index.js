@@ -0,0 +1,60 @@
+// lib/providers/index.js
+// Provider registry. DATA_PROVIDER picks the stats/odds source (default "sportsdataio",
+// with The Odds API behind it for odds); new sources register a factory here and the
+// engines pick them up without changes.
+
+import { SportsDataIOClient } from "./../apiClient.js";
+import { oddsApiClient } from "./../oddsApiClient.js";
+import { DataProvider, ProviderChain } from "./dataProvider.js";
+import { SportsDataIOProvider } from "./sportsDataIO.js";
+import { OddsAPIProvider } from "./oddsApi.js";
+
+export { DataProvider, ProviderChain, SportsDataIOProvider, OddsAPIProvider };
+
+const FACTORIES = {
+  sportsdataio: (opts) => {
+    const client = opts.client || new SportsDataIOClient({ apiKey: opts.apiKey });
+    // A replay stays offline: The Odds API is not recorded, so it is left out
+    if (client.mode === "replay") return new SportsDataIOProvider(client);
+    return new ProviderChain([new SportsDataIOProvider(client), new OddsAPIProvider(client.oddsApi || oddsApiClient)]);
+  },
+  oddsapi: (opts) => new OddsAPIProvider(opts.client || oddsApiClient),
+};
+
+/**
+ * Make a named provider available to createProvider / DATA_PROVIDER.
+ * @param {string} name - e.g. "localcsv"
+ * @param {function(object): DataProvider} factory - Receives createProvider's options
+ */
+export function registerProvider(name, factory) {
+  FACTORIES[String(name || "").toLowerCase()] = factory;
+}
+
+/**
+ * Build the configured provider.
+ * @param {{name?: string, apiKey?: string, client?: object}} [opts] - name defaults to
+ *   DATA_PROVIDER; apiKey/client are passed to the factory
+ * @returns {DataProvider}
+ * @throws {Error} When the name is not registered
+ */
+export function createProvider(opts = {}) {
+  const name = String(opts.name || process.env.DATA_PROVIDER || "sportsdataio").toLowerCase();
+  const factory = FACTORIES[name];
+  if (!factory) throw new Error(`Unknown data provider "${name}" (known: ${Object.keys(FACTORIES).join(", ")})`);
+  return factory(opts);
+}
+
+/**
+ * Provider for what an engine was constructed with: a provider is used as is, a raw
+ * SportsDataIO-style client is wrapped (with its Odds API fallback when it has one).
+ * @param {DataProvider|object|null} source
+ * @returns {DataProvider}
+ */
+export function toProvider(source) {
+  if (source instanceof DataProvider) return source;
+  if (!source) return new DataProvider();
+  const sdio = new SportsDataIOProvider(source);
+  return typeof source.getOddsFromOddsAPI === "function" && source.mode !== "replay"
+    ? new ProviderChain([sdio, new OddsAPIProvider(source)])
+    : sdio;
+}
@@ -0,0 +1,114 @@
+// lib/providers/oddsApi.js
+// The Odds API adapter: game and player-prop odds. Each bookmaker's h2h, spreads and
+// totals become canonical quotes, its prop markets prop quotes; team names arrive as
+// codes and player names as plain ASCII from OddsAPIClient.
+
+import { DataProvider } from "./dataProvider.js";
+import { GAME_MARKETS } from "./../oddsApiClient.js";
+
+// One bookmaker's game markets as quotes, in moneyline / spread / total order
+function toQuotes(bookmaker, home, away) {
+  const book = String(bookmaker?.title || bookmaker?.key || "oddsapi");
+  const outcomes = (key) => (bookmaker?.markets || []).find((m) => m.key === key)?.outcomes || [];
+  const out = [];
+
+  const ml = { home: null, away: null };
+  for (const o of outcomes("h2h")) {
+    if (o.name === home) ml.home = o.price;
+    if (o.name === away) ml.away = o.price;
+    if (o.name === "Draw") ml.draw = o.price;
+  }
+  if (ml.home != null && ml.away != null) out.push({ book, market: "moneyline", line: null, prices: ml });
+
+  let spread = null;
+  const spreadPrices = { home: null, away: null };
+  for (const o of outcomes("spreads")) {
+    if (o.name === home) {
+      spread = o.point ?? null;
+      spreadPrices.home = o.price;
+    }
+    if (o.name === away) spreadPrices.away = o.price;
+  }
+  if (spread != null) out.push({ book, market: "spread", line: spread, prices: spreadPrices });
+
+  let total = null;
+  const totalPrices = { over: null, under: null };
+  for (const o of outcomes("totals")) {
+    if (o.name === "Over") {
+      total = o.point ?? total;
+      totalPrices.over = o.price;
+    }
+    if (o.name === "Under") totalPrices.under = o.price;
+  }
+  if (total != null) out.push({ book, market: "total", line: total, prices: totalPrices });
+  return out;
+}
+
+/**
+ * The Odds API through any client with getOddsFromOddsAPI (OddsAPIClient, or the
+ * SportsDataIOClient that delegates to one).
+ */
+export class OddsAPIProvider extends DataProvider {
+  constructor(client) {
+    super();
+    this.client = client || null;
+  }
+
+  get name() {
+    return "oddsapi";
+  }
+
+  isAvailable(kind) {
+    const key = (this.client?.oddsApi || this.client)?.apiKey;
+    return (!kind || kind === "odds") && !!key;
+  }
+
+  async getOdds(sport, dateOrWeek) {
+    const s = String(sport || "").toUpperCase();
+    if (typeof this.client?.getOddsFromOddsAPI !== "function") return null;
+    try {
+      const games = await this.client.getOddsFromOddsAPI({ sport: s, date: dateOrWeek, markets: GAME_MARKETS });
+      if (!Array.isArray(games)) return null;
+      return games.map((g) => {
+        const home = g?.home_team || "";
+        const away = g?.away_team || "";
+        return {
+          gameId: g?.id ?? null,
+          sport: s,
+          startTime: g?.commence_time ?? null,
+          status: null,
+          home,
+          away,
+          source: "OddsAPI",
+          quotes: (g?.bookmakers || []).flatMap((b) => toQuotes(b, home, away)),
+        };
+      });
+    } catch (err) {
+      console.warn("[OddsAPIProvider] getOdds failed", err?.message || err);
+      return null;
+    }
+  }
+
+  async getPropOdds(sport, { date, player } = {}) {
+    const s = String(sport || "").toUpperCase();
+    if (!this.isAvailable("odds") || typeof this.client?.getPlayerPropsFromOddsAPI !== "function") return null;
+    try {
+      const rows = await this.client.getPlayerPropsFromOddsAPI({ sport: s, date, player });
+      if (!Array.isArray(rows)) return null;
+      return rows.map((r) => ({
+        gameId: r.gameId ?? null,
+        startTime: r.commenceTime ?? null,
+        home: r.home || "",
+        away: r.away || "",
+        book: r.book,
+        player: r.player,
+        market: r.market,
+        line: r.line,
+        prices: { over: r.over, under: r.under },
+      }));
+    } catch (err) {
+      console.warn("[OddsAPIProvider] getPropOdds failed", err?.message || err);
+      return null;
+    }
+  }
+}
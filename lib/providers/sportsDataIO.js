@@ -0,0 +1,392 @@
+// lib/providers/sportsDataIO.js
+// SportsDataIO adapter: maps the SportsDataIOClient's rows (PlayerGame, PlayerSeason,
+// Games/Scores, GameOdds, InjuredPlayers, Players) onto the canonical records in
+// dataProvider.js. Every SportsDataIO field name the engines used to read lives here.
+
+import { DataProvider } from "./dataProvider.js";
+
+function num(v) {
+  const n = Number(v);
+  return v !== null && v !== undefined && v !== "" && Number.isFinite(n) ? n : null;
+}
+
+// First field present on the row, as a number
+const first = (row, ...keys) => {
+  for (const k of keys) {
+    const v = num(row?.[k]);
+    if (v != null) return v;
+  }
+  return null;
+};
+
+// Strikeouts from the row, else K/9 x innings on a start (or an outing of an inning or more)
+function mlbStrikeouts(row) {
+  const k = first(row, "PitchingStrikeouts", "PitcherStrikeouts", "StrikeoutsPitched");
+  if (k != null) return k;
+
+  const k9 = first(row, "PitchingStrikeoutsPerNine", "StrikeoutsPerNine", "KsPerNine");
+  const ip = first(row, "PitchingInningsPitchedDecimal", "InningsPitchedDecimal", "InningsPitched");
+  const gs = first(row, "GamesStarted", "GS") ?? 0;
+  if (k9 != null && ip != null && ip > 0 && (gs > 0 || ip >= 1.0)) return (k9 * ip) / 9;
+  return null;
+}
+
+function totalBases(row) {
+  const tb = first(row, "TotalBases");
+  if (tb != null) return tb;
+  const singles = num(row?.Singles);
+  const doubles = num(row?.Doubles);
+  const triples = num(row?.Triples);
+  const hr = first(row, "HomeRuns", "HR");
+  if ([singles, doubles, triples, hr].some((v) => v == null)) return null;
+  return singles + 2 * doubles + 3 * triples + 4 * hr;
+}
+
+const NBA_STATS = {
+  points: (r) => first(r, "Points", "PTS"),
+  rebounds: (r) => first(r, "Rebounds", "REB"),
+  assists: (r) => first(r, "Assists", "AST"),
+  steals: (r) => first(r, "Steals", "STL"),
+  blocks: (r) => first(r, "BlockedShots", "BLK"),
+  threes: (r) => first(r, "ThreePointersMade", "TP3M"),
+  turnovers: (r) => first(r, "Turnovers", "TOV"),
+  minutes: (r) => first(r, "Minutes", "MIN"),
+};
+
+// Canonical stat key -> reader over a SportsDataIO stat row
+const STAT_FIELDS = {
+  NBA: NBA_STATS,
+  WNBA: NBA_STATS,
+  MLB: {
+    strikeouts: mlbStrikeouts,
+    hits: (r) => first(r, "Hits", "BattingHits"),
+    runs: (r) => first(r, "Runs", "RunsScored"),
+    rbi: (r) => first(r, "RunsBattedIn", "RBI"),
+    home_runs: (r) => first(r, "HomeRuns", "HR"),
+    stolen_bases: (r) => first(r, "StolenBases", "SB"),
+    walks: (r) => first(r, "Walks", "BB"),
+    earned_runs: (r) => first(r, "PitchingEarnedRuns", "EarnedRuns"),
+    hits_allowed: (r) => first(r, "PitchingHits", "HitsAllowed"),
+    outs: (r) => {
+      const outs = first(r, "PitchingOuts", "OutsPitched");
+      if (outs != null) return outs;
+      const ip = first(r, "PitchingInningsPitchedDecimal", "InningsPitchedDecimal");
+      return ip != null ? Math.round(ip * 3) : null;
+    },
+    innings_pitched: (r) => first(r, "PitchingInningsPitchedDecimal", "InningsPitchedDecimal"),
+    batters_faced: (r) => first(r, "PitchingBattersFaced", "BattersFaced"),
+    games_pitched: (r) => first(r, "GamesPitched"),
+    plate_appearances: (r) => first(r, "PlateAppearances"),
+    at_bats: (r) => first(r, "AtBats"),
+    total_bases: totalBases,
+  },
+  NFL: {
+    passing_yards: (r) => first(r, "PassingYards"),
+    rushing_yards: (r) => first(r, "RushingYards"),
+    receiving_yards: (r) => first(r, "ReceivingYards"),
+    receptions: (r) => first(r, "Receptions"),
+    // Anytime TD scorer: passing TDs are thrown, not scored
+    touchdowns: (r) => {
+      const rush = num(r?.RushingTouchdowns);
+      const rec = num(r?.ReceivingTouchdowns);
+      return rush == null && rec == null ? null : (rush ?? 0) + (rec ?? 0);
+    },
+    passing_touchdowns: (r) => first(r, "PassingTouchdowns"),
+    completions: (r) => first(r, "PassingCompletions"),
+    pass_attempts: (r) => first(r, "PassingAttempts"),
+    rush_attempts: (r) => first(r, "RushingAttempts"),
+    interceptions: (r) => first(r, "PassingInterceptions"),
+    field_goals: (r) => first(r, "FieldGoalsMade"),
+    offensive_snaps: (r) => first(r, "OffensiveSnapsPlayed", "OffensiveSnaps"),
+  },
+};
+
+const dayOf = (row) => {
+  const d = String(row?.Day ?? row?.DateTime ?? row?.GameDate ?? row?.Date ?? "").slice(0, 10);
+  return d || null;
+};
+
+const playerName = (row) =>
+  String(row?.Name || row?.PlayerName || row?.FullName || [row?.FirstName, row?.LastName].filter(Boolean).join(" "));
+
+/**
+ * Canonical box-score line from a PlayerGame or PlayerSeason row.
+ * @param {string} sport
+ * @param {object} row
+ * @returns {import("./dataProvider.js").BoxScoreLine}
+ */
+function toBoxScoreLine(sport, row) {
+  const stats = {};
+  for (const [key, read] of Object.entries(STAT_FIELDS[sport] || {})) {
+    const v = read(row);
+    if (v != null && Number.isFinite(v)) stats[key] = v;
+  }
+  const venue = String(row?.HomeOrAway || "").toUpperCase();
+  return {
+    playerId: num(row?.PlayerID),
+    name: playerName(row),
+    team: String(row?.Team || "").toUpperCase(),
+    opponent: String(row?.Opponent || "").toUpperCase(),
+    position: String(row?.Position || row?.PositionCategory || ""),
+    homeOrAway: venue === "HOME" || venue === "AWAY" ? venue : "",
+    gameId: row?.GameID != null ? String(row.GameID) : row?.GameKey != null ? String(row.GameKey) : null,
+    date: dayOf(row),
+    season: num(row?.Season),
+    week: num(row?.Week),
+    games: first(row, "Games", "GamesPlayed"),
+    started: first(row, "GamesStarted", "GS", "Started"),
+    played: row?.Played === undefined || row?.Played === null ? null : Number(row.Played) > 0,
+    stats,
+  };
+}
+
+const STATUSES = {
+  scheduled: "scheduled",
+  inprogress: "inprogress",
+  final: "final",
+  "f/ot": "final",
+  "f/so": "final",
+  closed: "final",
+  postponed: "postponed",
+  canceled: "canceled",
+  cancelled: "canceled",
+};
+
+function gameStatus(row) {
+  if (row?.IsClosed === true) return "final";
+  return STATUSES[String(row?.Status || "").toLowerCase().replace(/\s+/g, "")] ?? null;
+}
+
+/**
+ * Canonical game from a Games/Scores row: NBA/WNBA (HomeTeamScore), MLB (HomeTeamRuns)
+ * or NFL (HomeScore).
+ * @returns {import("./dataProvider.js").Game}
+ */
+function toGame(sport, row) {
+  const date = String(row?.Day ?? row?.DateTime ?? row?.Date ?? "").slice(0, 10);
+  const home = String(row?.HomeTeam || "").toUpperCase();
+  const away = String(row?.AwayTeam || "").toUpperCase();
+  return {
+    id: String(row?.GameID ?? row?.GameKey ?? row?.ScoreID ?? `${date}|${away}@${home}`),
+    sport,
+    season: num(row?.Season),
+    week: num(row?.Week),
+    date,
+    startTime: row?.DateTime ?? null,
+    status: gameStatus(row),
+    home,
+    away,
+    homeScore: first(row, "HomeTeamScore", "HomeTeamRuns", "HomeScore"),
+    awayScore: first(row, "AwayTeamScore", "AwayTeamRuns", "AwayScore"),
+    neutral: row?.NeutralVenue === true,
+  };
+}
+
+// One quote per book and market; PregameOdds entries are separate books, else the row is one
+function toQuotes(row) {
+  const books = Array.isArray(row?.PregameOdds) && row.PregameOdds.length ? row.PregameOdds : [row];
+  const out = [];
+  for (const b of books) {
+    const book = String(b?.Sportsbook ?? row?.Sportsbook ?? "book");
+    const ml = { home: num(b?.HomeMoneyLine), away: num(b?.AwayMoneyLine) };
+    if (ml.home != null && ml.away != null) {
+      const draw = num(b?.DrawMoneyLine);
+      out.push({ book, market: "moneyline", line: null, prices: draw != null ? { ...ml, draw } : ml });
+    }
+    const spread = num(b?.HomePointSpread ?? b?.PointSpread);
+    if (spread != null) {
+      out.push({
+        book,
+        market: "spread",
+        line: spread,
+        prices: {
+          home: num(b?.HomePointSpreadPayout ?? b?.PointSpreadHomeTeamMoneyLine),
+          away: num(b?.AwayPointSpreadPayout ?? b?.PointSpreadAwayTeamMoneyLine),
+        },
+      });
+    }
+    const total = num(b?.OverUnder);
+    if (total != null) {
+      out.push({ book, market: "total", line: total, prices: { over: num(b?.OverPayout), under: num(b?.UnderPayout) } });
+    }
+  }
+  return out;
+}
+
+/**
+ * Canonical odds game from a GameOdds row (or a flat row carrying one book's prices).
+ * @returns {import("./dataProvider.js").OddsGame}
+ */
+function toOddsGame(sport, row) {
+  const id = row?.GameId ?? row?.GameID ?? row?.GlobalGameId ?? row?.ScoreID;
+  return {
+    gameId: id !== null && id !== undefined && id !== "" ? String(id) : null,
+    sport,
+    startTime: row?.DateTime ?? (row?.Day ? String(row.Day).slice(0, 10) : null),
+    status: gameStatus(row),
+    home: String(row?.HomeTeam ?? row?.HomeTeamName ?? ""),
+    away: String(row?.AwayTeam ?? row?.AwayTeamName ?? ""),
+    source: "SDIO",
+    quotes: toQuotes(row),
+  };
+}
+
+// Client method per sport, e.g. { NBA: "getNBAPlayerStatsByDate", ... }
+const perSport = (pattern, sports = ["MLB", "NBA", "WNBA", "NFL"]) =>
+  Object.fromEntries(sports.map((s) => [s, pattern.replace("{S}", s)]));
+
+const BY_DATE = perSport("get{S}PlayerStatsByDate");
+const SEASON_STATS = perSport("get{S}PlayerSeasonStats");
+const GAME_LOGS = perSport("get{S}PlayerGameLogs", ["MLB", "NBA", "WNBA"]);
+const GAME_ODDS = perSport("get{S}GameOdds");
+const ROSTERS = perSport("get{S}Rosters", ["NBA", "WNBA", "NFL"]);
+
+/**
+ * SportsDataIO through the shared SportsDataIOClient (and its cache). Methods the
+ * client lacks for a sport resolve to null.
+ */
+export class SportsDataIOProvider extends DataProvider {
+  constructor(client) {
+    super();
+    this.client = client || null;
+  }
+
+  get name() {
+    return "sportsdataio";
+  }
+
+  // Replay mode answers from recorded fixtures without a key
+  isAvailable() {
+    return !!this.client?.apiKey || this.client?.mode === "replay";
+  }
+
+  // Client method for a sport, bound, or null when the client has none
+  _method(table, sport) {
+    const name = table[String(sport || "").toUpperCase()];
+    const fn = name && this.client?.[name];
+    return typeof fn === "function" ? fn.bind(this.client) : null;
+  }
+
+  async _rows(label, fn, map) {
+    try {
+      const rows = await fn();
+      return Array.isArray(rows) ? rows.filter((r) => r && typeof r === "object").map(map) : [];
+    } catch (err) {
+      console.warn(`[SportsDataIOProvider] ${label} failed`, err?.message || err);
+      return [];
+    }
+  }
+
+  async getPlayers(sport) {
+    const s = String(sport || "").toUpperCase();
+    const load = this._method(ROSTERS, s);
+    if (!load) return null;
+    return this._rows("getPlayers", load, (r) => ({
+      id: num(r.PlayerID),
+      name: playerName(r),
+      team: String(r.Team || "").toUpperCase(),
+      position: String(r.Position || ""),
+      sport: s,
+    }));
+  }
+
+  async getGames(sport, season) {
+    const s = String(sport || "").toUpperCase();
+    if (typeof this.client?.getGamesBySeason !== "function") return null;
+    return this._rows("getGames", () => this.client.getGamesBySeason(s, season), (r) => toGame(s, r));
+  }
+
+  async getBoxScores(sport, { date, season, week } = {}) {
+    const s = String(sport || "").toUpperCase();
+    if (week != null) {
+      if (s !== "NFL" || typeof this.client?.getNFLPlayerGameStatsByWeek !== "function") return null;
+      return this._rows("getBoxScores", () => this.client.getNFLPlayerGameStatsByWeek(season, week), (r) =>
+        toBoxScoreLine(s, r)
+      );
+    }
+    const load = this._method(BY_DATE, s);
+    if (!load) return null;
+    return this._rows("getBoxScores", () => load(date), (r) => toBoxScoreLine(s, r));
+  }
+
+  async getSeasonStats(sport, season) {
+    const s = String(sport || "").toUpperCase();
+    const load = this._method(SEASON_STATS, s);
+    if (!load) return null;
+    return this._rows("getSeasonStats", () => load(season), (r) => toBoxScoreLine(s, r));
+  }
+
+  async getPlayerGameLogs(sport, player, { season = null, count = 15, batting = false } = {}) {
+    const s = String(sport || "").toUpperCase();
+    const load = this._method(GAME_LOGS, s);
+    if (!load) return null;
+    // MLB detects its own season from null; the basketball clients default theirs
+    const call = s === "MLB" ? () => load(player, season, count, { batting }) : () => load(player, season ?? undefined, count);
+    return this._rows("getPlayerGameLogs", call, (r) => toBoxScoreLine(s, r));
+  }
+
+  async getOdds(sport, dateOrWeek) {
+    const s = String(sport || "").toUpperCase();
+    const load = this._method(GAME_ODDS, s);
+    if (!load) return null;
+    return this._rows("getOdds", () => load(dateOrWeek), (r) => toOddsGame(s, r));
+  }
+
+  async _current(method) {
+    if (typeof this.client?.[method] !== "function") return null;
+    try {
+      return num(await this.client[method]()) || null;
+    } catch (err) {
+      console.warn(`[SportsDataIOProvider] ${method} failed`, err?.message || err);
+      return null;
+    }
+  }
+
+  // The client's clock stops at the as-of moment when replaying
+  now() {
+    return typeof this.client?._now === "function" ? this.client._now() : new Date();
+  }
+
+  isReplay() {
+    return this.client?.mode === "replay";
+  }
+
+  // NBA seasons are keyed by the year they end in: October 2024 is season 2025
+  seasonForDate(sport, dateStr) {
+    const season = super.seasonForDate(sport, dateStr);
+    const month = Number(String(dateStr || "").slice(5, 7)) || new Date().getMonth() + 1;
+    return String(sport || "").toUpperCase() === "NBA" && month >= 10 ? season + 1 : season;
+  }
+
+  async getCurrentSeason(sport) {
+    return String(sport || "").toUpperCase() === "NFL" ? this._current("getNFLSeasonCurrent") : null;
+  }
+
+  async getCurrentWeek(sport) {
+    return String(sport || "").toUpperCase() === "NFL" ? this._current("getNFLWeekCurrent") : null;
+  }
+
+  async getInjuries(sport) {
+    if (typeof this.client?.getInjuredPlayers !== "function") return null;
+    return this._rows("getInjuries", () => this.client.getInjuredPlayers(sport), (r) => ({
+      player: playerName(r),
+      playerId: num(r.PlayerID),
+      team: r.Team,
+      position: r.Position,
+      status: r.InjuryStatus || r.Status,
+      bodyPart: r.InjuryBodyPart ?? null,
+      startDate: r.InjuryStartDate ?? null,
+      note: r.InjuryNotes ?? null,
+    }));
+  }
+
+  async getLeagueAverage(sport, prop) {
+    if (typeof this.client?.getLeagueAverages !== "function") return null;
+    try {
+      return num(await this.client.getLeagueAverages(sport, prop));
+    } catch (err) {
+      console.warn("[SportsDataIOProvider] getLeagueAverage failed", err?.message || err);
+      return null;
+    }
+  }
+}
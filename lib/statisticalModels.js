@@ -1,6 +1,8 @@
 // lib/statisticalModels.js
 // Statistical probability calculators and baseline estimators for sports props
 
+import { parseProp, PropParseError } from "./propParser.js";
+
 function erf(x) {
   // Abramowitz–Stegun approximation
   const sign = x < 0 ? -1 : 1;
@@ -12,7 +14,7 @@ function erf(x) {
         a5 = 1.061405429;
   const p = 0.3275911;
   const t = 1 / (1 + p * x);
-  const y = 1 - ((((a5 * t + a4) * t) + a3) * t + a2) * t * a1 * t * Math.exp(-x * x);
+  const y = 1 - (((((a5 * t + a4) * t) + a3) * t + a2) * t + a1) * t * Math.exp(-x * x);
   return sign * y;
 }
 
@@ -38,7 +40,199 @@ function poissonCDF(k, lambda) {
   return Math.exp(-lambda) * sum;
 }
 
+function normalCDF(x, mu = 0, sigma = 1) {
+  return 1 - normalCCDF(x, mu, sigma);
+}
+
+function logGamma(x) {
+  // Lanczos approximation (g=7, n=9)
+  const c = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+    771.32342877765313, -176.61502916214059, 12.507343278686905,
+    -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7,
+  ];
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  x -= 1;
+  let a = c[0];
+  const t = x + 7.5;
+  for (let i = 1; i < 9; i++) a += c[i] / (x + i);
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+function poissonPMF(k, lambda) {
+  if (k < 0 || !Number.isInteger(k)) return 0;
+  if (!Number.isFinite(lambda) || lambda <= 0) return k === 0 ? 1 : 0;
+  return Math.exp(k * Math.log(lambda) - lambda - logGamma(k + 1));
+}
+
+// Negative binomial parameterised by size r and success prob p (mean = r(1-p)/p)
+function negBinomialPMF(k, r, p) {
+  if (k < 0 || !Number.isInteger(k)) return 0;
+  if (!(r > 0) || !(p > 0) || p > 1) return NaN;
+  return Math.exp(
+    logGamma(k + r) - logGamma(r) - logGamma(k + 1) + r * Math.log(p) + k * Math.log(1 - p)
+  );
+}
+
+// Regularized lower incomplete gamma P(a, x)
+function regularizedGammaP(a, x) {
+  if (!(a > 0) || !(x > 0)) return 0;
+  if (x < a + 1) {
+    let sum = 1 / a;
+    let term = sum;
+    for (let n = 1; n < 500; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 1e-12) break;
+    }
+    return Math.min(1, sum * Math.exp(-x + a * Math.log(x) - logGamma(a)));
+  }
+  // Continued fraction (Lentz) for the upper tail
+  let b = x + 1 - a;
+  let c = 1 / 1e-300;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < 500; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = b + an / c;
+    if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-12) break;
+  }
+  return Math.max(0, 1 - Math.exp(-x + a * Math.log(x) - logGamma(a)) * h);
+}
+
+function gammaCDF(x, shape, scale) {
+  if (!(x > 0)) return 0;
+  return regularizedGammaP(shape, x / scale);
+}
+
+function sampleMoments(sample) {
+  const vals = Array.isArray(sample) ? sample.filter((v) => Number.isFinite(v)) : [];
+  const n = vals.length;
+  if (n === 0) return { n: 0, mean: NaN, variance: NaN };
+  const mean = vals.reduce((a, b) => a + b, 0) / n;
+  const variance = n > 1 ? vals.reduce((s, v) => s + (v - mean) ** 2, 0) / (n - 1) : NaN;
+  return { n, mean, variance };
+}
+
+// Over/under/push from a discrete CDF + PMF. Half lines never push.
+function discreteLineProbs(cdf, pmf, line) {
+  const isWhole = Number.isInteger(line);
+  const under = line > 0 ? cdf(Math.ceil(line) - 1) : 0;
+  const push = isWhole && line >= 0 ? pmf(line) : 0;
+  return { under, push, over: Math.max(0, 1 - under - push) };
+}
+
+// Over/under/push from a continuous CDF. Stats are recorded as whole numbers,
+// so a whole line pushes on the unit interval around it.
+function continuousLineProbs(cdf, line) {
+  if (!Number.isInteger(line)) {
+    const under = cdf(line);
+    return { under, push: 0, over: 1 - under };
+  }
+  const under = cdf(line - 0.5);
+  const upper = cdf(line + 0.5);
+  return { under, push: Math.max(0, upper - under), over: Math.max(0, 1 - upper) };
+}
+
+function normalPDF(x, mu, sigma) {
+  const z = (x - mu) / sigma;
+  return Math.exp(-0.5 * z * z) / (sigma * Math.sqrt(2 * Math.PI));
+}
+
+function gammaPDF(x, shape, scale) {
+  if (!(x > 0)) return 0;
+  return Math.exp((shape - 1) * Math.log(x) - x / scale - logGamma(shape) - shape * Math.log(scale));
+}
+
+// Density/mass and CDF for each supported distribution type
+function distFunctions(dist) {
+  const p = dist?.params || {};
+  switch (dist?.type) {
+    case "poisson":
+      return {
+        discrete: true,
+        pmf: (k) => poissonPMF(k, p.lambda),
+        cdf: (k) => (k < 0 ? 0 : poissonCDF(k, p.lambda)),
+      };
+    case "negative_binomial": {
+      const pmf = (k) => negBinomialPMF(k, p.r, p.p);
+      return {
+        discrete: true,
+        pmf,
+        cdf: (k) => {
+          let sum = 0;
+          for (let i = 0; i <= Math.floor(k); i++) sum += pmf(i);
+          return Math.min(1, sum);
+        },
+      };
+    }
+    case "zero_inflated_poisson":
+      return {
+        discrete: true,
+        pmf: (k) => (k === 0 ? p.pi : 0) + (1 - p.pi) * poissonPMF(k, p.lambda),
+        cdf: (k) => (k < 0 ? 0 : p.pi + (1 - p.pi) * poissonCDF(k, p.lambda)),
+      };
+    case "normal":
+      return {
+        discrete: false,
+        pdf: (x) => normalPDF(x, p.mu, p.sigma),
+        cdf: (x) => normalCDF(x, p.mu, p.sigma),
+      };
+    case "gamma":
+      return {
+        discrete: false,
+        pdf: (x) => gammaPDF(x, p.shape, p.scale),
+        cdf: (x) => gammaCDF(x, p.shape, p.scale),
+      };
+    default:
+      return null;
+  }
+}
+
+function logLikelihood(dist, vals) {
+  const fns = distFunctions(dist);
+  if (!fns) return -Infinity;
+  let ll = 0;
+  for (const v of vals) {
+    const d = fns.discrete ? fns.pmf(Math.round(v)) : fns.pdf(v);
+    if (!(d > 0)) return -Infinity;
+    ll += Math.log(d);
+  }
+  return ll;
+}
+
+// Largest gap between the model CDF and the sample's empirical CDF
+function ksStatistic(dist, vals) {
+  const fns = distFunctions(dist);
+  if (!fns || vals.length === 0) return 1;
+  const sorted = [...vals].sort((a, b) => a - b);
+  const n = sorted.length;
+  let d = 0;
+  for (let i = 0; i < n; i++) {
+    if (i + 1 < n && sorted[i + 1] === sorted[i]) continue;
+    const model = fns.cdf(sorted[i]);
+    const below = fns.discrete ? fns.cdf(sorted[i] - 1) : model;
+    const firstIdx = sorted.indexOf(sorted[i]);
+    d = Math.max(d, Math.abs((i + 1) / n - model), Math.abs(firstIdx / n - below));
+  }
+  return d;
+}
+
 export const StatisticalModels = {
+  /**
+   * Normal cumulative distribution P(X <= x)
+   */
+  normalCDF(x, mu = 0, sigma = 1) {
+    return normalCDF(x, mu, sigma);
+  },
+
   /**
    * Calculate probability of exceeding a line using Poisson distribution
    * P(X > line) with a 0.5 continuity correction: P(X >= ceil(line+ε))
@@ -62,6 +256,382 @@ export const StatisticalModels = {
     return Math.max(0, Math.min(1, normalCCDF(x, mu, sigma)));
   },
 
+  /**
+   * Method-of-moments Poisson fit
+   * @param {number[]} sample - Observed game values
+   * @returns {{type: string, params: object}|null}
+   */
+  fitPoisson(sample) {
+    const { n, mean } = sampleMoments(sample);
+    if (n === 0 || !(mean > 0)) return null;
+    return { type: "poisson", params: { lambda: mean } };
+  },
+
+  /**
+   * Method-of-moments negative binomial fit (size r, success prob p).
+   * Only defined when the sample is overdispersed (variance > mean).
+   * @param {number[]} sample - Observed game values
+   * @returns {{type: string, params: object}|null}
+   */
+  fitNegativeBinomial(sample) {
+    const { n, mean, variance } = sampleMoments(sample);
+    if (n < 2 || !(mean > 0) || !(variance > mean)) return null;
+    const r = (mean * mean) / (variance - mean);
+    return { type: "negative_binomial", params: { r, p: mean / variance, mean } };
+  },
+
+  /**
+   * Method-of-moments zero-inflated Poisson fit (structural zero prob pi, rate lambda).
+   * mean = (1-pi)·lambda, variance = mean·(1 + pi·lambda)
+   * @param {number[]} sample - Observed game values
+   * @returns {{type: string, params: object}|null}
+   */
+  fitZeroInflatedPoisson(sample) {
+    const { n, mean, variance } = sampleMoments(sample);
+    if (n < 2 || !(mean > 0) || !(variance > mean)) return null;
+    const lambda = mean + variance / mean - 1;
+    const pi = 1 - mean / lambda;
+    if (!(pi > 0 && pi < 1)) return null;
+    return { type: "zero_inflated_poisson", params: { pi, lambda, mean } };
+  },
+
+  /**
+   * Method-of-moments Normal fit
+   * @param {number[]} sample - Observed game values
+   * @returns {{type: string, params: object}|null}
+   */
+  fitNormal(sample) {
+    const { n, mean, variance } = sampleMoments(sample);
+    if (n < 2 || !Number.isFinite(mean) || !(variance > 0)) return null;
+    return { type: "normal", params: { mu: mean, sigma: Math.sqrt(variance) } };
+  },
+
+  /**
+   * Method-of-moments Gamma fit. Requires strictly positive values.
+   * @param {number[]} sample - Observed game values
+   * @returns {{type: string, params: object}|null}
+   */
+  fitGamma(sample) {
+    const { n, mean, variance } = sampleMoments(sample);
+    if (n < 2 || !(mean > 0) || !(variance > 0)) return null;
+    if (sample.some((v) => Number.isFinite(v) && v <= 0)) return null;
+    return { type: "gamma", params: { shape: (mean * mean) / variance, scale: variance / mean, mean } };
+  },
+
+  /**
+   * Empirical frequency distribution of the observed games.
+   * Line probabilities are the sample frequencies with a half-game of smoothing
+   * so a short sample never reports a certain outcome.
+   * @param {number[]} sample - Observed game values
+   * @returns {{type: string, params: object}|null}
+   */
+  fitEmpirical(sample) {
+    const values = Array.isArray(sample) ? sample.filter((v) => Number.isFinite(v)) : [];
+    if (values.length === 0) return null;
+    return { type: "empirical", params: { values } };
+  },
+
+  /**
+   * Pick the best-fitting model for a sample by AIC. If even the best parametric
+   * model fails a Kolmogorov–Smirnov check, fall back to the empirical distribution.
+   * @param {"count"|"continuous"} kind - Discrete counts or continuous totals
+   * @param {number[]} sample - Observed game values
+   * @returns {{dist: object, scores: object, ks: number|null}|null}
+   */
+  selectBestFit(kind, sample) {
+    const vals = Array.isArray(sample) ? sample.filter((v) => Number.isFinite(v)) : [];
+    if (vals.length === 0) return null;
+
+    const candidates =
+      kind === "count"
+        ? [[this.fitPoisson(vals), 1], [this.fitNegativeBinomial(vals), 2], [this.fitZeroInflatedPoisson(vals), 2]]
+        : [[this.fitNormal(vals), 2], [this.fitGamma(vals), 2]];
+
+    const scores = {};
+    let best = null;
+    for (const [dist, k] of candidates) {
+      if (!dist) continue;
+      const aic = 2 * k - 2 * logLikelihood(dist, vals);
+      if (!Number.isFinite(aic)) continue;
+      scores[dist.type] = Math.round(aic * 100) / 100;
+      if (!best || aic < best.aic) best = { dist, aic };
+    }
+
+    const ks = best ? ksStatistic(best.dist, vals) : null;
+    const ksCritical = 1.36 / Math.sqrt(vals.length); // 5% level
+    if (!best || (vals.length >= 10 && ks > ksCritical)) {
+      return { dist: this.fitEmpirical(vals), scores, ks };
+    }
+    return { dist: best.dist, scores, ks };
+  },
+
+  /**
+   * Fit a distribution to a recent sample for the given stat family and centre it
+   * on the projected mean. With five or more games the model is chosen by
+   * selectBestFit; thinner samples use the family default (Poisson for counts,
+   * Normal/Gamma with a ~0.35 coefficient of variation for continuous stats).
+   * @param {"count"|"normal"|"gamma"} family - Stat family chosen by the caller
+   * @param {number[]} sample - Recent game values
+   * @param {number} mean - Projected mean (may differ from the sample mean)
+   * @returns {{type: string, params: object, fit?: object}} Fitted distribution
+   */
+  fitDistribution(family, sample, mean) {
+    const mu = Math.max(0.01, Number(mean) || 0);
+    const { n } = sampleMoments(sample);
+
+    if (n >= 5) {
+      const selected = this.selectBestFit(family === "count" ? "count" : "continuous", sample);
+      if (selected?.dist) {
+        const dist = this.recenterDistribution(selected.dist, mu);
+        return { ...dist, fit: { method: "aic", scores: selected.scores, ks: selected.ks, sampleSize: n } };
+      }
+    }
+
+    if (family === "count") return { type: "poisson", params: { lambda: mu } };
+
+    const sigma = mu * 0.35;
+    if (family === "gamma") {
+      const v = sigma * sigma;
+      return { type: "gamma", params: { shape: (mu * mu) / v, scale: v / mu, mean: mu } };
+    }
+    return { type: "normal", params: { mu, sigma: Math.max(0.5, sigma) } };
+  },
+
+  /**
+   * Move a fitted distribution to a new mean while keeping its shape
+   * (dispersion, zero-inflation, spread) from the sample.
+   * @param {{type: string, params: object}} dist - Fitted distribution
+   * @param {number} mean - Target mean
+   * @returns {{type: string, params: object}}
+   */
+  recenterDistribution(dist, mean) {
+    const p = dist?.params || {};
+    switch (dist?.type) {
+      case "poisson":
+        return { type: "poisson", params: { lambda: mean } };
+      case "negative_binomial":
+        return { type: "negative_binomial", params: { r: p.r, p: p.r / (p.r + mean), mean } };
+      case "zero_inflated_poisson":
+        return { type: "zero_inflated_poisson", params: { pi: p.pi, lambda: mean / (1 - p.pi), mean } };
+      case "normal":
+        return { type: "normal", params: { mu: mean, sigma: Math.max(0.5, p.sigma) } };
+      case "gamma": {
+        const cv = Math.sqrt(1 / p.shape);
+        const v = (mean * cv) ** 2;
+        return { type: "gamma", params: { shape: (mean * mean) / v, scale: v / mean, mean } };
+      }
+      case "empirical": {
+        const { mean: sampleMean } = sampleMoments(p.values);
+        const shift = mean - sampleMean;
+        if (!(Math.abs(shift) > 1e-9)) return dist;
+        return { type: "empirical", params: { values: p.values.map((v) => Math.max(0, v + shift)) } };
+      }
+      default:
+        return dist;
+    }
+  },
+
+  /**
+   * P(over), P(under) and P(push) for a line under a fitted distribution
+   * @param {{type: string, params: object}} dist - Output of fitDistribution
+   * @param {number} line - Prop line (e.g. 23.5 or 6)
+   * @returns {{over: number, under: number, push: number}}
+   */
+  calculateLineProbabilities(dist, line) {
+    const fallback = { over: 0.5, under: 0.5, push: 0 };
+    if (!dist || !Number.isFinite(line)) return fallback;
+
+    let probs;
+    if (dist.type === "empirical") {
+      const values = dist.params?.values || [];
+      const n = values.length;
+      if (n === 0) return fallback;
+      const over = values.filter((v) => v > line).length;
+      const under = values.filter((v) => v < line).length;
+      probs = {
+        over: (over + 0.5) / (n + 1),
+        under: (under + 0.5) / (n + 1),
+        push: (n - over - under) / (n + 1),
+      };
+    } else {
+      const fns = distFunctions(dist);
+      if (!fns) return fallback;
+      probs = fns.discrete ? discreteLineProbs(fns.cdf, fns.pmf, line) : continuousLineProbs(fns.cdf, line);
+    }
+
+    const clamp = (x) => Math.max(0, Math.min(1, Number.isFinite(x) ? x : 0));
+    return { over: clamp(probs.over), under: clamp(probs.under), push: clamp(probs.push) };
+  },
+
+  /**
+   * Inverse CDF of a fitted distribution, tabulated once so it is cheap to call per draw.
+   * Discrete models return whole numbers; the empirical model returns one of the observed games.
+   * @param {{type: string, params: object}} dist - Output of fitDistribution
+   * @returns {(function(number): number)|null} u in (0, 1) -> value, or null for unknown types
+   */
+  quantileFunction(dist) {
+    if (dist?.type === "empirical") {
+      const sorted = [...(dist.params?.values || [])].sort((a, b) => a - b);
+      if (sorted.length === 0) return null;
+      return (u) => sorted[Math.min(sorted.length - 1, Math.floor(u * sorted.length))];
+    }
+
+    const fns = distFunctions(dist);
+    if (!fns) return null;
+
+    // Smallest table index whose CDF reaches u
+    const search = (table, u) => {
+      let lo = 0;
+      let hi = table.length - 1;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (table[mid] >= u) hi = mid;
+        else lo = mid + 1;
+      }
+      return lo;
+    };
+
+    if (fns.discrete) {
+      const cdf = [];
+      let cum = 0;
+      for (let k = 0; k <= 5000 && cum < 1 - 1e-10; k++) {
+        const mass = fns.pmf(k);
+        cum += Number.isFinite(mass) ? mass : 0;
+        cdf.push(cum);
+      }
+      cdf[cdf.length - 1] = 1;
+      return (u) => search(cdf, u);
+    }
+
+    const p = dist.params || {};
+    let lo = 0;
+    let hi;
+    if (dist.type === "normal") {
+      lo = p.mu - 8 * p.sigma;
+      hi = p.mu + 8 * p.sigma;
+    } else {
+      hi = p.shape * p.scale + 12 * Math.sqrt(p.shape) * p.scale;
+    }
+    if (!(hi > lo)) return null;
+
+    const steps = 2048;
+    const xs = new Float64Array(steps + 1);
+    const cdf = new Float64Array(steps + 1);
+    for (let i = 0; i <= steps; i++) {
+      xs[i] = lo + ((hi - lo) * i) / steps;
+      cdf[i] = fns.cdf(xs[i]);
+    }
+    cdf[0] = 0;
+    cdf[steps] = 1;
+    return (u) => {
+      const i = search(cdf, u);
+      if (i === 0) return xs[0];
+      const span = cdf[i] - cdf[i - 1];
+      const t = span > 0 ? (u - cdf[i - 1]) / span : 0;
+      return xs[i - 1] + t * (xs[i] - xs[i - 1]);
+    };
+  },
+
+  /**
+   * Recency-weighted, shrunk estimate of a player's true per-game mean.
+   * "ewma_bayes": EWMA over recent games (newest first), shrunk toward the season mean,
+   * which is itself shrunk toward the league baseline. Each step weighs the two sides by
+   * precision (games / per-game variance vs. prior variance), so a short hot streak cannot
+   * outweigh a full season. "flat": plain recent mean, season mean when there is none.
+   * @param {number[]} sample - Recent game values, newest first
+   * @param {{type?: "ewma_bayes"|"flat", halfLife?: number, seasonMean?: number, seasonGames?: number,
+   *          leagueMean?: number, driftCV?: number, leagueCV?: number}} [opts]
+   * @returns {{type: string, mean: number, recentMean: number, effectiveGames: number, sigma: number,
+   *           halfLife: number|null, weights: {recent: number, season: number, league: number}}}
+   */
+  estimateMean(sample, opts = {}) {
+    const {
+      type = "ewma_bayes",
+      halfLife = 5,
+      seasonMean = NaN,
+      seasonGames = 0,
+      leagueMean = NaN,
+      driftCV = 0.1,
+      leagueCV = 0.5,
+    } = opts;
+    const vals = Array.isArray(sample) ? sample.filter((v) => Number.isFinite(v)) : [];
+    const hasSeason = Number.isFinite(seasonMean);
+    const hasLeague = Number.isFinite(leagueMean) && leagueMean > 0;
+
+    if (type === "flat" || !vals.length) {
+      const flat = vals.length ? vals.reduce((a, b) => a + b, 0) / vals.length : NaN;
+      if (type === "flat" || !hasSeason) {
+        return {
+          type,
+          mean: Number.isFinite(flat) ? flat : hasSeason ? seasonMean : NaN,
+          recentMean: flat,
+          effectiveGames: vals.length,
+          sigma: NaN,
+          halfLife: null,
+          weights: { recent: vals.length ? 1 : 0, season: !vals.length && hasSeason ? 1 : 0, league: 0 },
+        };
+      }
+    }
+
+    // EWMA and its effective sample size (sum w)^2 / sum w^2
+    const w = vals.map((_, i) => Math.pow(0.5, i / Math.max(0.5, halfLife)));
+    const sw = w.reduce((a, b) => a + b, 0);
+    const recentMean = vals.length ? vals.reduce((a, v, i) => a + w[i] * v, 0) / sw : NaN;
+    const effectiveGames = vals.length ? (sw * sw) / w.reduce((a, b) => a + b * b, 0) : 0;
+
+    // Per-game spread: sample variance, floored so a few identical games are not "certain"
+    const ref = [recentMean, seasonMean, leagueMean].find((v) => Number.isFinite(v) && v > 0) || 1;
+    const { variance } = sampleMoments(vals);
+    const sigma2 = Math.max(vals.length >= 3 && Number.isFinite(variance) ? variance : (0.35 * ref) ** 2, (0.15 * ref) ** 2);
+
+    // Step 1: season mean toward league baseline
+    let prior = NaN;
+    let priorVar = NaN;
+    let seasonShare = 0;
+    if (hasSeason && seasonGames > 0) {
+      const seasonVar = sigma2 / seasonGames;
+      if (hasLeague) {
+        const leagueVar = (leagueCV * leagueMean) ** 2;
+        seasonShare = leagueVar / (leagueVar + seasonVar);
+        prior = seasonShare * seasonMean + (1 - seasonShare) * leagueMean;
+        priorVar = 1 / (1 / leagueVar + 1 / seasonVar);
+      } else {
+        seasonShare = 1;
+        prior = seasonMean;
+        priorVar = seasonVar;
+      }
+    } else if (hasLeague) {
+      prior = leagueMean;
+      priorVar = (leagueCV * leagueMean) ** 2;
+    }
+
+    // Step 2: recent EWMA toward that prior; the prior also carries in-season drift
+    let recentShare = 1;
+    if (Number.isFinite(prior)) {
+      const driftVar = (driftCV * prior) ** 2;
+      const totalPriorVar = priorVar + (seasonShare > 0 ? driftVar : 0);
+      const dataVar = effectiveGames > 0 ? sigma2 / effectiveGames : Infinity;
+      recentShare = Number.isFinite(dataVar) ? totalPriorVar / (totalPriorVar + dataVar) : 0;
+    }
+    const mean = Number.isFinite(prior)
+      ? recentShare * (Number.isFinite(recentMean) ? recentMean : 0) + (1 - recentShare) * prior
+      : recentMean;
+
+    return {
+      type,
+      mean,
+      recentMean,
+      effectiveGames,
+      sigma: Math.sqrt(sigma2),
+      halfLife,
+      weights: {
+        recent: recentShare,
+        season: (1 - recentShare) * seasonShare,
+        league: Number.isFinite(prior) ? (1 - recentShare) * (1 - seasonShare) : 0,
+      },
+    };
+  },
+
   /**
    * Get baseline/fallback value for a given sport and prop type
    * Used when no player-specific data is available
@@ -72,9 +642,8 @@ export const StatisticalModels = {
   getBaseline(sport, prop) {
     try {
       const sportUpper = String(sport || "").toUpperCase();
-      const propLower = String(prop || "").toLowerCase();
 
-      // Sport-specific baselines based on league averages
+      // Sport-specific baselines based on league averages, keyed by parsed market
       const baselines = {
         NBA: {
           points: 15.5,
@@ -83,8 +652,6 @@ export const StatisticalModels = {
           steals: 1.1,
           blocks: 0.8,
           threes: 1.5,
-          "three-pointers": 1.5,
-          "3pt": 1.5,
           turnovers: 1.8,
           minutes: 26.5,
         },
@@ -95,77 +662,66 @@ export const StatisticalModels = {
           steals: 1.0,
           blocks: 0.6,
           threes: 1.2,
-          "three-pointers": 1.2,
-          "3pt": 1.2,
           turnovers: 1.5,
           minutes: 24.0,
         },
         MLB: {
           strikeouts: 5.8,
           hits: 1.2,
+          hits_allowed: 5.2,
           runs: 0.8,
-          rbis: 0.9,
-          "home runs": 0.3,
-          "stolen bases": 0.2,
+          rbi: 0.9,
+          home_runs: 0.3,
+          stolen_bases: 0.2,
           walks: 0.7,
-          "earned runs": 3.5,
-          innings: 5.5,
+          earned_runs: 3.5,
+          innings_pitched: 5.5,
+          outs: 16.5,
         },
         NFL: {
-          "passing yards": 235,
-          "rushing yards": 68,
-          "receiving yards": 48,
+          passing_yards: 235,
+          rushing_yards: 68,
+          receiving_yards: 48,
           touchdowns: 1.2,
+          passing_touchdowns: 1.5,
           receptions: 4.5,
           completions: 22,
-          attempts: 34,
+          pass_attempts: 34,
+          rush_attempts: 14,
           interceptions: 0.8,
-          "field goals": 1.8,
+          field_goals: 1.8,
         }
       };
 
+      // Combo props (PRA, Rush+Rec yards, H+R+RBI, ...) keyed by parseComboProp
+      const comboBaselines = {
+        NBA: { PRA: 25.5, PR: 21.7, PA: 19.3, RA: 10.0, STOCKS: 1.9 },
+        WNBA: { PRA: 19.2, PR: 16.3, PA: 14.1, RA: 8.0, STOCKS: 1.6 },
+        MLB: { HRR: 2.9, TOTAL_BASES: 1.9 },
+        NFL: { RUSH_REC_YDS: 72, PASS_RUSH_YDS: 252 },
+      };
+
       const sportBaselines = baselines[sportUpper];
       if (!sportBaselines) {
         console.warn(`[StatisticalModels] No baselines defined for sport: ${sportUpper}`);
         return null;
       }
 
-      // Match prop type to baseline category
-      // Check for exact matches first
-      for (const [key, value] of Object.entries(sportBaselines)) {
-        if (propLower.includes(key)) {
-          return value;
-        }
+      let parsed;
+      try {
+        parsed = parseProp(sportUpper, prop);
+      } catch (err) {
+        if (!(err instanceof PropParseError)) throw err;
+        console.warn(`[StatisticalModels] ${err.message}`);
+        return null;
       }
 
-      // Fallback to abbreviations and common variations
-      if (propLower.includes("pts") || propLower.includes("point")) return sportBaselines.points;
-      if (propLower.includes("reb") || propLower.includes("rebound")) return sportBaselines.rebounds;
-      if (propLower.includes("ast") || propLower.includes("assist")) return sportBaselines.assists;
-      if (propLower.includes("stl") || propLower.includes("steal")) return sportBaselines.steals;
-      if (propLower.includes("blk") || propLower.includes("block")) return sportBaselines.blocks;
-      if (propLower.includes("to") || propLower.includes("turnover")) return sportBaselines.turnovers;
-      if (propLower.includes("min") || propLower.includes("minute")) return sportBaselines.minutes;
-      if (propLower.includes("k") || propLower.includes("strikeout")) return sportBaselines.strikeouts;
-      if (propLower.includes("hit") && !propLower.includes("didn")) return sportBaselines.hits;
-      if (propLower.includes("run") && !propLower.includes("earned")) return sportBaselines.runs;
-      if (propLower.includes("rbi")) return sportBaselines.rbis;
-      if (propLower.includes("hr") || propLower.includes("homer")) return sportBaselines["home runs"];
-      if (propLower.includes("sb") || propLower.includes("stolen")) return sportBaselines["stolen bases"];
-      if (propLower.includes("bb") || propLower.includes("walk")) return sportBaselines.walks;
-      if (propLower.includes("er") || propLower.includes("earned")) return sportBaselines["earned runs"];
-      if (propLower.includes("ip") || propLower.includes("inning")) return sportBaselines.innings;
-      if (propLower.includes("pass") && propLower.includes("yard")) return sportBaselines["passing yards"];
-      if (propLower.includes("rush") && propLower.includes("yard")) return sportBaselines["rushing yards"];
-      if (propLower.includes("rec") && propLower.includes("yard")) return sportBaselines["receiving yards"];
-      if (propLower.includes("td") || propLower.includes("touchdown")) return sportBaselines.touchdowns;
-      if (propLower.includes("rec") && !propLower.includes("yard")) return sportBaselines.receptions;
-      if (propLower.includes("comp") || propLower.includes("completion")) return sportBaselines.completions;
-      if (propLower.includes("att") || propLower.includes("attempt")) return sportBaselines.attempts;
-      if (propLower.includes("int") || propLower.includes("interception")) return sportBaselines.interceptions;
-      if (propLower.includes("fg") || propLower.includes("field goal")) return sportBaselines["field goals"];
-
-      console.warn(`[StatisticalModels] No baseline match found for prop: ${prop} in sport: ${sportUpper}`);
+      const value = parsed.combo
+        ? comboBaselines[sportUpper]?.[parsed.combo.key]
+        : sportBaselines[parsed.market];
+      if (Number.isFinite(value)) return value;
+
+      console.warn(`[StatisticalModels] No baseline for market: ${parsed.market} in sport: ${sportUpper}`);
       return null;
     } catch (err) {
       console.error("[StatisticalModels] getBaseline error:", err?.message || err);
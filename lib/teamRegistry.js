@@ -0,0 +1,320 @@
+// lib/teamRegistry.js
+// Shared team registry for NFL, NBA, WNBA and MLB: provider codes, alternate codes,
+// cities, nicknames and former names. Resolves free text ("LAL", "Golden State",
+// "Sixers", "Oakland Raiders") to one team with a confidence score, and refuses to
+// guess when the text fits several teams ("LA" in the NBA, "New York" in the NFL).
+
+export class TeamResolutionError extends Error {
+  /**
+   * @param {string} message - Human-readable reason
+   * @param {"EMPTY_TEAM"|"UNKNOWN_TEAM"|"AMBIGUOUS_TEAM"} code - Machine-readable reason
+   * @param {string} input - Original team text
+   * @param {Array<{code: string, name: string}>} [candidates] - Teams the input could mean
+   */
+  constructor(message, code, input, candidates = []) {
+    super(message);
+    this.name = "TeamResolutionError";
+    this.code = code;
+    this.input = input;
+    this.candidates = candidates;
+  }
+}
+
+// [code, city, nickname, alternate codes, other names (nicknames and former names)]
+// Codes follow SportsDataIO; alternate codes cover other books and feeds.
+const TEAMS = {
+  NBA: [
+    ["ATL", "Atlanta", "Hawks", [], []],
+    ["BOS", "Boston", "Celtics", [], ["Celts"]],
+    ["BKN", "Brooklyn", "Nets", ["BRK", "NJN"], ["New Jersey Nets"]],
+    ["CHA", "Charlotte", "Hornets", ["CHO"], ["Charlotte Bobcats", "Bobcats"]],
+    ["CHI", "Chicago", "Bulls", [], []],
+    ["CLE", "Cleveland", "Cavaliers", [], ["Cavs"]],
+    ["DAL", "Dallas", "Mavericks", [], ["Mavs"]],
+    ["DEN", "Denver", "Nuggets", [], []],
+    ["DET", "Detroit", "Pistons", [], []],
+    ["GS", "Golden State", "Warriors", ["GSW"], ["Dubs"]],
+    ["HOU", "Houston", "Rockets", [], []],
+    ["IND", "Indiana", "Pacers", [], []],
+    ["LAC", "Los Angeles", "Clippers", [], ["San Diego Clippers", "Clips"]],
+    ["LAL", "Los Angeles", "Lakers", [], []],
+    ["MEM", "Memphis", "Grizzlies", [], ["Vancouver Grizzlies", "Grizz"]],
+    ["MIA", "Miami", "Heat", [], []],
+    ["MIL", "Milwaukee", "Bucks", [], []],
+    ["MIN", "Minnesota", "Timberwolves", [], ["Wolves"]],
+    ["NO", "New Orleans", "Pelicans", ["NOP", "NOH"], ["New Orleans Hornets", "Pels"]],
+    ["NY", "New York", "Knicks", ["NYK"], []],
+    ["OKC", "Oklahoma City", "Thunder", [], ["Seattle SuperSonics", "SuperSonics", "Sonics"]],
+    ["ORL", "Orlando", "Magic", [], []],
+    ["PHI", "Philadelphia", "76ers", [], ["Sixers"]],
+    ["PHO", "Phoenix", "Suns", ["PHX"], []],
+    ["POR", "Portland", "Trail Blazers", [], ["Blazers"]],
+    ["SAC", "Sacramento", "Kings", [], []],
+    ["SA", "San Antonio", "Spurs", ["SAS"], []],
+    ["TOR", "Toronto", "Raptors", [], ["Raps"]],
+    ["UTA", "Utah", "Jazz", ["UTAH"], []],
+    ["WAS", "Washington", "Wizards", ["WSH"], ["Washington Bullets", "Bullets", "Wiz"]],
+  ],
+  WNBA: [
+    ["ATL", "Atlanta", "Dream", [], []],
+    ["CHI", "Chicago", "Sky", [], []],
+    ["CON", "Connecticut", "Sun", ["CONN"], []],
+    ["DAL", "Dallas", "Wings", [], ["Tulsa Shock", "Detroit Shock"]],
+    ["GS", "Golden State", "Valkyries", ["GSV"], []],
+    ["IND", "Indiana", "Fever", [], []],
+    ["LA", "Los Angeles", "Sparks", ["LAS"], []],
+    ["LV", "Las Vegas", "Aces", ["LVA"], ["San Antonio Stars", "San Antonio Silver Stars", "Utah Starzz"]],
+    ["MIN", "Minnesota", "Lynx", [], []],
+    ["NY", "New York", "Liberty", ["NYL"], []],
+    ["PHO", "Phoenix", "Mercury", ["PHX"], []],
+    ["POR", "Portland", "Fire", [], []],
+    ["SEA", "Seattle", "Storm", [], []],
+    ["TOR", "Toronto", "Tempo", [], []],
+    ["WAS", "Washington", "Mystics", ["WSH"], []],
+  ],
+  NFL: [
+    ["ARI", "Arizona", "Cardinals", ["ARZ"], ["Phoenix Cardinals"]],
+    ["ATL", "Atlanta", "Falcons", [], []],
+    ["BAL", "Baltimore", "Ravens", [], []],
+    ["BUF", "Buffalo", "Bills", [], []],
+    ["CAR", "Carolina", "Panthers", [], []],
+    ["CHI", "Chicago", "Bears", [], []],
+    ["CIN", "Cincinnati", "Bengals", [], []],
+    ["CLE", "Cleveland", "Browns", [], []],
+    ["DAL", "Dallas", "Cowboys", [], []],
+    ["DEN", "Denver", "Broncos", [], []],
+    ["DET", "Detroit", "Lions", [], []],
+    ["GB", "Green Bay", "Packers", ["GNB"], []],
+    ["HOU", "Houston", "Texans", [], []],
+    ["IND", "Indianapolis", "Colts", [], ["Baltimore Colts"]],
+    ["JAX", "Jacksonville", "Jaguars", ["JAC"], ["Jags"]],
+    ["KC", "Kansas City", "Chiefs", ["KAN"], []],
+    ["LAC", "Los Angeles", "Chargers", ["SD", "SDG"], ["San Diego Chargers", "Bolts"]],
+    ["LAR", "Los Angeles", "Rams", ["STL"], ["St. Louis Rams"]],
+    ["LV", "Las Vegas", "Raiders", ["LVR", "OAK"], ["Oakland Raiders"]],
+    ["MIA", "Miami", "Dolphins", [], ["Fins"]],
+    ["MIN", "Minnesota", "Vikings", [], ["Vikes"]],
+    ["NE", "New England", "Patriots", ["NWE"], ["Pats"]],
+    ["NO", "New Orleans", "Saints", ["NOR"], []],
+    ["NYG", "New York", "Giants", [], []],
+    ["NYJ", "New York", "Jets", [], []],
+    ["PHI", "Philadelphia", "Eagles", [], []],
+    ["PIT", "Pittsburgh", "Steelers", [], []],
+    ["SEA", "Seattle", "Seahawks", [], []],
+    ["SF", "San Francisco", "49ers", ["SFO"], ["Niners", "Forty Niners"]],
+    ["TB", "Tampa Bay", "Buccaneers", ["TAM"], ["Bucs"]],
+    ["TEN", "Tennessee", "Titans", [], ["Tennessee Oilers", "Houston Oilers"]],
+    ["WAS", "Washington", "Commanders", ["WSH"], ["Washington Football Team", "Washington Redskins", "Redskins"]],
+  ],
+  MLB: [
+    ["ARI", "Arizona", "Diamondbacks", ["AZ"], ["D-backs", "Dbacks"]],
+    ["ATH", "", "Athletics", ["OAK"], ["Oakland Athletics", "Oakland A's", "A's", "Oakland", "Sacramento"]],
+    ["ATL", "Atlanta", "Braves", [], []],
+    ["BAL", "Baltimore", "Orioles", [], ["O's"]],
+    ["BOS", "Boston", "Red Sox", [], []],
+    ["CHC", "Chicago", "Cubs", [], []],
+    ["CHW", "Chicago", "White Sox", ["CWS"], []],
+    ["CIN", "Cincinnati", "Reds", [], []],
+    ["CLE", "Cleveland", "Guardians", [], ["Cleveland Indians"]],
+    ["COL", "Colorado", "Rockies", [], []],
+    ["DET", "Detroit", "Tigers", [], []],
+    ["HOU", "Houston", "Astros", [], []],
+    ["KC", "Kansas City", "Royals", ["KCR"], []],
+    ["LAA", "Los Angeles", "Angels", ["ANA"], ["Anaheim Angels", "Anaheim"]],
+    ["LAD", "Los Angeles", "Dodgers", [], []],
+    ["MIA", "Miami", "Marlins", ["FLA"], ["Florida Marlins"]],
+    ["MIL", "Milwaukee", "Brewers", [], []],
+    ["MIN", "Minnesota", "Twins", [], []],
+    ["NYM", "New York", "Mets", [], []],
+    ["NYY", "New York", "Yankees", [], []],
+    ["PHI", "Philadelphia", "Phillies", [], []],
+    ["PIT", "Pittsburgh", "Pirates", [], []],
+    ["SD", "San Diego", "Padres", ["SDP"], []],
+    ["SEA", "Seattle", "Mariners", [], []],
+    ["SF", "San Francisco", "Giants", ["SFG"], []],
+    ["STL", "St. Louis", "Cardinals", [], []],
+    ["TB", "Tampa Bay", "Rays", ["TBR"], ["Tampa Bay Devil Rays", "Devil Rays"]],
+    ["TEX", "Texas", "Rangers", [], []],
+    ["TOR", "Toronto", "Blue Jays", [], ["Jays"]],
+    ["WSH", "Washington", "Nationals", ["WAS", "WSN"], ["Montreal Expos", "Nats"]],
+  ],
+};
+
+// Short forms of city names, expanded before lookup ("LA Lakers", "NY Jets", "Philly")
+const CITY_SHORT = {
+  la: "los angeles",
+  ny: "new york",
+  nyc: "new york",
+  gs: "golden state",
+  sf: "san francisco",
+  sa: "san antonio",
+  okc: "oklahoma city",
+  kc: "kansas city",
+  tb: "tampa bay",
+  nola: "new orleans",
+  vegas: "las vegas",
+  philly: "philadelphia",
+  saint: "st",
+};
+
+// Confidence by how the input matched
+const CONFIDENCE = {
+  code: 1,
+  full_name: 1,
+  alternate_code: 0.95,
+  nickname: 0.95,
+  former_name: 0.85,
+  alias: 0.9,
+  city: 0.9,
+  partial: 0.7,
+};
+
+function normalize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/['’.]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function expandCity(key) {
+  const words = key.split(" ");
+  if (CITY_SHORT[words[0]]) words[0] = CITY_SHORT[words[0]];
+  return words.join(" ");
+}
+
+// Per-sport lookup: normalised key -> [{team, matchedBy}]
+const indexes = new Map();
+
+function teamRecord(sport, [code, city, nickname, altCodes, otherNames]) {
+  return {
+    sport,
+    code,
+    city,
+    nickname,
+    name: city ? `${city} ${nickname}` : nickname,
+    codes: [code, ...altCodes],
+    otherNames,
+  };
+}
+
+function sportIndex(sport) {
+  if (indexes.has(sport)) return indexes.get(sport);
+  const index = new Map();
+  const teams = (TEAMS[sport] || []).map((row) => teamRecord(sport, row));
+  const add = (key, team, matchedBy) => {
+    const k = normalize(key);
+    if (!k) return;
+    const list = index.get(k) || [];
+    if (!list.some((e) => e.team === team && CONFIDENCE[e.matchedBy] >= CONFIDENCE[matchedBy])) {
+      list.push({ team, matchedBy });
+    }
+    index.set(k, list);
+  };
+  for (const t of teams) {
+    add(t.code, t, "code");
+    t.codes.slice(1).forEach((c) => add(c, t, "alternate_code"));
+    add(t.name, t, "full_name");
+    add(t.nickname, t, "nickname");
+    if (t.city) add(t.city, t, "city");
+    // Former names carry a city ("Oakland Raiders"); bare nicknames ("Sixers") do not
+    t.otherNames.forEach((n) => add(n, t, /\s/.test(n.trim()) ? "former_name" : "alias"));
+  }
+  const entry = { teams, index };
+  indexes.set(sport, entry);
+  return entry;
+}
+
+// Best-scoring teams for a list of hits; several distinct teams at the top score is ambiguous
+function best(hits) {
+  const top = Math.max(...hits.map((h) => CONFIDENCE[h.matchedBy]));
+  const winners = hits.filter((h) => CONFIDENCE[h.matchedBy] === top);
+  const distinct = [...new Map(winners.map((h) => [h.team.code, h])).values()];
+  return { top, distinct };
+}
+
+/**
+ * Sports the registry covers.
+ * @returns {string[]}
+ */
+export function registrySports() {
+  return Object.keys(TEAMS);
+}
+
+/**
+ * Resolve free text to a single team.
+ * Exact codes and names are tried first, then short city forms ("LA", "NY"), then
+ * word matches against every name a team is known by.
+ * @param {string} sport - NFL, NBA, WNBA or MLB
+ * @param {string} input - Code, city, nickname, full or former name
+ * @param {{codes?: Iterable<string>}} [opts] - Team codes present in the caller's data; the
+ *   returned `code` is the first of the team's codes found there
+ * @returns {{sport: string, code: string, name: string, city: string, nickname: string,
+ *           codes: string[], matchedBy: string, confidence: number}}
+ * @throws {TeamResolutionError} EMPTY_TEAM, UNKNOWN_TEAM, or AMBIGUOUS_TEAM with candidates
+ */
+export function resolveTeam(sport, input, { codes } = {}) {
+  const raw = String(input ?? "").trim();
+  const key = normalize(raw);
+  if (!key) throw new TeamResolutionError("Team is empty", "EMPTY_TEAM", raw);
+
+  const s = String(sport || "").toUpperCase();
+  const { teams, index } = sportIndex(s);
+  if (!teams.length) {
+    throw new TeamResolutionError(`No team registry for sport "${sport}"`, "UNKNOWN_TEAM", raw);
+  }
+
+  let hits = index.get(key) || index.get(expandCity(key)) || [];
+  if (!hits.length) {
+    // Every input word appears in one of the names a team is known by
+    const words = expandCity(key).split(" ");
+    const pattern = (w) => new RegExp(`(^| )${w}( |$)`);
+    for (const t of teams) {
+      const names = [t.name, ...t.otherNames].map(normalize);
+      if (names.some((n) => words.every((w) => pattern(w).test(n)))) hits.push({ team: t, matchedBy: "partial" });
+    }
+  }
+
+  if (!hits.length) {
+    throw new TeamResolutionError(`Unknown ${s} team "${raw}"`, "UNKNOWN_TEAM", raw);
+  }
+
+  const { top, distinct } = best(hits);
+  if (distinct.length > 1) {
+    const candidates = distinct.map((h) => ({ code: h.team.code, name: h.team.name }));
+    throw new TeamResolutionError(
+      `"${raw}" matches several ${s} teams: ${candidates.map((c) => `${c.name} (${c.code})`).join(", ")}`,
+      "AMBIGUOUS_TEAM",
+      raw,
+      candidates
+    );
+  }
+
+  const team = distinct[0].team;
+  const present = codes ? new Set([...codes].map((c) => String(c).toUpperCase())) : null;
+  return {
+    sport: s,
+    code: (present && team.codes.find((c) => present.has(c))) || team.code,
+    name: team.name,
+    city: team.city,
+    nickname: team.nickname,
+    codes: team.codes,
+    matchedBy: distinct[0].matchedBy,
+    confidence: top,
+  };
+}
+
+/**
+ * Whether two team strings (codes, names, feed labels) are the same team.
+ * @param {string} sport
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean|null} Null when either side does not resolve
+ */
+export function sameTeam(sport, a, b) {
+  try {
+    return resolveTeam(sport, a).code === resolveTeam(sport, b).code;
+  } catch {
+    return null;
+  }
+}
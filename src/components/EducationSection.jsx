@@ -36,6 +36,27 @@ export default function EducationSection() {
     "Use our confidence scores for bet sizing: 70%+ confidence = 3% bankroll, 67-69% = 2%, 65-66% = 1%"
   ];
 
+  const movementSignals = [
+    {
+      title: "Steam Move",
+      content: "Three or more books move the same market the same way within 15 minutes. Coordinated moves like this usually follow sharp money. Steam windows are shaded on the movement chart.",
+      border: "border-green-500",
+      color: "text-green-400"
+    },
+    {
+      title: "Reverse Line Movement",
+      content: "The line moves away from the side most tickets are on, so the book is respecting a minority of larger, sharper bets. Our odds feed carries prices, not ticket counts, so compare the chart's direction with your book's public betting splits.",
+      border: "border-blue-500",
+      color: "text-blue-400"
+    },
+    {
+      title: "Beating the Close",
+      content: "Once a game starts, your pick's CLV is measured against the closing price. Taking a number the market later moves past is the clearest sign of a good bet, win or lose.",
+      border: "border-yellow-500",
+      color: "text-yellow-400"
+    }
+  ];
+
   return (
     <div className="space-y-6">
       <div className="bg-gray-800 p-6 rounded-lg border border-gray-700">
@@ -72,26 +93,18 @@ export default function EducationSection() {
 
       {/* Market Movement Analysis */}
       <div className="bg-gray-800 p-6 rounded-lg border border-gray-700">
-        <h3 className="text-xl font-bold mb-4">Today's Market Movement Insights</h3>
+        <h3 className="text-xl font-bold mb-4">Reading Line Movement</h3>
+        <p className="text-gray-400 text-sm mb-4">
+          Every game you analyze records each book's moneyline, spread and total over time. The movement chart on a
+          game result draws that history with your pick time marked.
+        </p>
         <div className="space-y-4">
-          <div className="border-l-4 border-green-500 pl-4">
-            <div className="font-semibold text-green-400">Sharp Money Indicator</div>
-            <p className="text-gray-400 text-sm mt-1">
-              Heavy betting on Lakers -5 moved the line to -6.5. Sharp bettors took early Lakers value.
-            </p>
-          </div>
-          <div className="border-l-4 border-yellow-500 pl-4">
-            <div className="font-semibold text-yellow-400">Public Fade Opportunity</div>
-            <p className="text-gray-400 text-sm mt-1">
-              80% of public bets on Warriors ML, but line hasn't moved. Books expecting Warriors to lose.
-            </p>
-          </div>
-          <div className="border-l-4 border-blue-500 pl-4">
-            <div className="font-semibold text-blue-400">Reverse Line Movement</div>
-            <p className="text-gray-400 text-sm mt-1">
-              Celtics spread moved from -4 to -3 despite 65% of bets on Celtics. Classic sharp money indicator.
-            </p>
-          </div>
+          {movementSignals.map((signal) => (
+            <div key={signal.title} className={`border-l-4 ${signal.border} pl-4`}>
+              <div className={`font-semibold ${signal.color}`}>{signal.title}</div>
+              <p className="text-gray-400 text-sm mt-1">{signal.content}</p>
+            </div>
+          ))}
         </div>
       </div>
     </div>
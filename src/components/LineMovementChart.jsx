@@ -0,0 +1,179 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+
+const COLORS = ['#22c55e', '#60a5fa', '#f59e0b', '#a78bfa', '#f472b6', '#2dd4bf', '#f87171'];
+const WIDTH = 560;
+const HEIGHT = 200;
+const PAD = { top: 16, right: 16, bottom: 28, left: 44 };
+
+const impliedPct = (american) => {
+  const a = Number(american);
+  if (!Number.isFinite(a) || (a > -100 && a < 100)) return null;
+  return (a > 0 ? 100 / (a + 100) : -a / (-a + 100)) * 100;
+};
+
+// Plotted value of one snapshot from the pick's side: win chance for moneylines, the number otherwise
+function valueOf(market, side, snap) {
+  if (market === 'moneyline') return impliedPct(snap.prices?.[side || 'home']);
+  if (snap.line == null) return null;
+  return market === 'spread' && side === 'away' ? -snap.line : snap.line;
+}
+
+const timeLabel = (ms) =>
+  new Date(ms).toLocaleString([], { month: 'numeric', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+export default function LineMovementChart({ gameId, pickId, market = 'moneyline' }) {
+  const [history, setHistory] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!gameId) return;
+    let cancelled = false;
+    const fetchHistory = async () => {
+      try {
+        const response = await axios.get('/api/lines/history', { params: { gameId } });
+        if (!cancelled) setHistory(response.data);
+      } catch (err) {
+        if (!cancelled) setError(err?.response?.data?.error || err.message);
+      }
+    };
+    fetchHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [gameId, pickId]);
+
+  if (error) return null;
+  if (!history) {
+    return <div className="p-4 rounded-lg bg-gray-800 border border-gray-600 h-24 animate-pulse" />;
+  }
+
+  const pick = (history.picks || []).find((p) => p.id === pickId) || null;
+  const side = pick?.side || (market === 'total' ? 'over' : 'home');
+
+  // Step series per book: each snapshot holds until the book's next one (or its last sighting)
+  const series = Object.entries(history.books || {})
+    .map(([book, markets]) => {
+      const points = [];
+      for (const snap of markets[market] || []) {
+        const y = valueOf(market, side, snap);
+        if (y == null) continue;
+        points.push({ t: Date.parse(snap.at), y });
+        points.push({ t: Date.parse(snap.lastAt || snap.at), y });
+      }
+      return { book, points };
+    })
+    .filter((s) => s.points.length > 0);
+
+  if (!series.length) {
+    return (
+      <div className="p-4 border rounded-lg bg-gray-800 border-gray-600 text-sm text-gray-400">
+        No {market} history recorded for this game yet.
+      </div>
+    );
+  }
+
+  const pickTime = pick ? Date.parse(pick.at) : null;
+  const steam = (history.steam || []).filter((s) => s.market === market);
+  const all = series.flatMap((s) => s.points);
+  const times = [...all.map((p) => p.t), ...(pickTime ? [pickTime] : [])];
+  let tMin = Math.min(...times);
+  let tMax = Math.max(...times);
+  if (tMax === tMin) tMax = tMin + 60000;
+  let yMin = Math.min(...all.map((p) => p.y));
+  let yMax = Math.max(...all.map((p) => p.y));
+  const yPad = Math.max((yMax - yMin) * 0.15, market === 'moneyline' ? 1 : 0.5);
+  yMin -= yPad;
+  yMax += yPad;
+
+  const x = (t) => PAD.left + ((t - tMin) / (tMax - tMin)) * (WIDTH - PAD.left - PAD.right);
+  const y = (v) => PAD.top + (1 - (v - yMin) / (yMax - yMin)) * (HEIGHT - PAD.top - PAD.bottom);
+  const path = (points) =>
+    points
+      .map((p, i) => {
+        if (i === 0) return `M${x(p.t)},${y(p.y)}`;
+        // Horizontal then vertical, so a price change shows at the moment it was seen
+        return `H${x(p.t)} V${y(p.y)}`;
+      })
+      .join(' ');
+
+  const yTicks = [0, 0.5, 1].map((f) => yMin + f * (yMax - yMin));
+  const unit = market === 'moneyline' ? '%' : '';
+  const title =
+    market === 'moneyline'
+      ? `Moneyline movement (${side} implied win %)`
+      : market === 'spread'
+        ? `Spread movement (${side})`
+        : 'Total movement';
+
+  return (
+    <div className="p-4 border rounded-lg bg-gray-800 border-gray-600">
+      <h4 className="font-semibold mb-3 text-white">
+        {title}
+        {history.closed ? ' - closed' : ''}
+      </h4>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label={title}>
+        {yTicks.map((v, i) => (
+          <g key={i}>
+            <line x1={PAD.left} x2={WIDTH - PAD.right} y1={y(v)} y2={y(v)} stroke="#374151" strokeWidth="1" />
+            <text x={PAD.left - 6} y={y(v) + 4} textAnchor="end" fontSize="10" fill="#9ca3af">
+              {v.toFixed(1)}{unit}
+            </text>
+          </g>
+        ))}
+        <text x={PAD.left} y={HEIGHT - 8} fontSize="10" fill="#9ca3af">{timeLabel(tMin)}</text>
+        <text x={WIDTH - PAD.right} y={HEIGHT - 8} textAnchor="end" fontSize="10" fill="#9ca3af">{timeLabel(tMax)}</text>
+
+        {steam.map((s, i) => (
+          <rect
+            key={i}
+            x={x(Date.parse(s.at))}
+            y={PAD.top}
+            width={Math.max(2, x(Date.parse(s.until)) - x(Date.parse(s.at)))}
+            height={HEIGHT - PAD.top - PAD.bottom}
+            fill="#f59e0b"
+            opacity="0.15"
+          />
+        ))}
+
+        {series.map((s, i) => (
+          <path key={s.book} d={path(s.points)} fill="none" stroke={COLORS[i % COLORS.length]} strokeWidth="2" />
+        ))}
+
+        {pickTime != null && (
+          <g>
+            <line
+              x1={x(pickTime)}
+              x2={x(pickTime)}
+              y1={PAD.top}
+              y2={HEIGHT - PAD.bottom}
+              stroke="#ffffff"
+              strokeDasharray="4 3"
+              strokeWidth="1.5"
+            />
+            <text x={x(pickTime) + 4} y={PAD.top + 10} fontSize="10" fill="#ffffff">Your pick</text>
+          </g>
+        )}
+      </svg>
+
+      <div className="flex flex-wrap gap-3 mt-2 text-xs">
+        {series.map((s, i) => (
+          <span key={s.book} className="flex items-center gap-1 text-gray-300">
+            <span className="inline-block w-3 h-0.5" style={{ backgroundColor: COLORS[i % COLORS.length] }} />
+            {s.book}
+          </span>
+        ))}
+      </div>
+
+      {steam.length > 0 && (
+        <ul className="mt-3 space-y-1 text-xs text-yellow-400">
+          {steam.map((s, i) => (
+            <li key={i}>
+              Steam toward {s.direction}: {s.books.length} books moved within minutes ({timeLabel(Date.parse(s.at))})
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
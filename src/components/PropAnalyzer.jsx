@@ -87,9 +87,11 @@ export default function PropAnalyzer() {
     const analysisData = {
       sport: (form.sport || '').trim(),
       player: (form.player || '').trim(),
+      opponent: (form.opponent || '').trim(),
       prop: (form.prop || '').trim(),
       startTime: toISOFromLocal(form.startTimeLocal),
       currentPrice: overAmerican,
+      odds: { over: overAmerican, under: underAmerican },
     };
 
     try {
@@ -213,7 +215,7 @@ export default function PropAnalyzer() {
             name="opponent"
             value={form.opponent}
             onChange={handleChange}
-            placeholder="e.g., Lakers"
+            placeholder="e.g., LAL"
             className="border rounded p-2 bg-gray-800 text-white"
           />
         </label>
@@ -226,7 +228,7 @@ export default function PropAnalyzer() {
             name="prop"
             value={form.prop}
             onChange={handleChange}
-            placeholder='e.g., "Points 23.5", "Assists 8.5", "Strikeouts 6.5"'
+            placeholder='e.g., "Points 23.5", "Pts+Reb+Ast 35.5", "Strikeouts 6.5"'
             className="border rounded p-2 bg-gray-800 text-white"
             required
           />
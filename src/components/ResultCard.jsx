@@ -1,4 +1,5 @@
 import React from "react";
+import LineMovementChart from "./LineMovementChart.jsx";
 
 function pct(x) {
   if (x == null || Number.isNaN(Number(x))) return "-";
@@ -131,6 +132,195 @@ export default function ResultCard({ result, type, oddsFormat = 'american' }) {
         </div>
       </div>
 
+      {/* Price & Value Card */}
+      {result.pricing && result.pricing.fairAmerican != null && (
+        <div className="p-4 border rounded-lg bg-gray-800 border-gray-600">
+          <h4 className="font-semibold mb-3 text-white">
+            Price &amp; Value ({result.pricing.side}{result.pricing.assumedPrice ? ", assumed price" : ""})
+          </h4>
+          <div className="grid grid-cols-2 gap-4 text-sm">
+            <div>
+              <span className="text-gray-400">Market (no-vig):</span>
+              <span className="ml-2 font-mono">{(result.pricing.marketProb * 100).toFixed(1)}%</span>
+            </div>
+            <div>
+              <span className="text-gray-400">Hold:</span>
+              <span className="ml-2 font-mono">{result.pricing.holdPct != null ? `${result.pricing.holdPct}%` : "N/A"}</span>
+            </div>
+            <div>
+              <span className="text-gray-400">Model:</span>
+              <span className="ml-2 font-mono">{(result.pricing.modelProb * 100).toFixed(1)}%</span>
+            </div>
+            <div>
+              <span className="text-gray-400">Fair odds:</span>
+              <span className="ml-2 font-mono">
+                {oddsFormat === 'decimal'
+                  ? result.pricing.fairDecimal
+                  : `${result.pricing.fairAmerican > 0 ? '+' : ''}${result.pricing.fairAmerican}`}
+              </span>
+            </div>
+            <div>
+              <span className="text-gray-400">Edge:</span>
+              <span className={`ml-2 font-mono font-bold ${result.pricing.edgePct > 0 ? "text-green-400" : "text-red-400"}`}>
+                {result.pricing.edgePct > 0 ? '+' : ''}{result.pricing.edgePct} pp
+              </span>
+            </div>
+            <div>
+              <span className="text-gray-400">EV / unit:</span>
+              <span className={`ml-2 font-mono font-bold ${result.pricing.ev > 0 ? "text-green-400" : "text-red-400"}`}>
+                {result.pricing.ev != null ? `${result.pricing.ev > 0 ? '+' : ''}${result.pricing.ev}` : "N/A"}
+              </span>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Spread / Total Card */}
+      {result.lineEvaluation && (
+        <div className="p-4 border rounded-lg bg-gray-800 border-gray-600">
+          <h4 className="font-semibold mb-3 text-white">
+            {result.lineEvaluation.market === "spread" ? "Spread" : "Total"} {result.lineEvaluation.line}
+            {result.lineEvaluation.assumedPrice ? " (assumed price)" : ""}
+          </h4>
+          <div className="grid grid-cols-2 gap-4 text-sm">
+            <div>
+              <span className="text-gray-400">Projected {result.lineEvaluation.market === "spread" ? "margin" : "total"}:</span>
+              <span className="ml-2 font-mono">
+                {result.lineEvaluation.projection.value} ± {result.lineEvaluation.projection.sd} ({result.lineEvaluation.projection.source})
+              </span>
+            </div>
+            {Object.entries(result.lineEvaluation.probabilities).map(([k, v]) => (
+              <div key={k}>
+                <span className="text-gray-400 capitalize">{k}:</span>
+                <span className="ml-2 font-mono">{pct(v)}</span>
+              </div>
+            ))}
+            <div>
+              <span className="text-gray-400">Price ({result.lineEvaluation.side}):</span>
+              <span className="ml-2 font-mono">{formatOdds(result.lineEvaluation.price, oddsFormat)}</span>
+            </div>
+            <div>
+              <span className="text-gray-400">Market (no-vig):</span>
+              <span className="ml-2 font-mono">{pct(result.lineEvaluation.marketProb)}</span>
+            </div>
+            <div>
+              <span className="text-gray-400">Edge:</span>
+              <span className={`ml-2 font-mono font-bold ${result.lineEvaluation.edgePct > 0 ? "text-green-400" : "text-red-400"}`}>
+                {result.lineEvaluation.edgePct > 0 ? '+' : ''}{result.lineEvaluation.edgePct} pp
+              </span>
+            </div>
+            <div>
+              <span className="text-gray-400">EV / unit:</span>
+              <span className={`ml-2 font-mono font-bold ${result.lineEvaluation.ev > 0 ? "text-green-400" : "text-red-400"}`}>
+                {result.lineEvaluation.ev != null ? `${result.lineEvaluation.ev > 0 ? '+' : ''}${result.lineEvaluation.ev}` : "N/A"}
+              </span>
+            </div>
+          </div>
+          {result.lineEvaluation.keyNumbers && (
+            <p className="mt-3 text-xs text-gray-400">
+              Key margins: {Object.entries(result.lineEvaluation.keyNumbers).map(([k, v]) => `${k} (${pct(v)})`).join(", ")}
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* Power Ratings Card */}
+      {result.ratings && (
+        <div className="p-4 border rounded-lg bg-gray-800 border-gray-600">
+          <h4 className="font-semibold mb-3 text-white">
+            Power Ratings ({String(result.ratings.model || "").toUpperCase()}){!result.ratings.rated ? " - not enough games yet" : ""}
+          </h4>
+          <div className="grid grid-cols-4 gap-2 text-sm">
+            <span className="text-gray-400">Team</span>
+            <span className="text-gray-400">Rating</span>
+            <span className="text-gray-400">Exp. margin</span>
+            <span className="text-gray-400">Win prob</span>
+            {[result.ratings.home, result.ratings.away].map((t, i) => (
+              <React.Fragment key={i}>
+                <span className="font-semibold text-white">{t.team}{i === 0 ? " (H)" : ""}</span>
+                <span className="font-mono">{t.rating}</span>
+                <span className="font-mono">{t.expectedMargin > 0 ? '+' : ''}{t.expectedMargin}</span>
+                <span className="font-mono">{(t.winProb * 100).toFixed(1)}%</span>
+              </React.Fragment>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Best Price Card */}
+      {result.lineShopping && Object.keys(result.lineShopping).length > 0 && (
+        <div className="p-4 border rounded-lg bg-gray-800 border-gray-600">
+          <h4 className="font-semibold mb-3 text-white">Best Available Prices</h4>
+          <div className="grid grid-cols-4 gap-2 text-sm">
+            <span className="text-gray-400">Market</span>
+            <span className="text-gray-400">Side</span>
+            <span className="text-gray-400">Best price</span>
+            <span className="text-gray-400">Book</span>
+            {Object.entries(result.lineShopping).map(([market, m]) =>
+              Object.entries(m.best).map(([side, b]) => (
+                <React.Fragment key={`${market}-${side}`}>
+                  <span className="capitalize text-gray-300">
+                    {market}{m.line != null ? ` ${market === "spread" && m.line > 0 ? '+' : ''}${m.line}` : ""}
+                  </span>
+                  <span className="capitalize">{side}</span>
+                  <span className="font-mono">{formatOdds(b.price, oddsFormat)}</span>
+                  <span>{b.book}</span>
+                </React.Fragment>
+              ))
+            )}
+          </div>
+          {result.pricing?.price != null && (
+            <div className="mt-3 text-sm">
+              <span className="text-gray-400">EV at {result.pricing.source === "user" ? "your price" : "best price"}:</span>
+              <span className="ml-2 font-mono">
+                {formatOdds(result.pricing.price, oddsFormat)}{result.pricing.book ? ` (${result.pricing.book})` : ""}
+              </span>
+              <span className={`ml-2 font-mono font-bold ${result.pricing.ev > 0 ? "text-green-400" : "text-red-400"}`}>
+                {result.pricing.ev != null ? `${result.pricing.ev > 0 ? '+' : ''}${result.pricing.ev}` : "N/A"}
+              </span>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Sharp vs Soft Books Card */}
+      {result.sharp && (
+        <div className="p-4 border rounded-lg bg-gray-800 border-gray-600">
+          <h4 className="font-semibold mb-3 text-white">Sharp vs Soft Books</h4>
+          <div className="grid grid-cols-2 gap-4 text-sm mb-3">
+            <div>
+              <span className="text-gray-400">Sharp ({result.sharp.sharpBooks.join(", ")}):</span>
+              <span className="ml-2 font-mono">{(result.sharp.sharpProb * 100).toFixed(1)}%</span>
+            </div>
+            <div>
+              <span className="text-gray-400">Soft consensus ({result.sharp.softBooks}):</span>
+              <span className="ml-2 font-mono">{(result.sharp.softProb * 100).toFixed(1)}%</span>
+            </div>
+            <div>
+              <span className="text-gray-400">Gap:</span>
+              <span className={`ml-2 font-mono font-bold ${result.sharp.gapPct > 0 ? "text-green-400" : result.sharp.gapPct < 0 ? "text-red-400" : "text-gray-300"}`}>
+                {result.sharp.gapPct > 0 ? '+' : ''}{result.sharp.gapPct} pp
+              </span>
+            </div>
+            <div>
+              <span className="text-gray-400">Biggest outlier:</span>
+              <span className="ml-2 font-semibold">
+                {result.sharp.outlier.book} ({result.sharp.outlier.deviationPct > 0 ? '+' : ''}{result.sharp.outlier.deviationPct} pp)
+              </span>
+            </div>
+          </div>
+          <div className="grid grid-cols-3 gap-2 text-xs">
+            {result.sharp.books.map((b) => (
+              <React.Fragment key={b.book}>
+                <span className={b.sharp ? "font-semibold text-yellow-400" : "text-gray-300"}>{b.book}{b.sharp ? " (sharp)" : ""}</span>
+                <span className="font-mono">{(b.probability * 100).toFixed(1)}%</span>
+                <span className="font-mono text-gray-400">{b.deviationPct > 0 ? '+' : ''}{b.deviationPct} pp vs soft</span>
+              </React.Fragment>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* CLV Card */}
       {result.clv && (
         <div className={`p-4 border rounded-lg ${
@@ -140,14 +330,32 @@ export default function ResultCard({ result, type, oddsFormat = 'american' }) {
             ? "bg-red-900/20 border-red-600"
             : "bg-gray-800 border-gray-600"
         }`}>
-          <h4 className="font-semibold mb-3 text-white">Closing Line Value (CLV)</h4>
+          <h4 className="font-semibold mb-3 text-white">
+            Closing Line Value (CLV){result.clv.reference ? ` vs ${result.clv.reference} price` : ""}
+          </h4>
           <div className="grid grid-cols-2 gap-4 text-sm">
             <div>
               <span className="text-gray-400">CLV Percent:</span>
               <span className={`ml-2 font-mono font-bold ${clvColor(result.clv.favorability)}`}>
-                {result.clv.percent > 0 ? '+' : ''}{result.clv.percent}%
+                {result.clv.percent != null ? `${result.clv.percent > 0 ? '+' : ''}${result.clv.percent}%` : "N/A"}
               </span>
             </div>
+            {result.clv.points != null && (
+              <div>
+                <span className="text-gray-400">Points vs line:</span>
+                <span className={`ml-2 font-mono font-bold ${clvColor(result.clv.favorability)}`}>
+                  {result.clv.points > 0 ? '+' : ''}{result.clv.points}
+                </span>
+              </div>
+            )}
+            {result.clv.takenPrice != null && (
+              <div>
+                <span className="text-gray-400">Taken / market:</span>
+                <span className="ml-2 font-mono">
+                  {formatOdds(result.clv.takenPrice, oddsFormat)} / {formatOdds(result.clv.referencePrice, oddsFormat)}
+                </span>
+              </div>
+            )}
             <div>
               <span className="text-gray-400">Favorability:</span>
               <span className={`ml-2 font-semibold capitalize ${clvColor(result.clv.favorability)}`}>
@@ -158,6 +366,15 @@ export default function ResultCard({ result, type, oddsFormat = 'american' }) {
         </div>
       )}
 
+      {/* Line Movement Chart */}
+      {type === "game" && result.gameId && (
+        <LineMovementChart
+          gameId={result.gameId}
+          pickId={result.pickId}
+          market={result.lineEvaluation?.market || "moneyline"}
+        />
+      )}
+
       {/* Top Drivers */}
       {Array.isArray(result.topDrivers) && result.topDrivers.length > 0 && (
         <div className="bg-gray-800 p-4 rounded-lg">
@@ -0,0 +1,167 @@
+// test/oddsApiClient.test.js
+// The Odds API client and provider against recorded responses (test/fixtures/oddsapi);
+// fetch is injected, so nothing goes over the network.
+
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// The response cache writes under the working directory; keep it out of the repo
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), "oddsapi-test-")));
+const { OddsAPIClient } = await import("../lib/oddsApiClient.js");
+const { OddsAPIProvider } = await import("../lib/providers/oddsApi.js");
+const { PlayerPropsEngine } = await import("../lib/engines/playerPropsEngine.js");
+const { default: cacheClient } = await import("../lib/cacheClient.js");
+
+const FIXTURES = new URL("./fixtures/oddsapi/", import.meta.url);
+const fixture = (name) => JSON.parse(fs.readFileSync(new URL(name, FIXTURES), "utf8"));
+
+// Recorded response per request path; anything else is a 404
+function recordedFetch(calls) {
+  return async (url) => {
+    const u = new URL(url);
+    calls.push(u);
+    const m = u.pathname.match(/\/sports\/(\w+)\/(odds|events)$|\/events\/(\w+)\/odds$/);
+    const file = !m ? null : m[3] ? `event-${m[3]}-odds.json` : `${m[1]}-${m[2]}.json`;
+    const body = file && fs.existsSync(new URL(file, FIXTURES)) ? fs.readFileSync(new URL(file, FIXTURES), "utf8") : null;
+    return {
+      ok: body != null,
+      status: body != null ? 200 : 404,
+      headers: { get: (h) => (h === "x-requests-remaining" ? "480" : null) },
+      json: async () => JSON.parse(body),
+      text: async () => body ?? "Not Found",
+    };
+  };
+}
+
+let calls;
+let client;
+beforeEach(() => {
+  cacheClient.clear();
+  calls = [];
+  client = new OddsAPIClient({ apiKey: "test-key", fetch: recordedFetch(calls) });
+});
+
+test("_mapEvent maps team names to codes and normalizes prop player names", () => {
+  const event = client._mapEvent("NBA", fixture("event-9a8b7c6d5e4f3a2b1c0d9e8f7a6b5c4d-odds.json"));
+  assert.equal(event.home_team, "GS");
+  assert.equal(event.away_team, "DAL");
+  assert.equal(event.home_team_name, "Golden State Warriors");
+  const outcomes = event.bookmakers[0].markets[0].outcomes;
+  assert.deepEqual(outcomes.map((o) => o.description), ["Luka Doncic", "Luka Doncic"]);
+  assert.deepEqual(outcomes.map((o) => o.name), ["Over", "Under"]);
+
+  const game = client._mapEvent("NBA", fixture("basketball_nba-odds.json")[0]);
+  const h2h = game.bookmakers[0].markets.find((m) => m.key === "h2h").outcomes;
+  assert.deepEqual(h2h.map((o) => o.name), ["BOS", "LAL"]);
+});
+
+test("getOddsFromOddsAPI requests the day window without leaking the key into lastHttp", async () => {
+  const games = await client.getOddsFromOddsAPI({ sport: "NBA", date: "2025-01-14" });
+  assert.equal(games.length, 2);
+  assert.equal(calls.length, 1);
+  const q = calls[0].searchParams;
+  assert.equal(calls[0].pathname, "/v4/sports/basketball_nba/odds");
+  assert.equal(q.get("markets"), "h2h,spreads,totals");
+  assert.equal(q.get("commenceTimeFrom"), "2025-01-14T10:00:00Z");
+  assert.equal(q.get("commenceTimeTo"), "2025-01-15T10:00:00Z");
+  assert.equal(client.lastHttp.requestsRemaining, "480");
+  assert.ok(!client.lastHttp.url.includes("test-key"));
+});
+
+test("OddsAPIProvider.getOdds returns canonical quotes with home spread lines", async () => {
+  const provider = new OddsAPIProvider(client);
+  assert.equal(provider.isAvailable("odds"), true);
+  assert.equal(provider.isAvailable("stats"), false);
+
+  const [lal, gs] = await provider.getOdds("nba", "2025-01-14");
+  assert.equal(lal.gameId, "4f1c2a9e8b7d6c5a4f3e2d1c0b9a8f7e");
+  assert.equal(lal.source, "OddsAPI");
+  assert.equal(lal.home, "LAL");
+  assert.equal(lal.away, "BOS");
+  assert.deepEqual(lal.quotes, [
+    { book: "DraftKings", market: "moneyline", line: null, prices: { home: 150, away: -180 } },
+    { book: "DraftKings", market: "spread", line: 4.5, prices: { home: -110, away: -110 } },
+    { book: "DraftKings", market: "total", line: 228.5, prices: { over: -108, under: -112 } },
+    { book: "FanDuel", market: "moneyline", line: null, prices: { home: 146, away: -174 } },
+    { book: "FanDuel", market: "spread", line: 4, prices: { home: -115, away: -105 } },
+  ]);
+  assert.deepEqual(gs.quotes.map((q) => q.market), ["moneyline", "total"]);
+});
+
+test("OddsAPIProvider.getOdds is null when the request fails", async () => {
+  const provider = new OddsAPIProvider(client);
+  assert.equal(await provider.getOdds("NFL", 19), null);
+  assert.equal(await provider.getOdds("NHL", "2025-01-14"), null);
+});
+
+test("getPlayerPropsFromOddsAPI pairs over/under per book, player, market and line", async () => {
+  const rows = await client.getPlayerPropsFromOddsAPI({ sport: "NBA", date: "2025-01-14" });
+  // Prop markets only: events list, then one odds request per event
+  assert.deepEqual(calls.map((u) => u.pathname), [
+    "/v4/sports/basketball_nba/events",
+    "/v4/sports/basketball_nba/events/4f1c2a9e8b7d6c5a4f3e2d1c0b9a8f7e/odds",
+    "/v4/sports/basketball_nba/events/9a8b7c6d5e4f3a2b1c0d9e8f7a6b5c4d/odds",
+  ]);
+  assert.equal(rows.length, 5);
+  assert.deepEqual(
+    rows.find((r) => r.book === "FanDuel"),
+    {
+      gameId: "4f1c2a9e8b7d6c5a4f3e2d1c0b9a8f7e",
+      commenceTime: "2025-01-15T00:30:00Z",
+      home: "LAL",
+      away: "BOS",
+      book: "FanDuel",
+      market: "points",
+      marketKey: "player_points",
+      player: "Jayson Tatum",
+      line: 27.5,
+      over: -108,
+      under: -112,
+    }
+  );
+  const luka = rows.find((r) => r.player === "Luka Doncic");
+  assert.deepEqual([luka.home, luka.away, luka.line, luka.over, luka.under], ["GS", "DAL", 30.5, -120, 100]);
+});
+
+test("getPlayerPropsFromOddsAPI filters by player name tokens", async () => {
+  const rows = await client.getPlayerPropsFromOddsAPI({ sport: "NBA", date: "2025-01-14", player: "Tatum" });
+  assert.deepEqual(rows.map((r) => `${r.book} ${r.market} ${r.line}`), [
+    "DraftKings points 27.5",
+    "DraftKings rebounds 8.5",
+    "FanDuel points 27.5",
+  ]);
+});
+
+test("OddsAPIProvider.getPropOdds returns prop quotes", async () => {
+  const quotes = await new OddsAPIProvider(client).getPropOdds("NBA", { date: "2025-01-14", player: "LeBron James" });
+  assert.deepEqual(quotes, [
+    {
+      gameId: "4f1c2a9e8b7d6c5a4f3e2d1c0b9a8f7e",
+      startTime: "2025-01-15T00:30:00Z",
+      home: "LAL",
+      away: "BOS",
+      book: "DraftKings",
+      player: "LeBron James",
+      market: "points",
+      line: 24.5,
+      prices: { over: -110, under: -110 },
+    },
+  ]);
+});
+
+test("PlayerPropsEngine prices a prop without odds at the best book prices for its line", async () => {
+  const engine = new PlayerPropsEngine(new OddsAPIProvider(client));
+  const parsed = engine._parseProp("NBA", "Points 27.5");
+  const input = { sport: "NBA", player: "Jayson Tatum", prop: "Points 27.5" };
+
+  const market = await engine._marketPropOdds(input, parsed, 27.5, "2025-01-14");
+  assert.deepEqual(market, {
+    odds: { over: -108, under: -105 },
+    books: { over: "FanDuel", under: "DraftKings" },
+  });
+  assert.equal(await engine._marketPropOdds(input, parsed, 26.5, "2025-01-14"), null);
+  assert.equal(await engine._marketPropOdds({ ...input, odds: { over: -120 } }, parsed, 27.5, "2025-01-14"), null);
+});
@@ -0,0 +1,79 @@
+// test/oddsMath.test.js
+// De-vig methods against known answers on two-way and three-way markets.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { devig, DEVIG_METHODS, impliedProbability } from "../lib/oddsMath.js";
+
+const close = (actual, expected, eps = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) < eps, `${actual} is not within ${eps} of ${expected}`);
+const total = (xs) => xs.reduce((a, b) => a + b, 0);
+
+const TWO_WAY = [-150, 130];
+const THREE_WAY = [150, 240, 180];
+
+test("every method sums to 1 on two-way and three-way markets", () => {
+  for (const prices of [TWO_WAY, THREE_WAY]) {
+    for (const method of DEVIG_METHODS) {
+      const r = devig(prices, method);
+      assert.equal(r.method, method);
+      assert.equal(r.probabilities.length, prices.length);
+      close(total(r.probabilities), 1, 1e-9);
+    }
+  }
+});
+
+test("a symmetric market de-vigs to even chances with every method", () => {
+  for (const method of DEVIG_METHODS) {
+    assert.deepEqual(devig([-110, -110], method).probabilities.map((p) => Math.round(p * 1e9) / 1e9), [0.5, 0.5]);
+  }
+});
+
+test("multiplicative and additive match their closed forms", () => {
+  // Implied 0.6 and 100/230; booksum 1.0347826
+  const implied = TWO_WAY.map(impliedProbability);
+  const booksum = total(implied);
+  const mult = devig(TWO_WAY, "multiplicative");
+  close(mult.probabilities[0], 0.6 / booksum);
+  close(mult.overround, booksum - 1);
+  close(mult.hold, 1 - 1 / booksum);
+
+  const add = devig(TWO_WAY, "additive");
+  close(add.probabilities[0], 0.6 - (booksum - 1) / 2);
+  close(add.probabilities[1], 100 / 230 - (booksum - 1) / 2);
+
+  const add3 = devig(THREE_WAY, "additive");
+  const implied3 = THREE_WAY.map(impliedProbability);
+  const share = (total(implied3) - 1) / 3;
+  implied3.forEach((p, i) => close(add3.probabilities[i], p - share));
+});
+
+test("power, odds-ratio and Shin hold their defining relations", () => {
+  for (const prices of [TWO_WAY, THREE_WAY]) {
+    const implied = prices.map(impliedProbability);
+
+    // Fair = implied^k for one k across outcomes
+    const power = devig(prices, "power");
+    implied.forEach((p, i) => close(Math.log(power.probabilities[i]) / Math.log(p), power.param.value));
+
+    // Implied odds / fair odds is the same ratio c for every outcome
+    const ratio = devig(prices, "odds_ratio");
+    const odds = (p) => p / (1 - p);
+    implied.forEach((p, i) => close(odds(p) / odds(ratio.probabilities[i]), ratio.param.value));
+
+    const shin = devig(prices, "shin");
+    assert.ok(shin.param.value > 0 && shin.param.value < 1);
+  }
+  // Two outcomes: Shin's fair prices coincide with the additive ones
+  const shin = devig(TWO_WAY, "shin").probabilities;
+  const add = devig(TWO_WAY, "additive").probabilities;
+  shin.forEach((p, i) => close(p, add[i]));
+  close(devig(TWO_WAY, "power").probabilities[0], 0.583983);
+  close(devig(TWO_WAY, "odds_ratio").probabilities[0], 0.582712);
+});
+
+test("devig is null for invalid prices or an unknown method", () => {
+  assert.equal(devig([-110], "multiplicative"), null);
+  assert.equal(devig([-110, 50], "multiplicative"), null);
+  assert.equal(devig([-110, -110], "logit"), null);
+});
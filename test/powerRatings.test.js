@@ -0,0 +1,60 @@
+// test/powerRatings.test.js
+// Elo updates with margin of victory and home advantage, and as-of replays.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EloRatings, ELO_CONFIG, completedGame, ratingsAsOf } from "../lib/powerRatings.js";
+
+const close = (actual, expected, eps = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) < eps, `${actual} is not within ${eps} of ${expected}`);
+
+const game = (id, date, home, away, homeScore, awayScore, extra = {}) => ({
+  id, season: 2025, date, home, away, homeScore, awayScore, neutral: false, ...extra,
+});
+
+test("one NBA update applies home advantage and the margin-of-victory multiplier", () => {
+  const elo = new EloRatings("NBA", { dir: null });
+  assert.equal(elo.update(game("1", "2025-01-01", "LAL", "BOS", 110, 100)), true);
+
+  // Even teams: home edge of 100 Elo, so the home side was expected to win 64%
+  const { k, home } = ELO_CONFIG.NBA;
+  const expected = 1 / (1 + 10 ** (-home / 400));
+  const mov = (Math.log(10 + 1) * 2.2) / (home * 0.001 + 2.2);
+  const shift = k * mov * (1 - expected);
+  close(expected, 0.640065, 1e-6);
+  close(shift, 16.511219, 1e-6);
+  close(elo.teams.LAL.rating, 1500 + shift);
+  close(elo.teams.BOS.rating, 1500 - shift);
+  assert.equal(elo.teams.LAL.games, 1);
+  assert.equal(elo.updatedAt, "2025-01-01");
+
+  // Applying the same game again changes nothing
+  assert.equal(elo.update(game("1", "2025-01-01", "LAL", "BOS", 110, 100)), false);
+  close(elo.teams.LAL.rating, 1500 + shift);
+
+  const p = elo.predict("LAL", "BOS");
+  assert.equal(p.ratingDiff, Math.round((2 * shift + home) * 10) / 10);
+  assert.equal(p.home.expectedMargin, Math.round(((2 * shift + home) / ELO_CONFIG.NBA.pointsPerElo) * 10) / 10);
+});
+
+test("a neutral-site game has no home edge", () => {
+  const elo = new EloRatings("NBA", { dir: null });
+  elo.update(game("1", "2025-01-01", "LAL", "BOS", 95, 105, { neutral: true }));
+  // No home edge: expected 0.5, loser's side of a 10-point margin
+  const shift = 20 * ((Math.log(11) * 2.2) / (0 * 0.001 + 2.2)) * 0.5;
+  close(elo.teams.BOS.rating, 1500 + shift);
+  close(elo.teams.LAL.rating, 1500 - shift);
+});
+
+test("ratingsAsOf leaves out games on or after the cut-off day", () => {
+  const rows = [
+    { id: 1, season: 2025, date: "2025-01-01", status: "final", home: "LAL", away: "BOS", homeScore: 110, awayScore: 100 },
+    { id: 2, season: 2025, date: "2025-01-03", status: "final", home: "BOS", away: "LAL", homeScore: 120, awayScore: 90 },
+    { id: 3, season: 2025, date: "2025-01-05", status: "scheduled", home: "LAL", away: "BOS" },
+  ];
+  assert.equal(completedGame(rows[2]), null);
+  const asOf = ratingsAsOf("NBA", rows, "2025-01-03");
+  assert.equal(asOf.teams.LAL.games, 1);
+  assert.equal(asOf.updatedAt, "2025-01-01");
+  assert.equal(ratingsAsOf("NBA", rows, "2025-01-04").teams.LAL.games, 2);
+});
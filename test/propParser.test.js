@@ -0,0 +1,42 @@
+// test/propParser.test.js
+// Prop text parsing: sportsbook shorthand, milestones, periods and unknown markets.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseProp, parsePropLine, PropParseError } from "../lib/propParser.js";
+
+const pick = ({ market, side, line, period, milestone }) => ({ market, side, line, period, milestone });
+
+test("parseProp reads sportsbook shorthand", () => {
+  assert.deepEqual(pick(parseProp("NBA", "o23.5 pts")), {
+    market: "points", side: "over", line: 23.5, period: "game", milestone: false,
+  });
+  assert.deepEqual(pick(parseProp("MLB", "U 6.5 Ks")), {
+    market: "strikeouts", side: "under", line: 6.5, period: "game", milestone: false,
+  });
+  assert.deepEqual(pick(parseProp("NBA", "LeBron 25+ points")), {
+    market: "points", side: "over", line: 24.5, period: "game", milestone: true,
+  });
+  assert.deepEqual(pick(parseProp("NBA", "1H points 12.5")), {
+    market: "points", side: null, line: 12.5, period: "1H", milestone: false,
+  });
+  assert.deepEqual(pick(parseProp("NFL", "anytime TD")), {
+    market: "touchdowns", side: "over", line: 0.5, period: "game", milestone: true,
+  });
+});
+
+test("parseProp matches markets on word boundaries", () => {
+  assert.equal(parseProp("NBA", "3pt made 2.5").market, "threes");
+  assert.throws(() => parseProp("NBA", "kangaroos 4.5"), (err) => err instanceof PropParseError && err.code === "UNKNOWN_MARKET");
+  assert.throws(() => parseProp("NBA", "  "), (err) => err instanceof PropParseError && err.code === "EMPTY_PROP");
+});
+
+test("O/U names the line without picking a side", () => {
+  assert.deepEqual(parsePropLine("Points O/U 25.5"), { side: null, line: 25.5, milestone: false });
+  assert.deepEqual(parsePropLine("O/U 220.5"), { side: null, line: 220.5, milestone: false });
+  assert.deepEqual(parsePropLine("over/under 8.5 rebounds"), { side: null, line: 8.5, milestone: false });
+  assert.deepEqual(pick(parseProp("NBA", "Points O/U 25.5")), {
+    market: "points", side: null, line: 25.5, period: "game", milestone: false,
+  });
+  assert.equal(parsePropLine("u 25.5").side, "under");
+});